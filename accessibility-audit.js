@@ -0,0 +1,298 @@
+/**
+ * Comprobaciones de accesibilidad para componentes DESY
+ *
+ * Aplica al HTML recibido las pautas de la sección de accesibilidad de
+ * DESY: etiquetas en los controles de formulario, pares aria-expanded /
+ * aria-controls, orden de encabezados (parámetro headingLevel), contraste de
+ * los colores de DESY y marcado para atrapar el foco en modales. Cada
+ * hallazgo indica el componente DESY en el que se ha detectado.
+ */
+
+import { desyColorValues } from "./design-tokens.js";
+import { detectComponent, excerpt, lineAt, parseMarkup } from "./markup-audit.js";
+
+// Components whose macros take a headingLevel parameter
+const HEADING_LEVEL_COMPONENTS = new Set([
+  "accordion", "accordion-history", "error-summary", "item", "modal", "notification", "tabs", "tree",
+]);
+
+const UNLABELLED_INPUT_TYPES = new Set(["hidden", "submit", "button", "reset", "image"]);
+
+const FOCUSABLE_SELECTOR = "a[href], button, input, select, textarea, summary, [tabindex]";
+
+const LARGE_TEXT_CLASSES = /^(c-h1|c-h2|text-(xl|[2-9]xl))$/;
+
+const DEFAULT_TEXT_COLOR = "black";
+const DEFAULT_BACKGROUND_COLOR = "white";
+
+function relativeLuminance(hex) {
+  const value = hex.replace("#", "");
+  const [r, g, b] = [0, 2, 4].map((i) => {
+    const channel = parseInt(value.slice(i, i + 2), 16) / 255;
+    return channel <= 0.03928 ? channel / 12.92 : ((channel + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+/**
+ * WCAG contrast ratio between two colors
+ * @param {string} foreground - Hex color
+ * @param {string} background - Hex color
+ * @returns {number} Ratio, from 1 to 21
+ */
+function contrastRatio(foreground, background) {
+  const [light, dark] = [relativeLuminance(foreground), relativeLuminance(background)].sort((a, b) => b - a);
+  return (light + 0.05) / (dark + 0.05);
+}
+
+function ancestors(el) {
+  const chain = [];
+  for (let node = el; node && node.tagName; node = node.parentNode) chain.push(node);
+  return chain;
+}
+
+function hasDirectText(el) {
+  return el.childNodes.some((node) => node.nodeType === 3 && node.rawText.trim());
+}
+
+function isHidden(el) {
+  return el.hasAttribute("hidden") || el.getAttribute("aria-hidden") === "true" || el.classList.contains("hidden");
+}
+
+function idList(value) {
+  return (value || "").split(/\s+/).filter(Boolean);
+}
+
+// Color token applied by a utility class without state/breakpoint variants
+function colorClass(el, utility, colors) {
+  for (const className of el.classList.value) {
+    const match = className.match(new RegExp(`^${utility}-(.+)$`));
+    if (match && colors[match[1]]) return match[1];
+  }
+  return null;
+}
+
+/**
+ * Runs the accessibility checks on HTML
+ * @param {string} html - HTML fragment or page
+ * @param {Object} options
+ * @param {Iterable<string>} options.componentSlugs - Known component slugs
+ * @returns {{summary: Object, components: string[], findings: Object[]}} Report
+ */
+function checkAccessibility(html, { componentSlugs }) {
+  const slugs = new Set(componentSlugs);
+  const colors = desyColorValues();
+  const root = parseMarkup(html);
+  const all = root.querySelectorAll("*");
+  const ids = new Set(all.map((el) => el.id).filter(Boolean));
+  const findings = [];
+  const components = new Set();
+
+  const componentOf = (el) => {
+    for (const node of ancestors(el)) {
+      const component = detectComponent(node, slugs);
+      if (component) return component;
+    }
+    return null;
+  };
+
+  const report = (el, finding) => {
+    findings.push({
+      ...finding,
+      component: componentOf(el),
+      line: lineAt(html, el.range[0]),
+      element: excerpt(el),
+    });
+  };
+
+  const checkReferences = (el, attribute) => {
+    const missing = idList(el.getAttribute(attribute)).filter((id) => !ids.has(id));
+    if (missing.length > 0) {
+      report(el, {
+        rule: "broken_reference",
+        severity: "error",
+        wcag: "4.1.2",
+        message: `${attribute} apunta a ids que no existen: ${missing.join(", ")}`,
+      });
+    }
+    return missing.length === 0;
+  };
+
+  const hasAccessibleName = (el) => {
+    if (el.getAttribute("aria-label")?.trim()) return true;
+    if (el.hasAttribute("aria-labelledby")) return checkReferences(el, "aria-labelledby");
+    if (el.id && root.querySelector(`label[for="${el.id}"]`)) return true;
+    if (ancestors(el).some((node) => node.tagName === "LABEL")) return true;
+    return Boolean(el.getAttribute("title")?.trim());
+  };
+
+  let previousHeading = null;
+
+  for (const el of all) {
+    const component = detectComponent(el, slugs);
+    if (component) components.add(component);
+
+    // Form controls and buttons
+    const isControl = (el.tagName === "INPUT" && !UNLABELLED_INPUT_TYPES.has((el.getAttribute("type") || "text").toLowerCase())) ||
+      el.tagName === "SELECT" || el.tagName === "TEXTAREA";
+    if (isControl && !hasAccessibleName(el)) {
+      report(el, {
+        rule: "missing_label",
+        severity: "error",
+        wcag: "1.3.1",
+        message: `<${el.rawTagName}> sin etiqueta: añade un <label for="${el.id || "id"}">, aria-label o aria-labelledby`,
+      });
+    }
+    if (el.tagName === "BUTTON" && !el.text.trim() && !hasAccessibleName(el)) {
+      report(el, {
+        rule: "missing_label",
+        severity: "error",
+        wcag: "4.1.2",
+        message: "Botón sin texto ni aria-label",
+      });
+    }
+    if (el.hasAttribute("aria-describedby")) checkReferences(el, "aria-describedby");
+    if (el.hasAttribute("aria-controls") && !el.hasAttribute("aria-expanded")) checkReferences(el, "aria-controls");
+
+    // aria-expanded / aria-controls
+    if (el.hasAttribute("aria-expanded")) {
+      const expanded = el.getAttribute("aria-expanded");
+      if (!["true", "false"].includes(expanded)) {
+        report(el, {
+          rule: "invalid_aria_expanded",
+          severity: "error",
+          wcag: "4.1.2",
+          message: `aria-expanded debe ser "true" o "false", no "${expanded}"`,
+        });
+      }
+      if (!el.hasAttribute("aria-controls")) {
+        report(el, {
+          rule: "missing_aria_controls",
+          severity: "warning",
+          wcag: "4.1.2",
+          message: "aria-expanded sin aria-controls: indica el id del contenido que se muestra u oculta",
+        });
+      } else if (checkReferences(el, "aria-controls")) {
+        for (const id of idList(el.getAttribute("aria-controls"))) {
+          const target = root.getElementById(id);
+          if (expanded === "false" && !isHidden(target)) {
+            report(el, {
+              rule: "expanded_state_mismatch",
+              severity: "warning",
+              wcag: "4.1.2",
+              message: `aria-expanded="false" pero #${id} no está oculto (hidden, aria-hidden o clase hidden)`,
+            });
+          } else if (expanded === "true" && isHidden(target)) {
+            report(el, {
+              rule: "expanded_state_mismatch",
+              severity: "warning",
+              wcag: "4.1.2",
+              message: `aria-expanded="true" pero #${id} está oculto`,
+            });
+          }
+        }
+      }
+    } else if (el.hasAttribute("aria-controls") && el.getAttribute("role") !== "tab" &&
+      (el.tagName === "BUTTON" || el.getAttribute("role") === "button")) {
+      report(el, {
+        rule: "missing_aria_expanded",
+        severity: "error",
+        wcag: "4.1.2",
+        message: "Botón con aria-controls sin aria-expanded: el estado abierto/cerrado no se anuncia",
+      });
+    }
+
+    // Heading order
+    const heading = el.tagName.match(/^H([1-6])$/);
+    if (heading) {
+      const level = Number(heading[1]);
+      if (previousHeading && level > previousHeading + 1) {
+        const owner = componentOf(el);
+        const fix = owner && HEADING_LEVEL_COMPONENTS.has(owner)
+          ? `; usa headingLevel: ${previousHeading + 1} en el componente ${owner}`
+          : "";
+        report(el, {
+          rule: "heading_skip",
+          severity: "warning",
+          wcag: "1.3.1",
+          message: `Salto de encabezado de h${previousHeading} a h${level}${fix}`,
+        });
+      }
+      previousHeading = level;
+    }
+
+    // Contrast of DESY color tokens
+    if (hasDirectText(el)) {
+      const chain = ancestors(el);
+      const foreground = chain.map((node) => colorClass(node, "text", colors)).find(Boolean);
+      const background = chain.map((node) => colorClass(node, "bg", colors)).find(Boolean);
+      if (foreground || background) {
+        const fg = foreground || DEFAULT_TEXT_COLOR;
+        const bg = background || DEFAULT_BACKGROUND_COLOR;
+        const ratio = contrastRatio(colors[fg], colors[bg]);
+        const large = /^H[12]$/.test(el.tagName) || chain.some((node) => node.classList.value.some((className) => LARGE_TEXT_CLASSES.test(className)));
+        const required = large ? 3 : 4.5;
+        if (ratio < required) {
+          report(el, {
+            rule: "low_contrast",
+            severity: "error",
+            wcag: "1.4.3",
+            message: `Contraste ${ratio.toFixed(2)}:1 entre text-${fg} y bg-${bg} (mínimo ${required}:1${large ? " para texto grande" : ""})`,
+          });
+        }
+      }
+    }
+
+    // Modals and dialogs
+    const role = el.getAttribute("role");
+    const isDialog = el.tagName === "DIALOG" || role === "dialog" || role === "alertdialog";
+    if (isDialog || component === "modal") {
+      if (isDialog && !hasAccessibleName(el)) {
+        report(el, {
+          rule: "dialog_missing_name",
+          severity: "error",
+          wcag: "4.1.2",
+          message: "Diálogo sin nombre accesible: añade aria-labelledby con el id del título",
+        });
+      }
+      if (isDialog && el.tagName !== "DIALOG" && el.getAttribute("aria-modal") !== "true") {
+        report(el, {
+          rule: "dialog_not_modal",
+          severity: "warning",
+          wcag: "2.4.3",
+          message: 'Falta aria-modal="true": los lectores de pantalla pueden salir del diálogo',
+        });
+      }
+      const focusable = el.querySelectorAll(FOCUSABLE_SELECTOR);
+      if (!focusable.some((node) => node.getAttribute("tabindex") !== "-1")) {
+        report(el, {
+          rule: "dialog_no_focusable",
+          severity: "error",
+          wcag: "2.4.3",
+          message: "El diálogo no contiene ningún elemento enfocable para atrapar el foco (por ejemplo el botón de cerrar)",
+        });
+      }
+      if (!focusable.some((node) => node.getAttribute("tabindex") === "-1" || node.hasAttribute("autofocus")) &&
+        el.getAttribute("tabindex") !== "-1") {
+        report(el, {
+          rule: "dialog_no_focus_target",
+          severity: "warning",
+          wcag: "2.4.3",
+          message: 'Sin destino de foco inicial: DESY pone tabindex="-1" en el título del modal para enfocarlo al abrir',
+        });
+      }
+    }
+  }
+
+  findings.sort((a, b) => a.line - b.line);
+
+  const summary = { errors: 0, warnings: 0 };
+  for (const finding of findings) {
+    if (finding.severity === "error") summary.errors++;
+    else summary.warnings++;
+  }
+
+  return { summary, components: [...components].sort(), findings };
+}
+
+export { checkAccessibility, contrastRatio };
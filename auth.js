@@ -0,0 +1,341 @@
+/**
+ * Autenticación del endpoint /mcp
+ *
+ * Verifica los tokens Bearer de cada petición, que pueden ser claves de API
+ * estáticas de la configuración o tokens OAuth 2.1. Para OAuth se publican
+ * los metadatos de recurso protegido (RFC 9728) que usan los clientes MCP
+ * para descubrir el servidor de autorización externo, y sus tokens se
+ * verifican por introspección (RFC 7662).
+ *
+ * LocalIdentityProvider es un servidor de autorización en memoria solo para
+ * tests: no se puede activar desde la configuración y solo funciona en
+ * localhost.
+ *
+ * Cada clave o token lleva sus scopes: desy:read para consultar la
+ * documentación y desy:refresh para refresh_cache.
+ */
+
+import crypto from "crypto";
+import express from "express";
+import { requireBearerAuth } from "@modelcontextprotocol/sdk/server/auth/middleware/bearerAuth.js";
+import { mcpAuthRouter, getOAuthProtectedResourceMetadataUrl } from "@modelcontextprotocol/sdk/server/auth/router.js";
+import { metadataHandler } from "@modelcontextprotocol/sdk/server/auth/handlers/metadata.js";
+import { InvalidGrantError, InvalidRequestError, InvalidTokenError, ServerError } from "@modelcontextprotocol/sdk/server/auth/errors.js";
+
+const SCOPES = {
+  READ: "desy:read",
+  REFRESH: "desy:refresh",
+};
+const ALL_SCOPES = Object.values(SCOPES);
+const DEFAULT_SCOPES = [SCOPES.READ];
+
+// API keys do not expire; each verification is valid for this long
+const API_KEY_VALIDITY_SECONDS = 60 * 60;
+const AUTHORIZATION_CODE_TTL_MS = 5 * 60 * 1000;
+const INTROSPECTION_TIMEOUT_MS = 10000;
+const LOOPBACK_HOSTS = new Set(["localhost", "127.0.0.1", "[::1]"]);
+
+const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+/**
+ * SHA-256 of an API key, as stored in `keySha256`
+ * @param {string} key - API key
+ * @returns {string} Hex digest
+ */
+function hashApiKey(key) {
+  return crypto.createHash("sha256").update(key).digest("hex");
+}
+
+/**
+ * @param {import("@modelcontextprotocol/sdk/server/auth/types.js").AuthInfo|undefined} authInfo - Caller of
+ *   a request; undefined when the server does not require authentication (stdio, open HTTP server)
+ * @param {string} scope - Required scope
+ * @returns {boolean} Whether the caller may use the scope
+ */
+function hasScope(authInfo, scope) {
+  return !authInfo || authInfo.scopes.includes(scope);
+}
+
+/**
+ * Token verifier for the static API keys of the configuration
+ * @param {{name: string, key?: string, keySha256?: string, scopes: string[]}[]} apiKeys - Keys
+ * @returns {{verifyAccessToken: function(string): Promise<Object>}} Verifier
+ */
+function createApiKeyVerifier(apiKeys) {
+  const keys = apiKeys.map((apiKey) => ({
+    name: apiKey.name,
+    digest: Buffer.from(apiKey.keySha256 ?? hashApiKey(apiKey.key), "hex"),
+    scopes: apiKey.scopes,
+  }));
+
+  return {
+    async verifyAccessToken(token) {
+      const digest = Buffer.from(hashApiKey(token), "hex");
+      const apiKey = keys.find((candidate) => crypto.timingSafeEqual(candidate.digest, digest));
+      if (!apiKey) throw new InvalidTokenError("Clave de API no válida");
+      return {
+        token,
+        clientId: `api-key:${apiKey.name}`,
+        scopes: apiKey.scopes,
+        expiresAt: nowSeconds() + API_KEY_VALIDITY_SECONDS,
+      };
+    },
+  };
+}
+
+/**
+ * Token verifier that asks an external authorization server (RFC 7662)
+ * @param {Object} options
+ * @param {string} options.introspectionUrl - Introspection endpoint
+ * @param {string} [options.clientId] - Credentials of this server at the authorization server
+ * @param {string} [options.clientSecret]
+ * @param {string} options.resource - URL of /mcp; tokens issued for another audience are rejected
+ * @returns {{verifyAccessToken: function(string): Promise<Object>}} Verifier
+ */
+function createIntrospectionVerifier({ introspectionUrl, clientId, clientSecret, resource }) {
+  return {
+    async verifyAccessToken(token) {
+      const headers = { "Content-Type": "application/x-www-form-urlencoded", Accept: "application/json" };
+      if (clientId) {
+        headers.Authorization = `Basic ${Buffer.from(`${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret ?? "")}`).toString("base64")}`;
+      }
+
+      let response;
+      try {
+        response = await fetch(introspectionUrl, {
+          method: "POST",
+          headers,
+          body: new URLSearchParams({ token, token_type_hint: "access_token" }),
+          signal: AbortSignal.timeout(INTROSPECTION_TIMEOUT_MS),
+        });
+      } catch (error) {
+        throw new ServerError(`No se pudo consultar el servidor de autorización: ${error.message}`);
+      }
+      if (!response.ok) {
+        throw new ServerError(`El servidor de autorización respondió HTTP ${response.status} a la introspección`);
+      }
+
+      const introspection = await response.json();
+      if (!introspection.active) throw new InvalidTokenError("Token no válido o caducado");
+      const audiences = [introspection.aud ?? []].flat();
+      if (audiences.length > 0 && !audiences.includes(resource)) {
+        throw new InvalidTokenError("El token no se emitió para este servidor");
+      }
+      return {
+        token,
+        clientId: introspection.client_id ?? introspection.sub ?? "oauth",
+        scopes: (introspection.scope ?? "").split(" ").filter(Boolean),
+        expiresAt: introspection.exp ?? nowSeconds() + 60,
+        resource: new URL(resource),
+      };
+    },
+  };
+}
+
+// Tries each verifier in turn; a token is invalid when none accepts it
+function combineVerifiers(verifiers) {
+  return {
+    async verifyAccessToken(token) {
+      let lastError;
+      for (const verifier of verifiers) {
+        try {
+          return await verifier.verifyAccessToken(token);
+        } catch (error) {
+          if (!(error instanceof InvalidTokenError)) throw error;
+          lastError = error;
+        }
+      }
+      throw lastError;
+    },
+  };
+}
+
+/**
+ * In-memory OAuth 2.1 identity provider for tests. Registers any client
+ * (dynamic client registration) and approves every authorization request
+ * without asking for credentials, so it only ever grants desy:read; tokens
+ * with other scopes are issued directly with issueTokens.
+ */
+class LocalIdentityProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.resource - URL of /mcp, the audience of the tokens
+   * @param {number} [options.tokenTtlSeconds=3600] - Lifetime of access tokens
+   */
+  constructor({ resource, tokenTtlSeconds = 3600 }) {
+    this.tokenTtlSeconds = tokenTtlSeconds;
+    this.resource = resource;
+    this.clients = new Map();
+    this.codes = new Map();
+    this.accessTokens = new Map();
+    this.refreshTokens = new Map();
+    this.clientsStore = {
+      getClient: async (clientId) => this.clients.get(clientId),
+      registerClient: async (client) => {
+        this.clients.set(client.client_id, client);
+        return client;
+      },
+    };
+  }
+
+  async authorize(client, params, res) {
+    if (!client.redirect_uris.includes(params.redirectUri)) {
+      throw new InvalidRequestError("redirect_uri no registrada para el cliente");
+    }
+    if (params.resource && params.resource.href !== this.resource) {
+      throw new InvalidRequestError(`Recurso desconocido: ${params.resource.href}`);
+    }
+    const code = crypto.randomUUID();
+    // Nobody approves the request, so it never gets more than reading
+    this.codes.set(code, {
+      clientId: client.client_id,
+      codeChallenge: params.codeChallenge,
+      redirectUri: params.redirectUri,
+      scopes: DEFAULT_SCOPES,
+      expiresAt: Date.now() + AUTHORIZATION_CODE_TTL_MS,
+    });
+
+    const target = new URL(params.redirectUri);
+    target.searchParams.set("code", code);
+    if (params.state !== undefined) target.searchParams.set("state", params.state);
+    res.redirect(target.href);
+  }
+
+  #authorizationCode(client, authorizationCode) {
+    const code = this.codes.get(authorizationCode);
+    if (!code || code.clientId !== client.client_id || code.expiresAt < Date.now()) {
+      throw new InvalidGrantError("Código de autorización no válido o caducado");
+    }
+    return code;
+  }
+
+  async challengeForAuthorizationCode(client, authorizationCode) {
+    return this.#authorizationCode(client, authorizationCode).codeChallenge;
+  }
+
+  async exchangeAuthorizationCode(client, authorizationCode, codeVerifier, redirectUri) {
+    const code = this.#authorizationCode(client, authorizationCode);
+    if (redirectUri && redirectUri !== code.redirectUri) {
+      throw new InvalidGrantError("redirect_uri distinta de la de la autorización");
+    }
+    this.codes.delete(authorizationCode);
+    return this.issueTokens({ clientId: client.client_id, scopes: code.scopes });
+  }
+
+  async exchangeRefreshToken(client, refreshToken, scopes) {
+    const grant = this.refreshTokens.get(refreshToken);
+    if (!grant || grant.clientId !== client.client_id) {
+      throw new InvalidGrantError("Refresh token no válido");
+    }
+    if (scopes?.some((scope) => !grant.scopes.includes(scope))) {
+      throw new InvalidGrantError("No se pueden ampliar los scopes con un refresh token");
+    }
+    this.refreshTokens.delete(refreshToken);
+    return this.issueTokens({ clientId: client.client_id, scopes: scopes?.length ? scopes : grant.scopes });
+  }
+
+  /**
+   * Issues an access token and a refresh token without an authorization
+   * request, e.g. for tests
+   * @param {Object} grant
+   * @param {string} grant.clientId - Client the tokens are issued to
+   * @param {string[]} [grant.scopes] - Scopes, desy:read by default
+   * @returns {{access_token: string, token_type: string, expires_in: number, refresh_token: string, scope: string}} Tokens
+   */
+  issueTokens({ clientId, scopes = DEFAULT_SCOPES }) {
+    const accessToken = crypto.randomBytes(32).toString("base64url");
+    const refreshToken = crypto.randomBytes(32).toString("base64url");
+    this.accessTokens.set(accessToken, { clientId, scopes, expiresAt: nowSeconds() + this.tokenTtlSeconds });
+    this.refreshTokens.set(refreshToken, { clientId, scopes });
+    return {
+      access_token: accessToken,
+      token_type: "bearer",
+      expires_in: this.tokenTtlSeconds,
+      refresh_token: refreshToken,
+      scope: scopes.join(" "),
+    };
+  }
+
+  async verifyAccessToken(token) {
+    const grant = this.accessTokens.get(token);
+    if (!grant || grant.expiresAt < nowSeconds()) {
+      throw new InvalidTokenError("Token no válido o caducado");
+    }
+    return { token, clientId: grant.clientId, scopes: grant.scopes, expiresAt: grant.expiresAt, resource: new URL(this.resource) };
+  }
+
+  async revokeToken(client, { token }) {
+    if (this.accessTokens.get(token)?.clientId === client.client_id) this.accessTokens.delete(token);
+    if (this.refreshTokens.get(token)?.clientId === client.client_id) this.refreshTokens.delete(token);
+  }
+}
+
+/**
+ * Builds the authentication of the HTTP server from the `auth` configuration
+ * @param {Object} auth - `auth` section of the configuration
+ * @param {Object} options
+ * @param {string} options.resource - Public URL of /mcp
+ * @param {string} options.issuer - Public URL of the server
+ * @param {string} options.resourceName - Name shown to users by OAuth clients
+ * @param {LocalIdentityProvider} [options.provider] - In-memory authorization server served by
+ *   this server, for tests; the issuer must be on localhost
+ * @returns {{mode: string, router: import("express").Router|null, requireAuth: import("express").RequestHandler}}
+ *   Routes to install at the root (OAuth metadata and endpoints) and middleware for /mcp
+ * @throws {Error} When a provider is given for an issuer that is not on localhost
+ */
+function createAuth(auth, { resource, issuer, resourceName, provider = null }) {
+  const mode = provider ? "oauth" : auth.mode;
+  if (mode === "none") {
+    return { mode, router: null, requireAuth: (req, res, next) => next() };
+  }
+
+  const verifiers = [];
+  if (auth.apiKeys.length > 0) verifiers.push(createApiKeyVerifier(auth.apiKeys));
+
+  let router = null;
+  let resourceMetadataUrl;
+  if (provider) {
+    if (!LOOPBACK_HOSTS.has(new URL(issuer).hostname)) {
+      throw new Error(`El proveedor de identidad local solo se puede usar en localhost, no en ${issuer}`);
+    }
+    verifiers.push(provider);
+    router = mcpAuthRouter({
+      provider,
+      issuerUrl: new URL(issuer),
+      resourceServerUrl: new URL(resource),
+      scopesSupported: ALL_SCOPES,
+      resourceName,
+    });
+    resourceMetadataUrl = getOAuthProtectedResourceMetadataUrl(new URL(resource));
+  } else if (auth.oauth) {
+    const { issuer: authorizationServer, introspectionUrl, clientId, clientSecret } = auth.oauth;
+    verifiers.push(createIntrospectionVerifier({ introspectionUrl, clientId, clientSecret, resource }));
+    // Clients find the authorization server from this document and read its
+    // own metadata from there
+    router = express.Router();
+    resourceMetadataUrl = getOAuthProtectedResourceMetadataUrl(new URL(resource));
+    router.use(new URL(resourceMetadataUrl).pathname, metadataHandler({
+      resource,
+      authorization_servers: [authorizationServer],
+      scopes_supported: ALL_SCOPES,
+      resource_name: resourceName,
+    }));
+  }
+
+  return {
+    mode,
+    router,
+    requireAuth: requireBearerAuth({ verifier: combineVerifiers(verifiers), requiredScopes: [SCOPES.READ], resourceMetadataUrl }),
+  };
+}
+
+export {
+  createApiKeyVerifier,
+  createAuth,
+  createIntrospectionVerifier,
+  hasScope,
+  hashApiKey,
+  LocalIdentityProvider,
+  ALL_SCOPES,
+  SCOPES,
+};
@@ -0,0 +1,222 @@
+/**
+ * Historial de cambios de la documentación de DESY
+ *
+ * Compara cada catálogo de llms.txt descargado con el anterior (componentes y
+ * patrones añadidos o eliminados) y el contenido de las páginas de código de
+ * los componentes (parámetros y ejemplos). Los cambios se guardan en disco
+ * como historial y se publican en JSON o como feed Atom.
+ */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { diffExamples, diffParams } from "./component-diff.js";
+
+const FEED_ID = "urn:desy-mcp:changes";
+
+function sha256(text) {
+  return crypto.createHash("sha256").update(text).digest("hex");
+}
+
+// Whitespace changes in an example are not reported
+function codeHash(code) {
+  return code ? sha256(code.replace(/\s+/g, " ").trim()).slice(0, 16) : null;
+}
+
+/**
+ * Summary of a code page that is kept between refreshes
+ * @param {string} content - Page content
+ * @param {Object} parsed
+ * @param {Object[]} parsed.params - Parameter schema of the page
+ * @param {{title: string, html: string|null, nunjucks: string|null}[]} parsed.examples - Examples of the page
+ * @returns {{sha256: string, params: Object[], examples: Object[]}} Digest
+ */
+function pageDigest(content, { params, examples }) {
+  return {
+    sha256: sha256(content),
+    params,
+    examples: examples.map((example) => ({
+      title: example.title,
+      html: codeHash(example.html),
+      nunjucks: codeHash(example.nunjucks),
+    })),
+  };
+}
+
+function diffNames(before, after) {
+  return {
+    added: Object.keys(after).filter((name) => !(name in before)).sort(),
+    removed: Object.keys(before).filter((name) => !(name in after)).sort(),
+  };
+}
+
+function isEmptyDiff(diff) {
+  return Object.values(diff).every((list) => list.length === 0);
+}
+
+/**
+ * One-line summary of a change entry
+ * @param {Object} entry - Entry of the change history
+ * @returns {string} Summary
+ */
+function summarizeChange(entry) {
+  const parts = [];
+  const count = (n, singular, plural) => `${n} ${n === 1 ? singular : plural}`;
+  if (entry.components.added.length) parts.push(count(entry.components.added.length, "componente añadido", "componentes añadidos"));
+  if (entry.components.removed.length) parts.push(count(entry.components.removed.length, "componente eliminado", "componentes eliminados"));
+  if (entry.patterns.added.length) parts.push(count(entry.patterns.added.length, "patrón añadido", "patrones añadidos"));
+  if (entry.patterns.removed.length) parts.push(count(entry.patterns.removed.length, "patrón eliminado", "patrones eliminados"));
+  if (entry.pages.length) parts.push(count(entry.pages.length, "página modificada", "páginas modificadas"));
+  return parts.join(", ");
+}
+
+function describeChange(entry) {
+  const lines = [];
+  for (const name of entry.components.added) lines.push(`+ Componente ${name}`);
+  for (const name of entry.components.removed) lines.push(`- Componente ${name}`);
+  for (const name of entry.patterns.added) lines.push(`+ Patrón ${name}`);
+  for (const name of entry.patterns.removed) lines.push(`- Patrón ${name}`);
+  for (const page of entry.pages) {
+    const details = [
+      ...page.params.added.map((param) => `+${param.path}`),
+      ...page.params.removed.map((param) => `-${param.path}`),
+      ...page.params.changed.map((param) => `~${param.path}`),
+      ...page.examples.added.map((title) => `+"${title}"`),
+      ...page.examples.removed.map((title) => `-"${title}"`),
+      ...page.examples.changed.map((example) => `~"${example.title}"`),
+    ];
+    lines.push(`~ ${page.component}: ${details.length ? details.join(" ") : "texto de la documentación"}`);
+  }
+  return lines.join("\n");
+}
+
+function escapeXml(text) {
+  return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+/**
+ * Renders change entries as an Atom feed
+ * @param {Object[]} entries - Entries, oldest first
+ * @param {Object} options
+ * @param {string} options.selfUrl - URL of the feed
+ * @param {string} options.siteUrl - URL of the documentation
+ * @returns {string} Atom XML
+ */
+function formatAtomFeed(entries, { selfUrl, siteUrl }) {
+  const updated = entries.length ? entries[entries.length - 1].date : new Date(0).toISOString();
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>${FEED_ID}</id>`,
+    "  <title>Cambios en la documentación de DESY</title>",
+    "  <author><name>DESY MCP Server</name></author>",
+    `  <updated>${updated}</updated>`,
+    `  <link rel="self" href="${escapeXml(selfUrl)}"/>`,
+    `  <link href="${escapeXml(siteUrl)}"/>`,
+    ...[...entries].reverse().flatMap((entry) => [
+      "  <entry>",
+      `    <id>${FEED_ID}:${entry.id}</id>`,
+      `    <title>${escapeXml(summarizeChange(entry))}</title>`,
+      `    <updated>${entry.date}</updated>`,
+      `    <content type="text">${escapeXml(describeChange(entry))}</content>`,
+      "  </entry>",
+    ]),
+    "</feed>",
+    "",
+  ].join("\n");
+}
+
+/**
+ * Creates the change history, stored as a JSON file
+ * @param {string} file - History file
+ * @param {Object} options
+ * @param {number} options.maxEntries - Entries kept, oldest are dropped first
+ * @returns {Object} Change feed
+ */
+function createChangeFeed(file, { maxEntries }) {
+  let state = { catalog: null, pages: {}, entries: [], checkedAt: null };
+  try {
+    state = { ...state, ...JSON.parse(fs.readFileSync(file, "utf8")) };
+  } catch {
+    // No history yet: the first catalog recorded is the baseline
+  }
+
+  function save() {
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const tmpFile = `${file}.${process.pid}.tmp`;
+      fs.writeFileSync(tmpFile, JSON.stringify(state));
+      fs.renameSync(tmpFile, file);
+    } catch (error) {
+      console.warn(`No se pudo guardar el historial de cambios en ${file}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Compares a catalog with the last one recorded and stores it
+   * @param {Object} catalog
+   * @param {Object<string, string>} catalog.components - Code page URL by component name
+   * @param {Object<string, string>} catalog.patterns - Pattern page URL by name
+   * @param {Object<string, {component: string, digest: Object}>} pages - Code page digests by
+   *   URL. Pages missing here (e.g. failed downloads) keep their previous digest.
+   * @returns {Object|null} New entry, or null when nothing changed or this is the baseline
+   */
+  function record(catalog, pages) {
+    let entry = null;
+
+    if (state.catalog) {
+      const changedPages = [];
+      for (const [url, { component, digest }] of Object.entries(pages)) {
+        const previous = state.pages[url];
+        if (!previous || previous.digest.sha256 === digest.sha256) continue;
+        changedPages.push({
+          component,
+          url,
+          params: diffParams(previous.digest.params, digest.params),
+          examples: diffExamples(previous.digest.examples, digest.examples),
+        });
+      }
+
+      const candidate = {
+        components: diffNames(state.catalog.components, catalog.components),
+        patterns: diffNames(state.catalog.patterns, catalog.patterns),
+        pages: changedPages,
+      };
+      if (!isEmptyDiff(candidate.components) || !isEmptyDiff(candidate.patterns) || changedPages.length > 0) {
+        const date = new Date().toISOString();
+        entry = { id: sha256(date + JSON.stringify(candidate)).slice(0, 12), date, ...candidate };
+        state.entries = [...state.entries, entry].slice(-maxEntries);
+      }
+    }
+
+    const catalogued = new Set(Object.values(catalog.components));
+    state.catalog = catalog;
+    state.pages = Object.fromEntries([
+      ...Object.entries(state.pages).filter(([url]) => catalogued.has(url)),
+      ...Object.entries(pages),
+    ]);
+    state.checkedAt = new Date().toISOString();
+    save();
+    return entry;
+  }
+
+  /**
+   * @param {string|null} [date] - ISO date; all entries when omitted
+   * @returns {Object[]} Entries recorded after the date, oldest first
+   */
+  function since(date = null) {
+    if (!date) return state.entries;
+    const time = Date.parse(date);
+    return state.entries.filter((entry) => Date.parse(entry.date) > time);
+  }
+
+  return {
+    record,
+    since,
+    get checkedAt() {
+      return state.checkedAt;
+    },
+  };
+}
+
+export { createChangeFeed, formatAtomFeed, pageDigest, summarizeChange };
@@ -0,0 +1,164 @@
+#!/usr/bin/env node
+/**
+ * DESY MCP Server - Línea de comandos
+ *
+ * Arranca el servidor MCP por stdio (para configurarlo como comando local en
+ * Claude Desktop, VS Code o Cursor) o por HTTP, y crea snapshots de la
+ * documentación. Las opciones tienen prioridad sobre el fichero de
+ * configuración y las variables de entorno (config.js).
+ *
+ * Uso:
+ *   desy-mcp [--stdio] [opciones]
+ *   desy-mcp --http [--port 5000] [--host 0.0.0.0] [opciones]
+ *   desy-mcp snapshot [directorio] [versión]
+ */
+
+import fs from "fs";
+import { fileURLToPath } from "url";
+import { parseArgs } from "util";
+import { configure, ConfigError } from "./config.js";
+
+// Options that override a configuration value
+const CONFIG_OPTIONS = {
+  port: "port",
+  host: "host",
+  "public-url": "publicUrl",
+  origin: "origin",
+  "cache-dir": "cacheDir",
+  "snapshot-dir": "snapshotDir",
+  "snapshot-version": "snapshotVersion",
+  "versions-dir": "versionsDir",
+};
+
+const OPTIONS = {
+  stdio: { type: "boolean" },
+  http: { type: "boolean" },
+  config: { type: "string", short: "c" },
+  help: { type: "boolean", short: "h" },
+  version: { type: "boolean", short: "v" },
+  ...Object.fromEntries(Object.keys(CONFIG_OPTIONS).map((name) => [name, { type: "string" }])),
+};
+
+const USAGE = `Uso: desy-mcp [--stdio | --http] [opciones]
+       desy-mcp snapshot [directorio] [versión]
+
+Modos:
+  --stdio                    Servidor MCP por stdio (por defecto)
+  --http                     Servidor HTTP con el endpoint /mcp y la guía de instalación
+  --port <puerto>            Puerto del modo HTTP (PORT, 5000)
+  --host <interfaz>          Interfaz del modo HTTP (HOST, 0.0.0.0)
+
+Configuración (también en el fichero de configuración y por variables de entorno):
+  -c, --config <fichero>     Fichero JSON de configuración (DESY_CONFIG_FILE, ./desy-mcp.config.json)
+  --public-url <url>         URL pública del servidor en la guía de instalación (DESY_PUBLIC_URL)
+  --origin <url>             Sitio de DESY del que se lee llms.txt (DESY_ORIGIN, https://desy.aragon.es)
+  --cache-dir <dir>          Cache de páginas (DESY_CACHE_DIR, ./.cache/desy-pages)
+  --snapshot-dir <dir>       Responde desde un snapshot, sin red (DESY_SNAPSHOT_DIR)
+  --snapshot-version <v>     Versión del snapshot, la más reciente por defecto (DESY_SNAPSHOT_VERSION)
+  --versions-dir <dir>       Snapshots para el argumento version (DESY_VERSIONS_DIR, ./snapshots)
+
+  -h, --help                 Muestra esta ayuda
+  -v, --version              Muestra la versión
+`;
+
+function readPackageVersion() {
+  const pkg = JSON.parse(fs.readFileSync(new URL("./package.json", import.meta.url), "utf8"));
+  return pkg.version;
+}
+
+// The server modules read the configuration when they are imported
+function loadOptions(values) {
+  const overrides = Object.fromEntries(Object.entries(CONFIG_OPTIONS).map(([name, option]) => [option, values[name]]));
+  return configure({ file: values.config, overrides });
+}
+
+async function runSnapshot([outDir = "snapshots", version]) {
+  const { crawlSnapshot } = await import("./mcp-server.js");
+  try {
+    const { dir, manifest } = await crawlSnapshot(outDir, version);
+    console.log(`Snapshot ${manifest.version} guardado en ${dir} (${Object.keys(manifest.pages).length} páginas)`);
+    for (const { url, message } of manifest.errors) {
+      console.warn(`  No se pudo descargar ${url}: ${message}`);
+    }
+    process.exit(0);
+  } catch (error) {
+    console.error(`Error al crear el snapshot: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// stdout carries the protocol, so logs go to stderr
+async function runStdio() {
+  const { StdioServerTransport } = await import("@modelcontextprotocol/sdk/server/stdio.js");
+  const { createMcpServer, getServerStatus } = await import("./mcp-server.js");
+  const transport = new StdioServerTransport();
+  transport.onclose = () => process.exit(0);
+  await createMcpServer().connect(transport);
+
+  const { snapshot } = getServerStatus();
+  console.error(`DESY MCP Server escuchando por stdio${snapshot ? ` (snapshot ${snapshot.version})` : ""}`);
+}
+
+async function runHttp() {
+  const { startHttpServer } = await import("./server-desy.js");
+  await startHttpServer();
+}
+
+/**
+ * Runs the CLI
+ * @param {string[]} argv - Arguments, without the node executable and script
+ * @returns {Promise<void>}
+ */
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    if (parsed.values.stdio && parsed.values.http) {
+      throw new Error("--stdio y --http no se pueden usar a la vez");
+    }
+    const [command] = parsed.positionals;
+    if (command !== undefined && command !== "snapshot") {
+      throw new Error(`Comando desconocido: '${command}'`);
+    }
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    process.exit(2);
+  }
+
+  const { values, positionals } = parsed;
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (values.version) {
+    console.log(readPackageVersion());
+    return;
+  }
+
+  try {
+    loadOptions(values);
+  } catch (error) {
+    if (!(error instanceof ConfigError)) throw error;
+    console.error(error.message);
+    process.exit(2);
+  }
+
+  try {
+    if (positionals[0] === "snapshot") {
+      await runSnapshot(positionals.slice(1));
+    } else if (values.http) {
+      await runHttp();
+    } else {
+      await runStdio();
+    }
+  } catch (error) {
+    console.error(`Error al arrancar DESY MCP Server: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+if (process.argv[1] && fs.realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  await main(process.argv.slice(2));
+}
+
+export { main };
@@ -0,0 +1,215 @@
+/**
+ * Conversión de componentes entre Nunjucks y Angular
+ *
+ * Serializa los parámetros de un componente como llamada a la macro Nunjucks
+ * o como plantilla Angular con sus inputs enlazados, interpreta el elemento
+ * desy-* de una plantilla Angular y compara conjuntos de parámetros para
+ * emparejar la entrada con la variante más parecida de la documentación.
+ */
+
+import { parse } from "node-html-parser";
+
+// Variables and expressions in a macro call or an Angular binding are kept as
+// { [MACRO_EXPRESSION]: source } so they are not type-checked and can be
+// written back verbatim.
+const MACRO_EXPRESSION = Symbol("expression");
+
+const NUNJUCKS_STYLE = { quote: '"', quoteKeys: true, indent: "  " };
+const ANGULAR_STYLE = { quote: "'", quoteKeys: false, indent: null };
+
+// Templates with more attributes than this are written one attribute per line
+const INLINE_ATTRIBUTES_MAX = 2;
+
+const ATTRIBUTE_PATTERN = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+
+const HTML_ENTITIES = { "&quot;": '"', "&#39;": "'", "&apos;": "'", "&lt;": "<", "&gt;": ">", "&amp;": "&" };
+
+/**
+ * Wraps the source of a variable or expression found in parameters
+ * @param {string} source - Expression as written
+ * @returns {Object} Expression value
+ */
+function macroExpression(source) {
+  return { [MACRO_EXPRESSION]: source };
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean} Whether the value is an expression created by macroExpression
+ */
+function isMacroExpression(value) {
+  return Boolean(value) && typeof value === "object" && MACRO_EXPRESSION in value;
+}
+
+/**
+ * @param {*} value - Parameters or a single value
+ * @returns {boolean} Whether the value contains an expression at any depth
+ */
+function containsMacroExpression(value) {
+  if (isMacroExpression(value)) return true;
+  return Boolean(value) && typeof value === "object" && Object.values(value).some(containsMacroExpression);
+}
+
+function quoteString(value, quote) {
+  const escaped = value
+    .replace(/\\/g, "\\\\")
+    .replace(/\n/g, "\\n")
+    .replace(new RegExp(quote, "g"), `\\${quote}`);
+  return `${quote}${escaped}${quote}`;
+}
+
+function toLiteral(value, style, depth = 0) {
+  if (isMacroExpression(value)) return value[MACRO_EXPRESSION];
+  if (value === null || value === undefined) return "null";
+  if (typeof value === "string") return quoteString(value, style.quote);
+  if (typeof value !== "object") return String(value);
+
+  const entries = Array.isArray(value)
+    ? value.map((item) => toLiteral(item, style, depth + 1))
+    : Object.entries(value).map(([key, item]) => {
+      const name = style.quoteKeys || !/^[A-Za-z_$][\w$]*$/.test(key) ? quoteString(key, style.quote) : key;
+      return `${name}: ${toLiteral(item, style, depth + 1)}`;
+    });
+  const [open, close] = Array.isArray(value) ? ["[", "]"] : ["{", "}"];
+
+  if (entries.length === 0) return `${open}${close}`;
+  if (!style.indent) {
+    return Array.isArray(value) ? `${open}${entries.join(", ")}${close}` : `${open} ${entries.join(", ")} ${close}`;
+  }
+  const pad = style.indent.repeat(depth + 1);
+  return `${open}\n${entries.map((entry) => pad + entry).join(",\n")}\n${style.indent.repeat(depth)}${close}`;
+}
+
+function escapeAttribute(value) {
+  return value.replace(/&/g, "&amp;").replace(/"/g, "&quot;");
+}
+
+function decodeEntities(value) {
+  return value.replace(/&(quot|#39|apos|lt|gt|amp);/g, (entity) => HTML_ENTITIES[entity]);
+}
+
+/**
+ * Writes a Nunjucks macro call with its import, as in the DESY examples
+ * @param {string} slug - Template folder of the component (e.g. "accordion-history")
+ * @param {string} macro - Macro name (e.g. "componentAccordionHistory")
+ * @param {Object} params - Macro parameters
+ * @returns {string} Nunjucks code
+ */
+function formatNunjucksCall(slug, macro, params) {
+  return `{% from "components/${slug}/_macro.${slug}.njk" import ${macro} %}\n{{ ${macro}(${toLiteral(params, NUNJUCKS_STYLE)}) }}`;
+}
+
+/**
+ * Writes an Angular element for a desy-angular component. Text parameters
+ * become static attributes and everything else a property binding.
+ * @param {string} tag - Element name (e.g. "desy-button")
+ * @param {Object} params - Component parameters
+ * @param {Object} [options]
+ * @param {Object<string, string>} [options.types] - Schema type of each top-level parameter
+ * @returns {string} Angular template
+ */
+function formatAngularTemplate(tag, params, { types = {} } = {}) {
+  const attributes = Object.entries(params)
+    .filter(([, value]) => value !== undefined)
+    .map(([name, value]) => {
+      const isText = typeof value === "string" && (types[name] ?? "string") === "string" && !value.includes("{{");
+      return isText
+        ? `${name}="${escapeAttribute(value)}"`
+        : `[${name}]="${escapeAttribute(toLiteral(value, ANGULAR_STYLE))}"`;
+    });
+
+  if (attributes.length === 0) return `<${tag}></${tag}>`;
+  if (attributes.length <= INLINE_ATTRIBUTES_MAX) return `<${tag} ${attributes.join(" ")}></${tag}>`;
+  return `<${tag}\n${attributes.map((attribute) => `  ${attribute}`).join("\n")}>\n</${tag}>`;
+}
+
+/**
+ * Reads the first desy-* element of an Angular template
+ * @param {string} template - Angular template
+ * @returns {{tag: string, bindings: {name: string, value: string|null, bound: boolean}[], outputs: string[], content: string, children: string[]}|null} Element, or null when there is none
+ */
+function parseAngularElement(template) {
+  const root = parse(template, { lowerCaseTagName: false });
+  const element = root.querySelectorAll("*").find((el) => /^desy-/i.test(el.rawTagName));
+  if (!element) return null;
+
+  const bindings = [];
+  const outputs = [];
+  for (const match of element.rawAttrs.matchAll(ATTRIBUTE_PATTERN)) {
+    const [, rawName, doubleQuoted, singleQuoted, unquoted] = match;
+    const raw = doubleQuoted ?? singleQuoted ?? unquoted;
+    const value = raw === undefined ? null : decodeEntities(raw);
+    if (/^\(.+\)$/.test(rawName) || rawName.startsWith("*") || rawName.startsWith("#")) {
+      outputs.push(rawName);
+    } else if (/^\[\(.+\)\]$/.test(rawName)) {
+      bindings.push({ name: rawName.slice(2, -2), value, bound: true });
+    } else if (/^\[.+\]$/.test(rawName)) {
+      bindings.push({ name: rawName.slice(1, -1), value, bound: true });
+    } else {
+      bindings.push({ name: rawName, value, bound: false });
+    }
+  }
+
+  return {
+    tag: element.rawTagName,
+    bindings,
+    outputs,
+    content: element.innerHTML.trim(),
+    children: element.querySelectorAll("*").map((el) => el.rawTagName).filter((name) => /^desy-/i.test(name)),
+  };
+}
+
+function flattenValues(value, prefix, entries) {
+  if (value && typeof value === "object" && !isMacroExpression(value)) {
+    for (const [key, item] of Object.entries(value)) {
+      flattenValues(item, prefix ? `${prefix}.${Array.isArray(value) ? "[]" : key}` : key, entries);
+    }
+  } else {
+    entries.push([prefix, isMacroExpression(value) ? value[MACRO_EXPRESSION] : JSON.stringify(value)]);
+  }
+  return entries;
+}
+
+/**
+ * Similarity between two sets of parameters: shared parameter paths count
+ * half, and equal values the other half
+ * @param {Object} a - Parameters
+ * @param {Object} b - Parameters
+ * @returns {number} Score from 0 to 1
+ */
+function paramsSimilarity(a, b) {
+  const left = flattenValues(a, "", []);
+  const right = flattenValues(b, "", []);
+  const leftPaths = new Set(left.map(([path]) => path));
+  const rightPaths = new Set(right.map(([path]) => path));
+  const paths = new Set([...leftPaths, ...rightPaths]);
+  if (paths.size === 0) return 1;
+
+  const shared = [...leftPaths].filter((path) => rightPaths.has(path)).length;
+  const rightValues = new Map();
+  for (const [path, value] of right) {
+    const entry = `${path}=${value}`;
+    rightValues.set(entry, (rightValues.get(entry) || 0) + 1);
+  }
+  let equal = 0;
+  for (const [path, value] of left) {
+    const entry = `${path}=${value}`;
+    if (rightValues.get(entry) > 0) {
+      rightValues.set(entry, rightValues.get(entry) - 1);
+      equal++;
+    }
+  }
+
+  return (shared / paths.size + equal / Math.max(left.length, right.length)) / 2;
+}
+
+export {
+  containsMacroExpression,
+  formatAngularTemplate,
+  formatNunjucksCall,
+  isMacroExpression,
+  macroExpression,
+  paramsSimilarity,
+  parseAngularElement,
+  MACRO_EXPRESSION,
+};
@@ -0,0 +1,92 @@
+/**
+ * Comparación de un componente entre dos versiones de DESY
+ *
+ * Compara el esquema de parámetros Nunjucks y los ejemplos de código de un
+ * componente tal como aparecen en dos snapshots y devuelve los parámetros y
+ * ejemplos añadidos, eliminados y modificados. Los cambios que obligan a
+ * modificar llamadas existentes se marcan como incompatibles.
+ */
+
+const COMPARED_PARAM_FIELDS = ["type", "required", "description"];
+const EXAMPLE_FORMATS = ["html", "nunjucks"];
+
+function flattenSchema(params, prefix = "", paths = new Map()) {
+  for (const param of params) {
+    const path = prefix ? `${prefix}.${param.name}` : param.name;
+    paths.set(path, param);
+    if (param.params) flattenSchema(param.params, path, paths);
+  }
+  return paths;
+}
+
+function describeParam(path, param) {
+  return { path, type: param.type, required: param.required };
+}
+
+/**
+ * Compares two parameter schemas (as returned by getComponentSchema)
+ * @param {Object[]} before - Parameters in the older version
+ * @param {Object[]} after - Parameters in the newer version
+ * @returns {{added: Object[], removed: Object[], changed: Object[]}} Changes by
+ *   dotted path. Removed parameters, new required ones, type changes and
+ *   parameters that become required are marked `breaking`.
+ */
+function diffParams(before, after) {
+  const old = flattenSchema(before);
+  const current = flattenSchema(after);
+  const added = [];
+  const removed = [];
+  const changed = [];
+
+  for (const [path, param] of current) {
+    if (!old.has(path)) added.push({ ...describeParam(path, param), breaking: param.required });
+  }
+  for (const [path, param] of old) {
+    const next = current.get(path);
+    if (!next) {
+      removed.push({ ...describeParam(path, param), breaking: true });
+      continue;
+    }
+    const changes = {};
+    for (const field of COMPARED_PARAM_FIELDS) {
+      if (param[field] !== next[field]) changes[field] = { from: param[field], to: next[field] };
+    }
+    if (Object.keys(changes).length > 0) {
+      changed.push({ path, changes, breaking: Boolean(changes.type || (changes.required && next.required)) });
+    }
+  }
+
+  return { added, removed, changed };
+}
+
+function normalizeCode(code) {
+  return (code || "").replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Compares the examples of two versions by title
+ * @param {{title: string, html: string|null, nunjucks: string|null}[]} before - Older examples
+ * @param {{title: string, html: string|null, nunjucks: string|null}[]} after - Newer examples
+ * @returns {{added: string[], removed: string[], changed: {title: string, formats: string[]}[]}} Changes
+ */
+function diffExamples(before, after) {
+  const key = (example) => example.title.trim().toLowerCase();
+  const old = new Map(before.map((example) => [key(example), example]));
+  const current = new Map(after.map((example) => [key(example), example]));
+
+  const changed = [];
+  for (const [title, example] of current) {
+    const previous = old.get(title);
+    if (!previous) continue;
+    const formats = EXAMPLE_FORMATS.filter((format) => normalizeCode(previous[format]) !== normalizeCode(example[format]));
+    if (formats.length > 0) changed.push({ title: example.title, formats });
+  }
+
+  return {
+    added: after.filter((example) => !old.has(key(example))).map((example) => example.title),
+    removed: before.filter((example) => !current.has(key(example))).map((example) => example.title),
+    changed,
+  };
+}
+
+export { diffExamples, diffParams };
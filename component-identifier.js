@@ -0,0 +1,380 @@
+/**
+ * Identificación de componentes DESY en HTML existente
+ *
+ * Compara cada posible raíz de componente del HTML recibido con la firma
+ * (clases de componente, resto de clases y estructura de etiquetas y
+ * atributos) de los ejemplos de la documentación, y reconstruye los
+ * parámetros Nunjucks probables leyendo en el HTML los textos y atributos que
+ * cada parámetro produce en el ejemplo más parecido.
+ */
+
+import { parse } from "node-html-parser";
+import { isMacroExpression } from "./component-converter.js";
+import { detectComponent, excerpt, lineAt, parseMarkup } from "./markup-audit.js";
+
+const MIN_IDENTIFY_SIMILARITY = 0.4;
+
+// Weight of each part of the signature in the similarity score
+const SIGNATURE_WEIGHTS = { componentClasses: 0.5, classes: 0.2, structure: 0.3 };
+
+const STRUCTURAL_ATTRIBUTE = /^(role|type|data-module|aria-[a-z]+)$/;
+
+const ALTERNATIVES_MAX = 2;
+
+function elementChildren(el) {
+  return el.childNodes.filter((node) => node.nodeType === 1);
+}
+
+// Headings are compared by position only, since their level is a parameter
+function normalizedTag(el) {
+  return /^H[1-6]$/.test(el.tagName) ? "H*" : el.tagName;
+}
+
+function normalizeText(text) {
+  return text.replace(/\s+/g, " ").trim();
+}
+
+function blockClasses(el) {
+  return el.classList.value.filter((className) => /^c-[a-z0-9-]+$/.test(className) && !className.includes("--"));
+}
+
+function jaccard(a, b) {
+  if (a.size === 0 && b.size === 0) return 1;
+  let shared = 0;
+  for (const value of a) {
+    if (b.has(value)) shared++;
+  }
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Class and structure signature of an element and its descendants
+ * @param {Object} root - Element
+ * @returns {{componentClasses: Set<string>, classes: Set<string>, structure: Set<string>}} Signature
+ */
+function fingerprint(root) {
+  const classes = new Set();
+  const structure = new Set();
+
+  for (const el of [root, ...root.querySelectorAll("*")]) {
+    el.classList.value.forEach((className) => classes.add(className.split(":").pop()));
+    const parent = el === root ? "ROOT" : normalizedTag(el.parentNode);
+    structure.add(`${parent}>${normalizedTag(el)}`);
+    for (const name of Object.keys(el.attributes)) {
+      if (STRUCTURAL_ATTRIBUTE.test(name)) {
+        structure.add(`${normalizedTag(el)}[${name === "type" || name === "role" ? `${name}=${el.getAttribute(name)}` : name}]`);
+      }
+    }
+  }
+
+  return {
+    componentClasses: new Set([...classes].filter((className) => className.startsWith("c-"))),
+    classes,
+    structure,
+  };
+}
+
+/**
+ * @param {Object} a - Signature from fingerprint()
+ * @param {Object} b - Signature from fingerprint()
+ * @returns {number} Weighted similarity from 0 to 1
+ */
+function fingerprintSimilarity(a, b) {
+  return Object.entries(SIGNATURE_WEIGHTS)
+    .reduce((score, [part, weight]) => score + weight * jaccard(a[part], b[part]), 0);
+}
+
+// Root of a documented example: the element after the "<!-- slug -->"
+// comment of the template, or the first element
+function exampleRoot(root, component) {
+  const nodes = root.childNodes;
+  const marker = nodes.findIndex((node) => node.nodeType === 8 && node.rawText.trim() === component);
+  const candidates = marker === -1 ? nodes : nodes.slice(marker + 1);
+  return candidates.find((node) => node.nodeType === 1) || null;
+}
+
+/**
+ * Signatures of the documented examples
+ * @param {{component: string, title: string, html: string, params: Object|null}[]} examples - Example HTML with the params of its Nunjucks call
+ * @returns {Object[]} Signatures, input for identifyComponents
+ */
+function buildSignatures(examples) {
+  const signatures = [];
+  for (const example of examples) {
+    const root = exampleRoot(parseMarkup(example.html), example.component);
+    if (!root) continue;
+    signatures.push({
+      component: example.component,
+      title: example.title,
+      params: example.params,
+      root,
+      blocks: blockClasses(root),
+      fingerprint: fingerprint(root),
+    });
+  }
+  return signatures;
+}
+
+function relativePath(root, el) {
+  const path = [];
+  for (let node = el; node !== root; node = node.parentNode) {
+    const tag = normalizedTag(node);
+    const index = elementChildren(node.parentNode).filter((sibling) => normalizedTag(sibling) === tag).indexOf(node);
+    path.unshift([tag, index]);
+  }
+  return path;
+}
+
+function resolvePath(root, path) {
+  let node = root;
+  for (const [tag, index] of path) {
+    node = elementChildren(node).filter((child) => normalizedTag(child) === tag)[index];
+    if (!node) return null;
+  }
+  return node;
+}
+
+// Moves a path to another item of a repeated list
+function applyShifts(path, shifts) {
+  const shifted = path.map((step) => [...step]);
+  for (const { depth, delta } of shifts) {
+    if (shifted[depth]) shifted[depth][1] += delta;
+  }
+  return shifted;
+}
+
+// Where a parameter value shows up in the example: an attribute (whole
+// value, or the prefix of generated ids), the root classes, a heading level
+// or the text of the innermost element that contains it
+function locateValue(root, value, key) {
+  const nodes = [root, ...root.querySelectorAll("*")];
+
+  if (typeof value === "number") {
+    const heading = nodes.find((el) => el.tagName === `H${value}`);
+    return heading ? { el: heading, mode: "heading" } : null;
+  }
+
+  if (value === "") return null;
+
+  if (key === "classes") {
+    const classes = value.split(/\s+/).filter(Boolean);
+    const el = nodes.find((node) => classes.length > 0 && classes.every((className) => node.classList.contains(className)));
+    return el ? { el, mode: "classes", classes } : null;
+  }
+
+  for (const el of nodes) {
+    for (const [name, attribute] of Object.entries(el.attributes)) {
+      if (name === "class") continue;
+      if (attribute === value) return { el, mode: "attribute", attribute: name };
+      if (value.length >= 3 && /^[\w-]+$/.test(value) && attribute.startsWith(`${value}-`)) {
+        return { el, mode: "prefix", attribute: name, suffix: attribute.slice(value.length) };
+      }
+    }
+  }
+
+  const isHtml = /<[a-z]/i.test(value);
+  const fragment = parse(value);
+  const text = normalizeText(isHtml ? fragment.text : value);
+  if (!text) return null;
+  let el = nodes.find((node) => normalizeText(node.text) === text);
+  if (!el) return null;
+  el = innermostWithText(el, text);
+  if (!isHtml) return { el, mode: "text" };
+
+  // A value that is a single element ("<span>…</span>") is read with its tag
+  const [wrapper, ...rest] = elementChildren(fragment);
+  if (!wrapper || rest.length > 0 || normalizeText(wrapper.text) !== text) return { el, mode: "html" };
+  const depth = relativePath(wrapper, innermostWithText(wrapper, text)).length;
+  for (let i = 0; i < depth && el !== root; i++) el = el.parentNode;
+  return { el, mode: "outerHtml" };
+}
+
+function innermostWithText(el, text) {
+  let child;
+  while ((child = elementChildren(el).find((node) => normalizeText(node.text) === text))) {
+    el = child;
+  }
+  return el;
+}
+
+function readLocation(target, location) {
+  switch (location.mode) {
+    case "heading":
+      return /^H[1-6]$/.test(target.tagName) ? Number(target.tagName[1]) : null;
+    case "classes": {
+      const own = new Set(location.el.classList.value.filter((className) => !location.classes.includes(className)));
+      return target.classList.value.filter((className) => !own.has(className)).join(" ");
+    }
+    case "attribute":
+      return target.getAttribute(location.attribute) ?? null;
+    case "prefix": {
+      const attribute = target.getAttribute(location.attribute);
+      return attribute?.endsWith(location.suffix) ? attribute.slice(0, -location.suffix.length) : null;
+    }
+    case "html":
+      return target.innerHTML.trim();
+    case "outerHtml":
+      return target.outerHTML.trim();
+    default:
+      return normalizeText(target.text);
+  }
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value) && !isMacroExpression(value);
+}
+
+/**
+ * Rebuilds the params of a component from its HTML, using the params of the
+ * closest example and where each of their values appears in its HTML. Lists
+ * of items follow the number of repeated elements found in the HTML.
+ * @param {Object} exampleRootElement - Root element of the example
+ * @param {Object} exampleParams - Params of the example's Nunjucks call
+ * @param {Object} root - Root element of the component in the analysed HTML
+ * @returns {{params: Object, assumed: string[]}} Params, and the paths whose value was copied from the example
+ */
+function reconstructParams(exampleRootElement, exampleParams, root) {
+  const assumed = [];
+
+  const locate = (value, key) => {
+    const location = locateValue(exampleRootElement, value, key);
+    return location ? { ...location, path: relativePath(exampleRootElement, location.el) } : null;
+  };
+
+  const read = (value, key, path, shifts) => {
+    const location = locate(value, key);
+    const target = location && resolvePath(root, applyShifts(location.path, shifts));
+    const result = target ? readLocation(target, location) : null;
+    if (result === null || result === undefined) {
+      assumed.push(path);
+      return value;
+    }
+    return result;
+  };
+
+  // Location of the first value of an item that can be found in the example
+  const anchor = (value, key) => {
+    if (typeof value === "string" || typeof value === "number") return locate(value, key)?.path || null;
+    if (!isPlainObject(value)) return null;
+    for (const [childKey, child] of Object.entries(value)) {
+      const found = anchor(child, childKey);
+      if (found) return found;
+    }
+    return null;
+  };
+
+  const walkArray = (items, key, path, shifts) => {
+    const walkItems = (count, stride, depth) => Array.from({ length: count }, (_, i) => {
+      const template = Math.min(i, items.length - 1);
+      const itemShifts = stride ? [...shifts, { depth, delta: (i - template) * stride }] : shifts;
+      return walk(items[template], key, `${path}[${i}]`, itemShifts);
+    });
+
+    const [first, second] = items.slice(0, 2).map((item) => anchor(item, key));
+    const depth = first && second ? first.findIndex((step, i) => second[i] && step[1] !== second[i][1]) : -1;
+    if (depth === -1) return walkItems(items.length, 0, 0);
+
+    const [tag, firstIndex] = first[depth];
+    const stride = second[depth][1] - firstIndex;
+    const parent = resolvePath(root, applyShifts(first.slice(0, depth), shifts));
+    const available = parent ? elementChildren(parent).filter((child) => normalizedTag(child) === tag).length : 0;
+    const count = available > firstIndex ? Math.floor((available - firstIndex - 1) / stride) + 1 : 0;
+    return walkItems(count, stride, depth);
+  };
+
+  const walk = (value, key, path, shifts) => {
+    if (Array.isArray(value) && value.length > 0 && value.every(isPlainObject)) return walkArray(value, key, path, shifts);
+    if (isPlainObject(value)) {
+      return Object.fromEntries(Object.entries(value).map(([childKey, child]) => [childKey, walk(child, childKey, `${path}.${childKey}`, shifts)]));
+    }
+    if (typeof value === "string" || typeof value === "number") return read(value, key, path, shifts);
+    assumed.push(path);
+    return value;
+  };
+
+  const params = walk(exampleParams, null, "$", []);
+  // Modifier classes of the analysed root that the example does not produce
+  if (isPlainObject(params) && params.classes === undefined) {
+    const own = new Set(exampleRootElement.classList.value);
+    const extra = root.classList.value.filter((className) => !own.has(className));
+    if (extra.length > 0) params.classes = extra.join(" ");
+  }
+
+  return { params, assumed };
+}
+
+function domPath(el) {
+  const steps = [];
+  for (let node = el; node && node.tagName; node = node.parentNode) {
+    const tag = node.rawTagName.toLowerCase();
+    const [firstClass] = node.classList.value;
+    steps.unshift(node.id ? `${tag}#${node.id}` : firstClass ? `${tag}.${firstClass}` : tag);
+  }
+  return steps.join(" > ");
+}
+
+/**
+ * Finds DESY components in HTML and the documented variant each one is
+ * closest to
+ * @param {string} html - HTML fragment or page
+ * @param {Object[]} signatures - Example signatures from buildSignatures
+ * @param {Object} options
+ * @param {Iterable<string>} options.componentSlugs - Known component slugs
+ * @returns {{components: string[], matches: Object[]}} Matches in document order
+ */
+function identifyComponents(html, signatures, { componentSlugs }) {
+  const slugs = new Set(componentSlugs);
+  const root = parseMarkup(html);
+  const matches = [];
+
+  for (const el of root.querySelectorAll("*")) {
+    const blocks = blockClasses(el);
+    const marked = detectComponent(el, slugs);
+    if (blocks.length === 0 && !marked) continue;
+
+    const candidates = signatures.filter((signature) =>
+      signature.component === marked || signature.blocks.some((block) => blocks.includes(block)));
+    if (candidates.length === 0) continue;
+
+    const signature = fingerprint(el);
+    const ranked = candidates
+      .map((candidate) => ({ candidate, similarity: fingerprintSimilarity(signature, candidate.fingerprint) }))
+      .sort((a, b) => b.similarity - a.similarity);
+    const [best] = ranked;
+    if (best.similarity < MIN_IDENTIFY_SIMILARITY) continue;
+
+    const alternatives = [];
+    for (const { candidate, similarity } of ranked.slice(1)) {
+      if (alternatives.length === ALTERNATIVES_MAX) break;
+      if (alternatives.some((alternative) => alternative.component === candidate.component && alternative.variant === candidate.title)) continue;
+      alternatives.push({ component: candidate.component, variant: candidate.title, similarity: Number(similarity.toFixed(2)) });
+    }
+
+    const reconstructed = best.candidate.params
+      ? reconstructParams(best.candidate.root, best.candidate.params, el)
+      : { params: null, assumed: [] };
+
+    matches.push({
+      component: best.candidate.component,
+      variant: best.candidate.title,
+      similarity: Number(best.similarity.toFixed(2)),
+      path: domPath(el),
+      line: lineAt(html, el.range[0]),
+      element: excerpt(el),
+      params: reconstructed.params,
+      assumedParams: reconstructed.assumed,
+      alternatives,
+    });
+  }
+
+  return { components: [...new Set(matches.map((match) => match.component))].sort(), matches };
+}
+
+export {
+  buildSignatures,
+  fingerprint,
+  fingerprintSimilarity,
+  identifyComponents,
+  reconstructParams,
+  MIN_IDENTIFY_SIMILARITY,
+};
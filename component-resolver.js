@@ -0,0 +1,287 @@
+/**
+ * Resolución de nombres de componente
+ *
+ * Puntúa cada componente del catálogo de llms.txt frente al término buscado
+ * (distancia de edición, trigramas y coincidencia de palabra completa sobre
+ * clave, nombre, slug de URL y alias) y devuelve una lista ordenada de forma
+ * determinista con una confianza para el mejor resultado.
+ */
+
+const MIN_RESOLVE_SCORE = 0.6;
+
+// Lower value wins when two candidates have the same score: an alias from
+// the table, then the canonical name (key and name), then the URL slug.
+// Category similarity breaks the remaining ties (rankComponents)
+const MATCH_PRIORITY = { alias: 0, key: 1, name: 2, slug: 3 };
+
+// Lower value wins when several components claim the same alias
+const SOURCE_PRIORITY = { identity: 0, override: 1, title: 2 };
+
+/**
+ * Normalizes a component name or search term: lowercase, no accents, no
+ * trailing format marker such as "(HTML)", hyphens treated as spaces
+ * @param {string} text - Raw text
+ * @returns {string} Normalized text
+ */
+function normalizeTerm(text) {
+  return text.toLowerCase().trim()
+    .normalize("NFD").replace(/[\u0300-\u036f]/g, "")
+    .replace(/\s*\((html|nunjucks|angular)\)$/, "")
+    .replace(/[\s_-]+/g, " ");
+}
+
+/**
+ * Levenshtein edit distance
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} Number of single-character edits
+ */
+function levenshtein(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = above;
+    }
+  }
+  return previous[b.length];
+}
+
+function trigrams(text) {
+  const padded = `  ${text} `;
+  const grams = new Set();
+  for (let i = 0; i < padded.length - 2; i++) {
+    grams.add(padded.slice(i, i + 3));
+  }
+  return grams;
+}
+
+/**
+ * Similarity between two normalized strings, from 0 to 1
+ * @param {string} term - Normalized search term
+ * @param {string} candidate - Normalized candidate
+ * @returns {number} Similarity score
+ */
+function similarity(term, candidate) {
+  if (term === candidate) return 1;
+  if (!term || !candidate) return 0;
+
+  const editScore = 1 - levenshtein(term, candidate) / Math.max(term.length, candidate.length);
+
+  const termGrams = trigrams(term);
+  const candidateGrams = trigrams(candidate);
+  let shared = 0;
+  for (const gram of termGrams) {
+    if (candidateGrams.has(gram)) shared++;
+  }
+  const trigramScore = (2 * shared) / (termGrams.size + candidateGrams.size);
+
+  // "history" in "accordion-history", "modal" in "ventana modal"
+  const wordScore = candidate.split(" ").includes(term) || term.split(" ").includes(candidate) ? 0.85 : 0;
+
+  return Math.max(editScore, trigramScore, wordScore);
+}
+
+/**
+ * Spanish slug in the URL of a component page
+ * @param {string} url - Page URL (e.g. ".../componente-acordeon-historico-codigo.html.md")
+ * @returns {string|null} Slug (e.g. "acordeon-historico"), or null for other pages
+ */
+function getUrlSlug(url) {
+  const match = url.match(/componente-([a-z0-9-]+?)(?:-codigo.*|-props.*)?\.html/i);
+  return match ? match[1].toLowerCase() : null;
+}
+
+function buildCandidates(components, aliases) {
+  const candidates = [];
+
+  for (const [key, comp] of Object.entries(components)) {
+    candidates.push({ key, text: normalizeTerm(key), matchType: "key" });
+    candidates.push({ key, text: normalizeTerm(comp.name), matchType: "name" });
+    const slug = getUrlSlug(comp.url);
+    if (slug) candidates.push({ key, text: normalizeTerm(slug), matchType: "slug" });
+    for (const alias of aliases[key] || []) {
+      candidates.push({ key, text: alias, matchType: "alias" });
+    }
+  }
+
+  return candidates;
+}
+
+function pluralize(word, language) {
+  if (word.includes(" ") || /s$/.test(word)) return null;
+  return language === "en" || /[aeiou]$/.test(word) ? `${word}s` : `${word}es`;
+}
+
+/**
+ * Builds the alias table from the catalog itself (component names, URL
+ * slugs and page titles in English and Spanish) merged with curated
+ * overrides. An alias claimed by several different components is kept for
+ * all of them, so resolution reports it as ambiguous, unless it is the own
+ * name or slug of one of them or comes from the overrides.
+ * @param {Object<string, Object>} components - Components parsed from llms.txt, by key
+ * @param {Object} [options]
+ * @param {Object<string, string[]>} [options.titles] - Page titles by component key
+ * @param {Object<string, string[]>} [options.overrides] - Curated aliases by component name or slug
+ * @returns {{aliases: Object<string, string[]>, conflicts: {alias: string, keys: string[], resolvedTo: string|null}[], unmatchedOverrides: string[]}} Alias table
+ */
+function buildAliasTable(components, { titles = {}, overrides = {} } = {}) {
+  const claims = new Map();
+  const keysByIdentity = new Map();
+
+  const claim = (alias, key, source) => {
+    const normalized = normalizeTerm(alias);
+    if (!normalized) return;
+    if (!claims.has(normalized)) claims.set(normalized, new Map());
+    const byKey = claims.get(normalized);
+    const previous = byKey.get(key);
+    if (!previous || SOURCE_PRIORITY[source] < SOURCE_PRIORITY[previous]) {
+      byKey.set(key, source);
+    }
+  };
+
+  for (const [key, comp] of Object.entries(components)) {
+    const slug = getUrlSlug(comp.url);
+    // Component names are English, URL slugs and page titles mostly Spanish
+    const identities = [[normalizeTerm(comp.name), "en"], ...(slug ? [[normalizeTerm(slug), "es"]] : [])];
+    for (const [identity] of identities) {
+      claim(identity, key, "identity");
+      if (!keysByIdentity.has(identity)) keysByIdentity.set(identity, key);
+    }
+    for (const [identity, language] of identities) {
+      const plural = pluralize(identity, language);
+      if (plural) claim(plural, key, "title");
+    }
+    for (const title of titles[key] || []) {
+      claim(title, key, "title");
+      const plural = pluralize(normalizeTerm(title), "es");
+      if (plural) claim(plural, key, "title");
+    }
+  }
+
+  const unmatchedOverrides = [];
+  for (const [canonical, list] of Object.entries(overrides)) {
+    const key = keysByIdentity.get(normalizeTerm(canonical));
+    if (!key) {
+      unmatchedOverrides.push(canonical);
+      continue;
+    }
+    for (const alias of list) claim(alias, key, "override");
+  }
+
+  const aliases = {};
+  const conflicts = [];
+  const sameComponent = (keys) => new Set(keys.map((key) => normalizeTerm(components[key].name))).size === 1;
+
+  for (const [alias, byKey] of [...claims.entries()].sort(([a], [b]) => a.localeCompare(b))) {
+    let keys = [...byKey.keys()].sort();
+
+    if (keys.length > 1 && !sameComponent(keys)) {
+      const bestPriority = Math.min(...keys.map((key) => SOURCE_PRIORITY[byKey.get(key)]));
+      const winners = keys.filter((key) => SOURCE_PRIORITY[byKey.get(key)] === bestPriority);
+      const resolvedTo = winners.length === 1 ? winners[0] : null;
+      conflicts.push({ alias, keys, resolvedTo });
+      if (resolvedTo) keys = [resolvedTo];
+    }
+
+    for (const key of keys) {
+      (aliases[key] ||= []).push(alias);
+    }
+  }
+
+  return { aliases, conflicts, unmatchedOverrides };
+}
+
+/**
+ * Ranks catalog components against a search term
+ * @param {Object<string, Object>} components - Components parsed from llms.txt, by key
+ * @param {string} term - Search term
+ * @param {Object} [options]
+ * @param {Object<string, string[]>} [options.aliases] - Normalized aliases by component key (see buildAliasTable)
+ * @param {number} [options.limit=5] - Maximum candidates returned
+ * @returns {{key: string, name: string, score: number, matchType: string, matched: string}[]} Ranked candidates
+ */
+function rankComponents(components, term, { aliases = {}, limit = 5 } = {}) {
+  if (!term || typeof term !== "string") return [];
+
+  const normalized = normalizeTerm(term);
+  const best = new Map();
+
+  for (const candidate of buildCandidates(components, aliases)) {
+    const score = similarity(normalized, candidate.text);
+    const current = best.get(candidate.key);
+    if (
+      !current ||
+      score > current.score ||
+      (score === current.score && MATCH_PRIORITY[candidate.matchType] < MATCH_PRIORITY[current.matchType])
+    ) {
+      best.set(candidate.key, { key: candidate.key, score, matchType: candidate.matchType, matched: candidate.text });
+    }
+  }
+
+  const categoryScore = (key) => similarity(normalized, normalizeTerm(components[key].category || ""));
+
+  return [...best.values()]
+    .sort((a, b) =>
+      b.score - a.score ||
+      MATCH_PRIORITY[a.matchType] - MATCH_PRIORITY[b.matchType] ||
+      categoryScore(b.key) - categoryScore(a.key) ||
+      a.key.length - b.key.length ||
+      a.key.localeCompare(b.key))
+    .slice(0, limit)
+    .map((candidate) => ({
+      ...candidate,
+      name: components[candidate.key].name,
+      score: Number(candidate.score.toFixed(3)),
+    }));
+}
+
+/**
+ * Resolves a search term to a single component
+ * @param {Object<string, Object>} components - Components parsed from llms.txt, by key
+ * @param {string} term - Search term
+ * @param {Object} [options] - Same options as rankComponents
+ * @returns {{key: string|null, confidence: number, ambiguous: boolean, matchType: string|null, candidates: Object[]}} Resolution
+ */
+function resolveComponent(components, term, options = {}) {
+  const candidates = rankComponents(components, term, { ...options, limit: Math.max(options.limit ?? 5, 2) });
+  const [best, runnerUp] = candidates;
+
+  if (!best || best.score < MIN_RESOLVE_SCORE) {
+    return { key: null, confidence: 0, ambiguous: false, matchType: null, candidates };
+  }
+
+  const tied = Boolean(runnerUp) &&
+    runnerUp.score === best.score &&
+    MATCH_PRIORITY[runnerUp.matchType] === MATCH_PRIORITY[best.matchType];
+  // A lower-priority match with the same score (e.g. an alias shared with an
+  // exact key) does not make the result ambiguous
+  const margin = !runnerUp ? 1 : runnerUp.score === best.score ? 0.1 : best.score - runnerUp.score;
+  const confidence = tied ? best.score * 0.5 : best.score * Math.min(1, 0.75 + 2.5 * margin);
+
+  return {
+    key: best.key,
+    confidence: Number(confidence.toFixed(2)),
+    ambiguous: tied,
+    matchType: best.matchType,
+    candidates,
+  };
+}
+
+export {
+  buildAliasTable,
+  getUrlSlug,
+  levenshtein,
+  normalizeTerm,
+  rankComponents,
+  resolveComponent,
+  similarity,
+  MIN_RESOLVE_SCORE,
+};
@@ -0,0 +1,284 @@
+/**
+ * Configuración del servidor DESY MCP
+ *
+ * Reúne en un único objeto validado con zod la configuración del servidor
+ * HTTP, la guía de instalación y la descarga de la documentación. Cada valor
+ * se toma, de menor a mayor prioridad, de los valores por defecto, del fichero
+ * JSON de configuración, de las variables de entorno y de las opciones de la
+ * línea de comandos.
+ *
+ * Fichero: DESY_CONFIG_FILE, --config o desy-mcp.config.json en el
+ * directorio de trabajo si existe. Las rutas relativas del fichero se
+ * resuelven desde su directorio. La sección auth se combina clave a clave
+ * entre el fichero y las variables de entorno.
+ */
+
+import fs from "fs";
+import { createRequire } from "module";
+import path from "path";
+import { z } from "zod";
+import { ALL_SCOPES, SCOPES } from "./auth.js";
+import { isSnapshotBundle } from "./snapshot.js";
+
+const DEFAULT_CONFIG_FILE = "desy-mcp.config.json";
+const DEFAULT_PUBLIC_URL = "https://desy-mcp.replit.app";
+const DEFAULT_SERVER_NAME = "DESY MCP Server";
+
+// Environment variable of each option
+const ENV_VARIABLES = {
+  serverName: "DESY_SERVER_NAME",
+  publicUrl: "DESY_PUBLIC_URL",
+  port: "PORT",
+  host: "HOST",
+  origin: "DESY_ORIGIN",
+  llmsTxtUrl: "DESY_LLMS_TXT_URL",
+  cacheDir: "DESY_CACHE_DIR",
+  changesFile: "DESY_CHANGES_FILE",
+  snapshotDir: "DESY_SNAPSHOT_DIR",
+  snapshotVersion: "DESY_SNAPSHOT_VERSION",
+  versionsDir: "DESY_VERSIONS_DIR",
+  aliasesFile: "DESY_ALIASES_FILE",
+  templatesDir: "DESY_TEMPLATES_DIR",
+  corsOrigins: "DESY_CORS_ORIGINS",
+  "auth.apiKeys": "DESY_API_KEYS",
+  "auth.oauth.issuer": "DESY_OAUTH_ISSUER",
+  "auth.oauth.introspectionUrl": "DESY_OAUTH_INTROSPECTION_URL",
+  "auth.oauth.clientId": "DESY_OAUTH_CLIENT_ID",
+  "auth.oauth.clientSecret": "DESY_OAUTH_CLIENT_SECRET",
+};
+// Options whose environment variable holds JSON
+const JSON_OPTIONS = ["auth.apiKeys"];
+const PATH_OPTIONS = ["cacheDir", "changesFile", "snapshotDir", "versionsDir", "aliasesFile", "templatesDir"];
+
+// desy-html is looked up like a dependency of this package, so the default
+// does not depend on the working directory (installed bin, npx...)
+function defaultTemplatesDir() {
+  const dirs = (createRequire(import.meta.url).resolve.paths("desy-html") ?? []).map((dir) => path.join(dir, "desy-html"));
+  return dirs.find((dir) => fs.existsSync(dir)) ?? dirs[0];
+}
+
+// DESY_SNAPSHOT_DIR may be a root with several versions or a single bundle;
+// in the latter case the other versions are its siblings
+function defaultVersionsDir(snapshotDir) {
+  if (!snapshotDir) return path.join(process.cwd(), "snapshots");
+  return isSnapshotBundle(snapshotDir) ? path.dirname(snapshotDir) : snapshotDir;
+}
+
+const httpUrl = z
+  .url({ protocol: /^https?$/, error: "Debe ser una URL http o https" })
+  .transform((url) => url.replace(/\/+$/, ""));
+const optionalPath = z.string().min(1).nullable().default(null);
+const PORT_ERROR = "Debe ser un número de puerto (0-65535)";
+
+// Keys are compared by their SHA-256, so the file may hold the digest
+// (keySha256) instead of the key
+const apiKeySchema = z
+  .object({
+    name: z.string().min(1),
+    key: z.string().min(16, { error: "La clave debe tener al menos 16 caracteres" }).optional(),
+    keySha256: z.string().regex(/^[0-9a-f]{64}$/i, { error: "Debe ser un SHA-256 en hexadecimal" }).optional(),
+    scopes: z.array(z.enum(ALL_SCOPES, { error: `Scope desconocido; los scopes son ${ALL_SCOPES.join(", ")}` })).min(1).default([SCOPES.READ]),
+  })
+  .strict()
+  .refine((apiKey) => Boolean(apiKey.key) !== Boolean(apiKey.keySha256), { error: "Indica key o keySha256, solo uno de los dos" });
+
+// External authorization server; tokens are checked by introspection
+const oauthSchema = z
+  .object({
+    issuer: httpUrl,
+    introspectionUrl: httpUrl,
+    clientId: z.string().min(1).optional(),
+    clientSecret: z.string().min(1).optional(),
+  })
+  .strict();
+
+const authSchema = z
+  .object({
+    apiKeys: z
+      .array(apiKeySchema)
+      .refine((apiKeys) => new Set(apiKeys.map((apiKey) => apiKey.name)).size === apiKeys.length, { error: "Los nombres de las claves deben ser únicos" })
+      .default([]),
+    oauth: oauthSchema.nullable().default(null),
+  })
+  .strict()
+  .transform((auth) => ({
+    ...auth,
+    mode: auth.oauth ? "oauth" : auth.apiKeys.length > 0 ? "apiKey" : "none",
+  }));
+
+const configSchema = z
+  .object({
+    serverName: z.string().min(1).default(DEFAULT_SERVER_NAME),
+    publicUrl: httpUrl.default(DEFAULT_PUBLIC_URL),
+    port: z.coerce
+      .number({ error: PORT_ERROR })
+      .int({ error: PORT_ERROR })
+      .min(0, { error: PORT_ERROR })
+      .max(65535, { error: PORT_ERROR })
+      .default(5000),
+    host: z.string().min(1).default("0.0.0.0"),
+    origin: httpUrl.default("https://desy.aragon.es"),
+    llmsTxtUrl: httpUrl.nullable().default(null),
+    cacheDir: z.string().min(1).default(path.join(process.cwd(), ".cache", "desy-pages")),
+    changesFile: optionalPath,
+    snapshotDir: optionalPath,
+    snapshotVersion: z.string().min(1).nullable().default(null),
+    versionsDir: optionalPath,
+    aliasesFile: optionalPath,
+    templatesDir: z.string().min(1).default(defaultTemplatesDir),
+    corsOrigins: z
+      .preprocess(
+        (value) => (typeof value === "string" ? value.split(",").map((origin) => origin.trim()).filter(Boolean) : value),
+        z.array(z.union([z.literal("*"), httpUrl])).min(1)
+      )
+      .default(["*"]),
+    auth: authSchema.prefault({}),
+  })
+  .strict()
+  .transform((config) => ({
+    ...config,
+    llmsTxtUrl: config.llmsTxtUrl ?? `${config.origin}/llms.txt`,
+    changesFile: config.changesFile ?? path.join(path.dirname(config.cacheDir), "desy-changes.json"),
+    versionsDir: config.versionsDir ?? defaultVersionsDir(config.snapshotDir),
+  }));
+
+/**
+ * The configuration file or the resulting configuration is not valid
+ */
+class ConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ConfigError";
+  }
+}
+
+function resolvePaths(values, baseDir) {
+  const resolved = { ...values };
+  for (const option of PATH_OPTIONS) {
+    if (typeof resolved[option] === "string") resolved[option] = path.resolve(baseDir, resolved[option]);
+  }
+  return resolved;
+}
+
+function readConfigFile(file, required) {
+  let content;
+  try {
+    content = fs.readFileSync(file, "utf8");
+  } catch (error) {
+    if (error.code === "ENOENT" && !required) return {};
+    throw new ConfigError(`No se pudo leer el fichero de configuración ${file}: ${error.message}`);
+  }
+
+  let values;
+  try {
+    values = JSON.parse(content);
+  } catch (error) {
+    throw new ConfigError(`El fichero de configuración ${file} no es JSON válido: ${error.message}`);
+  }
+  if (!values || typeof values !== "object" || Array.isArray(values)) {
+    throw new ConfigError(`El fichero de configuración ${file} debe contener un objeto JSON`);
+  }
+  return resolvePaths(values, path.dirname(file));
+}
+
+// Sets a dotted option ("auth.oauth.issuer") in nested objects
+function setOption(values, option, value) {
+  const keys = option.split(".");
+  const last = keys.pop();
+  let target = values;
+  for (const key of keys) target = target[key] ??= {};
+  target[last] = value;
+}
+
+function readEnv(env) {
+  const values = {};
+  for (const [option, variable] of Object.entries(ENV_VARIABLES)) {
+    if (!env[variable]) continue;
+    let value = env[variable];
+    if (JSON_OPTIONS.includes(option)) {
+      try {
+        value = JSON.parse(value);
+      } catch (error) {
+        throw new ConfigError(`${variable} no es JSON válido: ${error.message}`);
+      }
+    }
+    setOption(values, option, value);
+  }
+  return resolvePaths(values, process.cwd());
+}
+
+const isPlainObject = (value) => Boolean(value) && typeof value === "object" && !Array.isArray(value);
+
+// Later sources win; nested objects (auth) are merged key by key
+function mergeSources(...sources) {
+  const merged = {};
+  for (const source of sources) {
+    for (const [key, value] of Object.entries(source)) {
+      merged[key] = isPlainObject(value) && isPlainObject(merged[key]) ? mergeSources(merged[key], value) : value;
+    }
+  }
+  return merged;
+}
+
+function formatIssues(issues) {
+  return issues
+    .map((issue) => {
+      if (issue.code === "unrecognized_keys") return `  - opciones desconocidas: ${issue.keys.join(", ")}`;
+      return `  - ${issue.path.join(".")}: ${issue.message}`;
+    })
+    .join("\n");
+}
+
+/**
+ * Loads and validates the configuration
+ * @param {Object} [options]
+ * @param {Object<string, string>} [options.env] - Environment variables, process.env by default
+ * @param {string} [options.file] - Config file; DESY_CONFIG_FILE or ./desy-mcp.config.json
+ *   (optional) by default
+ * @param {Object} [options.overrides] - Values that take precedence over all sources
+ *   (command line options), with relative paths resolved from the working directory
+ * @returns {Readonly<Object>} Configuration
+ * @throws {ConfigError} When the file cannot be read or a value is not valid
+ */
+function loadConfig({ env = process.env, file, overrides = {} } = {}) {
+  const configFile = file || env.DESY_CONFIG_FILE;
+  const fromFile = readConfigFile(path.resolve(configFile || DEFAULT_CONFIG_FILE), Boolean(configFile));
+  const fromOverrides = resolvePaths(
+    Object.fromEntries(Object.entries(overrides).filter(([, value]) => value !== undefined)),
+    process.cwd()
+  );
+
+  const result = configSchema.safeParse(mergeSources(fromFile, readEnv(env), fromOverrides));
+  if (!result.success) {
+    throw new ConfigError(`Configuración no válida:\n${formatIssues(result.error.issues)}`);
+  }
+  return Object.freeze(result.data);
+}
+
+let currentConfig = null;
+
+/**
+ * Loads the configuration used by the whole server. Must be called before
+ * the server modules are imported, since they read it when they load.
+ * @param {Object} [options] - Same as loadConfig
+ * @returns {Readonly<Object>} Configuration
+ * @throws {ConfigError} When it is not valid or has already been loaded
+ */
+function configure(options) {
+  if (currentConfig) {
+    throw new ConfigError("La configuración ya se ha cargado");
+  }
+  currentConfig = loadConfig(options);
+  return currentConfig;
+}
+
+/**
+ * @returns {Readonly<Object>} Configuration of the server, loaded from the
+ *   environment and the config file on first use
+ */
+function getConfig() {
+  if (!currentConfig) currentConfig = loadConfig();
+  return currentConfig;
+}
+
+export { configure, getConfig, loadConfig, ConfigError, DEFAULT_PUBLIC_URL, DEFAULT_SERVER_NAME, ENV_VARIABLES };
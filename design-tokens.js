@@ -0,0 +1,379 @@
+/**
+ * Tokens de diseño de DESY
+ *
+ * Colores, tipografía, espaciados y rejilla del tema Tailwind de desy-html,
+ * completados con lo que se extrae de las páginas "Estilos" de la
+ * documentación (tablas y listas con valor, clase y notas de uso). Se pueden
+ * exportar como JSON, propiedades CSS, variables SCSS o un fragmento de
+ * configuración de Tailwind.
+ */
+
+// Tailwind theme colors of desy-html (config/tailwind.config.js)
+const DESY_COLORS = {
+  white: "#ffffff",
+  black: "#1f2331",
+  transparent: null,
+  current: null,
+  neutral: { dark: "#5e616b", base: "#92949B", light: "#ededec", lighter: "#f6f6f5" },
+  primary: { base: "#00607a", light: "#d6eaf0", dark: "#00475C" },
+  success: { base: "#24d14c", light: "#dcf8e2", dark: "#1aa23a" },
+  warning: { base: "#fdcb33", light: "#fef6b2", dark: "#b88e12" },
+  info: { base: "#fa9902", light: "#feebcc", dark: "#c97a00" },
+  alert: { base: "#d22333", light: "#fbd3ce", dark: "#a40014" },
+};
+
+const DESY_SPACING = {
+  base: "1rem",
+  sm: ".5rem",
+  xs: ".25rem",
+  lg: "1.75rem",
+  xl: "2.5rem",
+  "2xl": "5rem",
+  "3xl": "10rem",
+  offcanvas: "83.333333%",
+  "offcanvas-negative": "16.666667%",
+};
+
+const DESY_SCREENS = { sm: "640px", md: "768px", lg: "1024px", xl: "1280px" };
+
+const DESY_FONT_FAMILY = "'Open Sans', ui-sans-serif, system-ui, sans-serif";
+
+// Text classes of desy-html (src/css/component.text.css)
+const DESY_TYPOGRAPHY = {
+  "c-h1": { fontSize: "1.875rem", lineHeight: "1.25", fontWeight: "700", utilities: "text-3xl font-bold leading-tight mb-lg", usage: "Título principal de la página" },
+  "c-h2": { fontSize: "1.5rem", lineHeight: "1.25", fontWeight: "700", utilities: "text-2xl font-bold leading-tight mb-base", usage: "Título de sección" },
+  "c-h3": { fontSize: "1.125rem", lineHeight: "1.25", fontWeight: "700", utilities: "text-lg font-bold leading-tight mb-sm", usage: "Título de subsección" },
+  "c-paragraph-lg": { fontSize: "1.125rem", lineHeight: "1.75rem", fontWeight: "400", utilities: "text-lg mb-lg", usage: "Párrafo destacado o entradilla" },
+  "c-paragraph-base": { fontSize: "1rem", lineHeight: "1.5rem", fontWeight: "400", utilities: "text-base mb-base", usage: "Párrafo por defecto" },
+  "c-paragraph-sm": { fontSize: "0.875rem", lineHeight: "1.25rem", fontWeight: "400", utilities: "text-sm mb-sm", usage: "Texto secundario" },
+};
+
+const TOKEN_CATEGORIES = ["color", "typography", "spacing", "grid"];
+
+const EXPORT_FORMATS = ["json", "css", "scss", "tailwind"];
+
+const CATEGORY_PATTERNS = {
+  color: /color/i,
+  typography: /tipograf|typograph|texto/i,
+  spacing: /espaciado|spacing|margen/i,
+  grid: /grid|rejilla|ret[ií]cula|layout|maquetaci/i,
+};
+
+const HEX_VALUE = /#[0-9a-f]{6}\b|#[0-9a-f]{3}\b/i;
+const SIZE_VALUE = /-?\d*\.?\d+(rem|px|em|%)/;
+const CLASS_TOKEN = /^(?:[a-z]+:)*-?(text|bg|border|p[trblxy]?|m[trblxy]?|gap|space-[xy]|font|leading|c|w|max-w|grid-cols|col-span|sm|md|lg|xl)(-[a-z0-9./-]+)?$|^(sm|md|lg|xl):/;
+
+/**
+ * Flattens the DESY palette to utility color names
+ * @returns {Object<string, string|null>} Hex value by name ("primary-base", "white"...)
+ */
+function desyColorValues() {
+  return Object.fromEntries(Object.entries(DESY_COLORS).flatMap(([family, value]) =>
+    value && typeof value === "object"
+      ? Object.entries(value).map(([shade, hex]) => [`${family}-${shade}`, hex])
+      : [[family, value]]
+  ));
+}
+
+/**
+ * Tokens of the desy-html Tailwind theme, used when the documentation pages
+ * are unavailable or do not list a token
+ * @returns {Object[]} Tokens
+ */
+function getThemeTokens() {
+  const tokens = [];
+
+  for (const [name, value] of Object.entries(desyColorValues())) {
+    if (!value) continue;
+    tokens.push({
+      category: "color",
+      name,
+      value,
+      tailwindClasses: [`text-${name}`, `bg-${name}`, `border-${name}`],
+      usage: null,
+      source: "theme",
+    });
+  }
+
+  tokens.push({
+    category: "typography",
+    name: "font-sans",
+    value: DESY_FONT_FAMILY,
+    tailwindClasses: ["font-sans"],
+    usage: "Familia tipográfica de DESY",
+    source: "theme",
+  });
+  for (const [name, style] of Object.entries(DESY_TYPOGRAPHY)) {
+    tokens.push({
+      category: "typography",
+      name,
+      value: style.fontSize,
+      lineHeight: style.lineHeight,
+      fontWeight: style.fontWeight,
+      tailwindClasses: [name, ...style.utilities.split(" ")],
+      usage: style.usage,
+      source: "theme",
+    });
+  }
+
+  for (const [name, value] of Object.entries(DESY_SPACING)) {
+    tokens.push({
+      category: "spacing",
+      name,
+      value,
+      tailwindClasses: [`p-${name}`, `m-${name}`, `gap-${name}`],
+      usage: null,
+      source: "theme",
+    });
+  }
+
+  for (const [name, value] of Object.entries(DESY_SCREENS)) {
+    tokens.push({
+      category: "grid",
+      name,
+      value,
+      tailwindClasses: [`${name}:`],
+      usage: `Prefijo responsive a partir de ${value}`,
+      source: "theme",
+    });
+  }
+
+  return tokens;
+}
+
+/**
+ * Category of a style page from its title or URL
+ * @param {string} text - Page title or URL
+ * @returns {string|null} Token category
+ */
+function classifyStylePage(text) {
+  return TOKEN_CATEGORIES.find((category) => CATEGORY_PATTERNS[category].test(text)) || null;
+}
+
+function stripMarkdown(text) {
+  return text.replace(/\*\*|__|`/g, "").replace(/\[([^\]]+)\]\([^)]*\)/g, "$1").trim();
+}
+
+function slugify(text) {
+  return text.toLowerCase()
+    .normalize("NFD").replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+}
+
+function codeSpans(text) {
+  return [...text.matchAll(/`([^`]+)`/g)].map((match) => match[1].trim());
+}
+
+function findValue(text, category) {
+  const pattern = category === "color" ? HEX_VALUE : SIZE_VALUE;
+  return text.match(pattern)?.[0] || null;
+}
+
+function findClasses(text) {
+  return codeSpans(text).flatMap((span) => span.split(/\s+/)).filter((token) => CLASS_TOKEN.test(token));
+}
+
+// "bg-primary-base" → "primary-base", "p-sm" → "sm"
+function nameFromClass(className) {
+  const match = className.match(/^(?:text|bg|border|p[trblxy]?|m[trblxy]?|gap)-(.+)$/);
+  return match ? match[1] : className;
+}
+
+function tableColumns(headerCells) {
+  const roles = {};
+  headerCells.forEach((cell, index) => {
+    const header = stripMarkdown(cell).toLowerCase();
+    if (roles.name === undefined && /nombre|name|token|variable|color|tama[nñ]o/.test(header)) roles.name = index;
+    else if (roles.value === undefined && /valor|value|hex|rgb|px|rem/.test(header)) roles.value = index;
+    else if (roles.classes === undefined && /clase|class|tailwind|utilidad/.test(header)) roles.classes = index;
+    else if (roles.usage === undefined && /uso|usage|descrip|nota|cu[aá]ndo/.test(header)) roles.usage = index;
+  });
+  return roles;
+}
+
+function splitRow(line) {
+  return line.trim().replace(/^\||\|$/g, "").split("|").map((cell) => cell.trim());
+}
+
+// Names come from the utility class when there is one, so documentation
+// tokens line up with theme tokens whatever the page calls them
+function buildToken(category, { name, value, classes, usage, group }) {
+  const tokenName = classes.length > 0 ? nameFromClass(classes[0]) : name ? slugify(name) : null;
+  if (!tokenName || (!value && classes.length === 0)) return null;
+  return {
+    category,
+    name: tokenName,
+    ...(name && slugify(name) !== tokenName ? { label: name } : {}),
+    value: value || null,
+    tailwindClasses: classes,
+    usage: usage || null,
+    ...(group ? { group } : {}),
+    source: "documentation",
+  };
+}
+
+/**
+ * Extracts tokens from a DESY style page: tables with name / value / class /
+ * usage columns, and list items carrying a value or a class in code spans
+ * @param {string} markdown - Page content
+ * @param {string} category - Token category of the page
+ * @returns {Object[]} Tokens found on the page
+ */
+function parseStylePage(markdown, category) {
+  const tokens = [];
+  const lines = markdown.split("\n");
+  let group = null;
+  let columns = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const heading = line.match(/^#{2,4}\s+(.+?)(\s+\[#\].*)?$/);
+    if (heading) {
+      group = stripMarkdown(heading[1]);
+      columns = null;
+      continue;
+    }
+
+    if (line.trim().startsWith("|")) {
+      const cells = splitRow(line);
+      if (cells.every((cell) => /^:?-{3,}:?$/.test(cell))) continue;
+      if (!columns) {
+        columns = tableColumns(cells);
+        continue;
+      }
+      const cell = (role) => (columns[role] === undefined ? "" : cells[columns[role]] || "");
+      const token = buildToken(category, {
+        name: stripMarkdown(cell("name")),
+        value: findValue(cell("value"), category) || findValue(line, category),
+        classes: findClasses(cell("classes") || line),
+        usage: stripMarkdown(cell("usage")),
+        group,
+      });
+      if (token) tokens.push(token);
+      continue;
+    }
+    columns = null;
+
+    const item = line.match(/^\s*[-*]\s+(.+)$/);
+    if (item) {
+      const text = item[1];
+      const value = findValue(text, category);
+      const classes = findClasses(text);
+      if (!value && classes.length === 0) continue;
+      const bold = text.match(/\*\*([^*]+)\*\*/)?.[1];
+      const label = bold || codeSpans(text).find((span) => span !== value && !classes.includes(span));
+      const usage = stripMarkdown(text
+        .replace(/\*\*[^*]+\*\*/, "")
+        .replace(/`[^`]+`/g, "")
+        .replace(/^[\s:—–-]+/, ""));
+      const token = buildToken(category, { name: label, value, classes, usage, group });
+      if (token) tokens.push(token);
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Merges documentation tokens over theme tokens. Documentation values win;
+ * the theme fills in missing values and classes.
+ * @param {Object[]} themeTokens - getThemeTokens() result
+ * @param {Object[]} pageTokens - parseStylePage() results
+ * @returns {Object[]} Tokens, theme order first
+ */
+function mergeTokens(themeTokens, pageTokens) {
+  const merged = new Map(themeTokens.map((token) => [`${token.category}:${token.name}`, { ...token }]));
+
+  for (const token of pageTokens) {
+    const key = `${token.category}:${token.name}`;
+    const existing = merged.get(key);
+    if (!existing) {
+      merged.set(key, token);
+      continue;
+    }
+    merged.set(key, {
+      ...existing,
+      ...token,
+      value: token.value || existing.value,
+      tailwindClasses: [...new Set([...existing.tailwindClasses, ...token.tailwindClasses])],
+      usage: token.usage || existing.usage,
+      source: "documentation",
+    });
+  }
+
+  return [...merged.values()];
+}
+
+function variableName(token) {
+  return `desy-${token.category}-${token.name}`.replace(/[^a-z0-9-]/gi, "-");
+}
+
+function groupColors(tokens) {
+  const colors = {};
+  for (const token of tokens) {
+    const [family, shade] = token.name.split(/-(.+)/);
+    if (shade) {
+      colors[family] = typeof colors[family] === "object" ? colors[family] : {};
+      colors[family][shade] = token.value;
+    } else {
+      colors[family] = token.value;
+    }
+  }
+  return colors;
+}
+
+/**
+ * Serializes tokens
+ * @param {Object[]} tokens - Tokens
+ * @param {string} format - json, css, scss or tailwind
+ * @returns {string} Serialized tokens
+ */
+function formatTokens(tokens, format) {
+  const withValue = tokens.filter((token) => token.value);
+
+  switch (format) {
+    case "css":
+      return `:root {\n${withValue.map((token) => `  --${variableName(token)}: ${token.value};`).join("\n")}\n}\n`;
+    case "scss":
+      return `${withValue.map((token) => `$${variableName(token)}: ${token.value};`).join("\n")}\n`;
+    case "tailwind": {
+      const byCategory = (category) => withValue.filter((token) => token.category === category);
+      const extend = {};
+      const colors = byCategory("color");
+      if (colors.length > 0) extend.colors = groupColors(colors);
+      const spacing = byCategory("spacing");
+      if (spacing.length > 0) extend.spacing = Object.fromEntries(spacing.map((token) => [token.name, token.value]));
+      const typography = byCategory("typography");
+      const fontFamily = typography.find((token) => token.name === "font-sans");
+      if (fontFamily) extend.fontFamily = { sans: fontFamily.value.split(/,\s*/).map((font) => font.replace(/'/g, "")) };
+      const fontSizes = typography.filter((token) => token.name !== "font-sans");
+      if (fontSizes.length > 0) {
+        extend.fontSize = Object.fromEntries(fontSizes.map((token) => [
+          token.name.replace(/^c-/, ""),
+          token.lineHeight ? [token.value, { lineHeight: token.lineHeight, fontWeight: token.fontWeight }] : token.value,
+        ]));
+      }
+      const theme = {};
+      const screens = byCategory("grid").filter((token) => /px$/.test(token.value));
+      if (screens.length > 0) theme.screens = Object.fromEntries(screens.map((token) => [token.name, token.value]));
+      theme.extend = extend;
+      return `// Fragmento de configuración de Tailwind con los tokens de DESY\nmodule.exports = {\n  theme: ${JSON.stringify(theme, null, 2).replace(/\n/g, "\n  ")},\n};\n`;
+    }
+    default:
+      return JSON.stringify(tokens, null, 2);
+  }
+}
+
+export {
+  classifyStylePage,
+  desyColorValues,
+  formatTokens,
+  getThemeTokens,
+  mergeTokens,
+  parseStylePage,
+  DESY_COLORS,
+  DESY_SPACING,
+  EXPORT_FORMATS,
+  TOKEN_CATEGORIES,
+};
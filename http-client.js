@@ -0,0 +1,227 @@
+/**
+ * Cliente HTTP para descargar la documentación de DESY
+ *
+ * Comprueba el código de estado, sigue redirecciones, aplica un timeout por
+ * petición (tiempo total, no de inactividad), reintenta con backoff
+ * exponencial los fallos transitorios, respetando Retry-After en 429 y 503,
+ * y limita el número de peticiones simultáneas al origen.
+ */
+
+import https from "https";
+import http from "http";
+
+const REDIRECT_STATUS = new Set([301, 302, 303, 307, 308]);
+const RETRYABLE_STATUS = new Set([408, 425, 429, 500, 502, 503, 504]);
+const RETRY_AFTER_STATUS = new Set([429, 503]);
+
+/**
+ * Base error for failed page requests
+ */
+class FetchError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details
+   * @param {string} details.url - Requested URL
+   * @param {boolean} [details.retryable] - Whether retrying may succeed
+   * @param {Error} [details.cause] - Underlying error
+   */
+  constructor(message, { url, retryable = false, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = "FetchError";
+    this.url = url;
+    this.retryable = retryable;
+  }
+}
+
+/**
+ * The origin answered with a non-success status code
+ */
+class HttpStatusError extends FetchError {
+  /**
+   * @param {string} url - Requested URL
+   * @param {number} statusCode - Status code of the response
+   * @param {number|null} [retryAfterMs] - Delay asked for by the origin (Retry-After)
+   */
+  constructor(url, statusCode, retryAfterMs = null) {
+    super(`HTTP ${statusCode} al obtener ${url}`, { url, retryable: RETRYABLE_STATUS.has(statusCode) });
+    this.name = "HttpStatusError";
+    this.statusCode = statusCode;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/**
+ * The page does not exist (404 / 410)
+ */
+class PageNotFoundError extends HttpStatusError {
+  constructor(url, statusCode = 404) {
+    super(url, statusCode);
+    this.name = "PageNotFoundError";
+    this.message = `La página no existe (HTTP ${statusCode}): ${url}`;
+  }
+}
+
+/**
+ * The origin did not answer within the configured timeout
+ */
+class FetchTimeoutError extends FetchError {
+  constructor(url, timeoutMs) {
+    super(`Tiempo de espera agotado (${timeoutMs} ms) al obtener ${url}`, { url, retryable: true });
+    this.name = "FetchTimeoutError";
+  }
+}
+
+/**
+ * Too many redirects, or a redirect without Location header
+ */
+class RedirectError extends FetchError {
+  constructor(url, message) {
+    super(message, { url });
+    this.name = "RedirectError";
+  }
+}
+
+function createLimiter(concurrency) {
+  let active = 0;
+  const waiting = [];
+
+  const release = () => {
+    active--;
+    if (waiting.length > 0) {
+      active++;
+      waiting.shift()();
+    }
+  };
+
+  return async (task) => {
+    if (active >= concurrency) {
+      await new Promise((resolve) => waiting.push(resolve));
+    } else {
+      active++;
+    }
+    try {
+      return await task();
+    } finally {
+      release();
+    }
+  };
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Retry-After holds either seconds or an HTTP date
+function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  if (/^\d+$/.test(value.trim())) return Number(value) * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Creates an HTTP client
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs=15000] - Per-request timeout
+ * @param {number} [options.retries=2] - Retries for transient failures
+ * @param {number} [options.backoffMs=500] - Base delay, doubled on each retry
+ * @param {number} [options.maxRetryAfterMs=30000] - Longest Retry-After waited for; longer
+ *   ones fail without retrying
+ * @param {number} [options.maxRedirects=5] - Redirects followed per request
+ * @param {number} [options.concurrency=6] - Simultaneous requests
+ * @param {string} [options.userAgent] - User-Agent header
+ * @returns {{request: function(string, Object=): Promise<{url: string, statusCode: number, headers: Object, body: string}>}} Client
+ */
+function createHttpClient({
+  timeoutMs = 15000,
+  retries = 2,
+  backoffMs = 500,
+  maxRetryAfterMs = 30000,
+  maxRedirects = 5,
+  concurrency = 6,
+  userAgent = "desy-mcp-server",
+} = {}) {
+  const limit = createLimiter(concurrency);
+
+  function requestOnce(url, headers) {
+    return new Promise((resolve, reject) => {
+      const protocol = url.startsWith("https") ? https : http;
+      const req = protocol.get(url, { headers: { "User-Agent": userAgent, ...headers } }, (res) => {
+        let data = "";
+        res.setEncoding("utf8");
+        res.on("data", (chunk) => (data += chunk));
+        res.on("end", () => {
+          clearTimeout(timer);
+          resolve({ statusCode: res.statusCode, headers: res.headers, body: data });
+        });
+        res.on("error", (error) => {
+          clearTimeout(timer);
+          reject(new FetchError(`Error al leer ${url}: ${error.message}`, { url, retryable: true, cause: error }));
+        });
+      });
+      // Wall-clock limit: an origin that trickles bytes never trips a socket idle timeout
+      const timer = setTimeout(() => {
+        const error = new FetchTimeoutError(url, timeoutMs);
+        reject(error);
+        req.destroy(error);
+      }, timeoutMs);
+      req.on("error", (error) => {
+        clearTimeout(timer);
+        reject(error instanceof FetchError
+          ? error
+          : new FetchError(`Error de red al obtener ${url}: ${error.message}`, { url, retryable: true, cause: error }));
+      });
+    });
+  }
+
+  async function followRedirects(url, headers) {
+    let currentUrl = url;
+    for (let redirects = 0; ; redirects++) {
+      const response = await requestOnce(currentUrl, headers);
+      if (!REDIRECT_STATUS.has(response.statusCode)) {
+        return { ...response, url: currentUrl };
+      }
+      if (redirects >= maxRedirects) {
+        throw new RedirectError(url, `Demasiadas redirecciones (${maxRedirects}) al obtener ${url}`);
+      }
+      if (!response.headers.location) {
+        throw new RedirectError(url, `Redirección HTTP ${response.statusCode} sin cabecera Location en ${currentUrl}`);
+      }
+      currentUrl = new URL(response.headers.location, currentUrl).toString();
+    }
+  }
+
+  async function request(url, { headers = {} } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await limit(() => followRedirects(url, headers));
+        const { statusCode } = response;
+        if (statusCode === 404 || statusCode === 410) {
+          throw new PageNotFoundError(url, statusCode);
+        }
+        if (statusCode !== 304 && (statusCode < 200 || statusCode >= 300)) {
+          const retryAfterMs = RETRY_AFTER_STATUS.has(statusCode) ? parseRetryAfter(response.headers["retry-after"]) : null;
+          throw new HttpStatusError(url, statusCode, retryAfterMs);
+        }
+        return response;
+      } catch (error) {
+        if (!(error instanceof FetchError) || !error.retryable || attempt >= retries) {
+          throw error;
+        }
+        if (error.retryAfterMs > maxRetryAfterMs) {
+          throw error;
+        }
+        await sleep(error.retryAfterMs ?? backoffMs * 2 ** attempt);
+      }
+    }
+  }
+
+  return { request };
+}
+
+export {
+  createHttpClient,
+  FetchError,
+  FetchTimeoutError,
+  HttpStatusError,
+  PageNotFoundError,
+  RedirectError,
+};
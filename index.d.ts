@@ -1,16 +1,27 @@
 export interface MCPConfig {
+  id: string;
   client: string;
+  iconUrl: string;
   deepLink?: string;
   instructions: string;
+  steps?: string[];
+  notes?: string;
   configJson?: Record<string, any>;
+  configFile?: string;
   remoteCommand?: string;
 }
 
+export interface MCPConfigOptions {
+  auth?: "none" | "apiKey" | "oauth";
+}
+
 export function generateMCPConfig(
-  mcpUrl: string,
-  serverName: string
+  mcpUrl?: string,
+  serverName?: string,
+  options?: MCPConfigOptions
 ): MCPConfig[];
 export function generateMCPInstallationGuide(
-  mcpUrl: string,
-  serverName: string
+  mcpUrl?: string,
+  serverName?: string,
+  options?: MCPConfigOptions
 ): string;
@@ -1,161 +1,224 @@
+/**
+ * Guías de instalación del servidor DESY MCP
+ *
+ * Registro único de clientes MCP (forma de su configuración, enlace de
+ * instalación directa y comando de terminal). La página de instalación,
+ * la guía en Markdown, /install.json y las descargas de ficheros de
+ * configuración se generan a partir de él. Con claves de API cada
+ * configuración incluye la cabecera Authorization; con OAuth los clientes
+ * descubren el servidor de autorización por su cuenta.
+ *
+ * Lo que no se pasa como argumento (URL, nombre y modo de autenticación) se
+ * toma de la configuración (config.js), que solo se lee en ese caso.
+ */
+
 /**
  * @typedef {Object} MCPConfig
+ * @property {string} id - Client identifier, used in download URLs
  * @property {string} client - Client name
  * @property {string} iconUrl - Client icon URL
  * @property {string} [deepLink] - Deep link for installation
  * @property {string} [remoteCommand] - CLI command for installation
- * @property {string} instructions - Installation instructions
+ * @property {string} instructions - Installation instructions (Markdown)
+ * @property {string[]} [steps] - Values to fill in by hand (Markdown)
+ * @property {string} [notes] - Remarks shown after the configuration (Markdown)
  * @property {Object} [configJson] - Configuration JSON
+ * @property {string} [configFile] - Name of the file that holds configJson
  */
 
-// DESY Server Configuration
-const DESY_CONFIG = {
-  serverName: "DESY MCP Server",
-  mcpUrl: "https://desy-mcp.replit.app"
+import { getConfig } from "./config.js";
+
+const favicon = (domain) => `https://www.google.com/s2/favicons?domain=${domain}&sz=64`;
+
+const API_KEY_PLACEHOLDER = "<API_KEY>";
+const API_KEY_NOTE = `Sustituye \`${API_KEY_PLACEHOLDER}\` por tu clave de API.`;
+
+const AUTH_DESCRIPTIONS = {
+  apiKey: "clave de API en la cabecera `Authorization: Bearer`; pídela a quien administre el servidor.",
+  oauth: "OAuth 2.1; el cliente abre el inicio de sesión la primera vez que se conecta.",
 };
 
+// Authorization header of the server entry when the server uses API keys
+const authHeaders = ({ auth }) => (auth === "apiKey" ? { headers: { Authorization: `Bearer ${API_KEY_PLACEHOLDER}` } } : {});
+
+// Each client: how it is installed, given the server name and MCP endpoint URL
+const MCP_CLIENTS = [
+  {
+    id: "vscode",
+    client: "VS Code",
+    iconUrl: favicon("code.visualstudio.com"),
+    instructions: "Añadir a **.vscode/mcp.json** (proyecto) o al fichero que abre el comando **MCP: Open User Configuration** (global):",
+    configFile: "mcp.json",
+    configJson: (target) => ({ servers: { [target.serverName]: { type: "http", url: target.mcpUrl, ...authHeaders(target) } } }),
+    deepLink: (target) =>
+      `vscode:mcp/install?${encodeURIComponent(JSON.stringify({ name: target.serverName, type: "http", url: target.mcpUrl, ...authHeaders(target) }))}`,
+  },
+  {
+    id: "cursor",
+    client: "Cursor",
+    iconUrl: favicon("cursor.com"),
+    instructions: "Añadir a **~/.cursor/mcp.json** o **.cursor/mcp.json** (proyecto):",
+    configFile: "mcp.json",
+    configJson: (target) => ({ mcpServers: { [target.serverName]: { url: target.mcpUrl, ...authHeaders(target) } } }),
+    deepLink: (target) =>
+      `cursor://anysphere.cursor-deeplink/mcp/install?name=${encodeURIComponent(target.serverName)}&config=${Buffer.from(JSON.stringify({ url: target.mcpUrl, ...authHeaders(target) })).toString("base64")}`,
+  },
+  {
+    id: "claude",
+    client: "Claude Desktop / Claude.ai",
+    iconUrl: favicon("claude.ai"),
+    instructions: "Ir a **Settings → Connectors → Add Custom Connector** y rellenar:",
+    steps: ({ serverName, mcpUrl }) => [`**Name**: ${serverName}`, `**URL**: ${mcpUrl}`],
+    notes: ({ auth }) =>
+      auth === "apiKey"
+        ? "Los conectores personalizados no admiten claves de API; este servidor solo se puede usar desde clientes que permitan añadir la cabecera Authorization."
+        : "En una organización puede que los conectores personalizados no estén disponibles; consulta con quien la administre.",
+  },
+  {
+    id: "claude-code",
+    client: "Claude Code",
+    iconUrl: favicon("claude.ai"),
+    instructions: "Ejecutar en la terminal:",
+    remoteCommand: ({ serverName, mcpUrl, auth }) =>
+      `claude mcp add --transport http "${serverName.replaceAll(" ", "-").replaceAll(".", "_")}" ${mcpUrl}${auth === "apiKey" ? ` --header "Authorization: Bearer ${API_KEY_PLACEHOLDER}"` : ""}`,
+  },
+  {
+    id: "opencode",
+    client: "OpenCode",
+    iconUrl: "https://opencode.ai/favicon.ico",
+    instructions: "Añadir a **opencode.json** (proyecto) o **~/.config/opencode/opencode.json** (global):",
+    configFile: "opencode.json",
+    configJson: (target) => ({ mcp: { desy: { type: "remote", url: target.mcpUrl, enabled: true, ...authHeaders(target) } } }),
+  },
+  {
+    id: "windsurf",
+    client: "Windsurf",
+    iconUrl: favicon("codeium.com"),
+    instructions: "Añadir a **~/.codeium/windsurf/mcp_config.json**:",
+    configFile: "mcp_config.json",
+    configJson: (target) => ({ mcpServers: { [target.serverName]: { serverUrl: target.mcpUrl, ...authHeaders(target) } } }),
+  },
+  {
+    id: "cline",
+    client: "Cline",
+    iconUrl: favicon("github.com"),
+    instructions: "En **MCP Servers → Remote Servers → Edit Configuration**:",
+    configFile: "cline_mcp_settings.json",
+    configJson: (target) => ({ mcpServers: { [target.serverName]: { url: target.mcpUrl, type: "streamableHttp", ...authHeaders(target) } } }),
+  },
+  {
+    id: "gemini-cli",
+    client: "Gemini CLI",
+    iconUrl: favicon("gemini.google.com"),
+    instructions: "Añadir a **~/.gemini/settings.json**:",
+    configFile: "settings.json",
+    configJson: (target) => ({ mcpServers: { [target.serverName]: { httpUrl: target.mcpUrl, ...authHeaders(target) } } }),
+  },
+  {
+    id: "chatgpt",
+    client: "ChatGPT",
+    iconUrl: favicon("chatgpt.com"),
+    instructions: "Activar el [modo desarrollador](https://platform.openai.com/docs/guides/developer-mode) en **Settings → Connectors → Advanced Settings**, pulsar **Create** en los conectores y rellenar:",
+    steps: ({ serverName, mcpUrl, auth }) => [
+      `**Name**: ${serverName}`,
+      `**URL**: ${mcpUrl}`,
+      `**Authentication**: ${auth === "oauth" ? "OAuth" : "No authentication"}`,
+    ],
+    notes: ({ auth }) =>
+      auth === "apiKey"
+        ? "ChatGPT no admite claves de API; este servidor solo se puede usar desde clientes que permitan añadir la cabecera Authorization."
+        : "En cada chat, activa el modo desarrollador y selecciona el conector.",
+  },
+];
+
+// Server the guide points to: the arguments, or the configured server. The
+// configuration is only loaded for the values the caller leaves out
+function installTarget(mcpUrl, serverName, { auth } = {}) {
+  const config = mcpUrl && serverName && auth ? null : getConfig();
+  return {
+    serverName: serverName || config.serverName,
+    mcpUrl: mcpUrl || `${config.publicUrl}/mcp`,
+    auth: auth || config.auth.mode,
+  };
+}
+
 /**
  * Generates MCP configuration for DESY server
- * @param {string} mcpUrl - MCP server URL (ignored, uses DESY config)
- * @param {string} serverName - Server display name (ignored, uses DESY config)
+ * @param {string} [mcpUrl] - MCP endpoint URL, /mcp on the configured public URL by default
+ * @param {string} [serverName] - Server display name, the configured name by default
+ * @param {Object} [options]
+ * @param {"none"|"apiKey"|"oauth"} [options.auth] - Authentication the server requires, the
+ *   configured mode by default
  * @returns {MCPConfig[]} Array of client configurations
  */
-function generateMCPConfig(mcpUrl, serverName) {
-  const configs = [
-    {
-      client: "Cursor",
-      iconUrl: "https://www.google.com/s2/favicons?domain=cursor.com&sz=64",
-      instructions:
-        `Add to **~/.cursor/mcp.json** or **.cursor/mcp.json** (project-specific):`,
-      configJson: {
-        mcpServers: {
-          [DESY_CONFIG.serverName]: {
-            url: DESY_CONFIG.mcpUrl,
-          },
-        },
-      },
-    },
-    {
-      client: "VS Code",
-      iconUrl: "https://www.google.com/s2/favicons?domain=code.visualstudio.com&sz=64",
-      instructions: "Add to VS Code **settings.json**:",
-      configJson: {
-        mcp: {
-          servers: {
-            [DESY_CONFIG.serverName]: {
-              type: "http",
-              url: DESY_CONFIG.mcpUrl,
-            },
-          },
-        },
-      },
-    },
-    {
-      client: "Claude Desktop / Claude.ai",
-      iconUrl: "https://www.google.com/s2/favicons?domain=claude.ai&sz=64",
-      instructions: `Go to **Settings → Connectors → Add Custom Connector** and fill in:
-- **Name**: ${DESY_CONFIG.serverName}
-- **URL**: ${DESY_CONFIG.mcpUrl}
-
-Please note that if you are part of an organisation, you may not have access to custom connectors at this point. Ask your org administrator.`,
-    },
-    {
-      client: "Claude Code",
-      iconUrl: "https://www.google.com/s2/favicons?domain=claude.ai&sz=64",
-      remoteCommand: `claude mcp add --transport http "${DESY_CONFIG.serverName
-        .replaceAll(" ", "-")
-        .replaceAll(".", "_")}" ${DESY_CONFIG.mcpUrl}`,
-      instructions: "Run the command in your terminal",
-    },
-    {
-      client: "Windsurf",
-      iconUrl: "https://www.google.com/s2/favicons?domain=codeium.com&sz=64",
-      instructions: "Add to your Windsurf MCP configuration:",
-      configJson: {
-        mcpServers: {
-          [DESY_CONFIG.serverName]: {
-            serverUrl: DESY_CONFIG.mcpUrl,
-          },
-        },
-      },
-    },
-    {
-      client: "Cline",
-      iconUrl: "https://www.google.com/s2/favicons?domain=github.com&sz=64",
-      instructions:
-        "Go to **MCP Servers** section → **Remote Servers** → **Edit Configuration**:",
-      configJson: {
-        mcpServers: {
-          [DESY_CONFIG.serverName]: {
-            url: DESY_CONFIG.mcpUrl,
-            type: "streamableHttp",
-          },
-        },
-      },
-    },
-    {
-      client: "Gemini CLI",
-      iconUrl: "https://www.google.com/s2/favicons?domain=gemini.google.com&sz=64",
-      instructions: "Add to **~/.gemini/settings.json**:",
-      configJson: {
-        mcpServers: {
-          [DESY_CONFIG.serverName]: { httpUrl: DESY_CONFIG.mcpUrl },
-        },
-      },
-    },
-    {
-      client: "ChatGPT",
-      iconUrl: "https://www.google.com/s2/favicons?domain=chatgpt.com&sz=64",
-      instructions: `First, go to **Settings -> Connectors -> Advanced Settings** and turn on **Developer Mode**.
-
-Then, in connector settings click **create**.
-
-Fill in:
-- **Name**: ${DESY_CONFIG.serverName}
-- **URL**: ${DESY_CONFIG.mcpUrl}
-- **Authentication**: OAuth
-
-In a new chat ensure developer mode is turned on with the connector(s) selected.
-
-Please note that <a href="https://platform.openai.com/docs/guides/developer-mode" target="_blank">Developer Mode</a> must be enabled.`,
-    },
-  ];
-
-  return configs;
+function generateMCPConfig(mcpUrl, serverName, options) {
+  const target = installTarget(mcpUrl, serverName, options);
+  return MCP_CLIENTS.map((entry) => {
+    const config = { id: entry.id, client: entry.client, iconUrl: entry.iconUrl, instructions: entry.instructions };
+    if (entry.steps) config.steps = entry.steps(target);
+    if (entry.notes) config.notes = entry.notes(target);
+    if (entry.deepLink) config.deepLink = entry.deepLink(target);
+    if (entry.remoteCommand) config.remoteCommand = entry.remoteCommand(target);
+    if (entry.configJson) {
+      config.configJson = entry.configJson(target);
+      config.configFile = entry.configFile;
+    }
+    if (target.auth === "apiKey" && (config.configJson || config.remoteCommand)) {
+      config.notes = config.notes ? `${config.notes} ${API_KEY_NOTE}` : API_KEY_NOTE;
+    }
+    return config;
+  });
 }
 
 /**
  * Generates installation guide in markdown format
- * @param {string} mcpUrl - MCP server URL (ignored for DESY)
- * @param {string} serverName - Server display name (ignored for DESY)
+ * @param {string} [mcpUrl] - MCP endpoint URL, /mcp on the configured public URL by default
+ * @param {string} [serverName] - Server display name, the configured name by default
+ * @param {Object} [options] - Same options as generateMCPConfig
  * @returns {string} Markdown formatted installation guide
  */
-function generateMCPInstallationGuide(mcpUrl, serverName) {
-  const configs = generateMCPConfig(mcpUrl, serverName);
-
-  let markdown = `# MCP Server Installation Guide\n\n`;
-  markdown += `**Server Name**: \`${DESY_CONFIG.serverName}\`  \n`;
-  markdown += `**Server URL**: \`${DESY_CONFIG.mcpUrl}\`\n\n`;
-  markdown += `**Description**: Servidor MCP para el Sistema de Diseño del Gobierno de Aragón (DESY). Proporciona acceso a componentes, patrones, guías de estilo y código.\n\n`;
+function generateMCPInstallationGuide(mcpUrl, serverName, options) {
+  const target = installTarget(mcpUrl, serverName, options);
+  const configs = generateMCPConfig(target.mcpUrl, target.serverName, { auth: target.auth });
+
+  let markdown = `# Guía de instalación del servidor MCP\n\n`;
+  markdown += `**Nombre del servidor**: \`${target.serverName}\`  \n`;
+  markdown += `**URL del servidor**: \`${target.mcpUrl}\`\n\n`;
+  if (target.auth !== "none") {
+    markdown += `**Autenticación**: ${AUTH_DESCRIPTIONS[target.auth]}\n\n`;
+  }
+  markdown += `**Descripción**: Servidor MCP para el Sistema de Diseño del Gobierno de Aragón (DESY). Proporciona acceso a componentes, patrones, guías de estilo y código.\n\n`;
   markdown += `---\n\n`;
 
   configs.forEach((config, index) => {
     markdown += `## ${config.client}\n\n`;
 
-    if (config.remoteCommand) {
-      markdown += `**Command:**\n\`\`\`bash\n${config.remoteCommand}\n\`\`\`\n\n`;
+    if (config.deepLink) {
+      markdown += `[Instalar ahora](${config.deepLink})\n\n`;
+    }
+
+    markdown += `${config.instructions}\n\n`;
+
+    if (config.steps) {
+      markdown += `${config.steps.map((step) => `- ${step}`).join("\n")}\n\n`;
     }
 
-    markdown += `**Instructions:** ${config.instructions}\n\n`;
+    if (config.remoteCommand) {
+      markdown += `\`\`\`bash\n${config.remoteCommand}\n\`\`\`\n\n`;
+    }
 
     if (config.configJson) {
-      markdown += `**Configuration:**\n\`\`\`json\n${JSON.stringify(
+      markdown += `\`\`\`json\n${JSON.stringify(
         config.configJson,
         null,
         2
       )}\n\`\`\`\n\n`;
     }
 
+    if (config.notes) {
+      markdown += `${config.notes}\n\n`;
+    }
+
     if (index < configs.length - 1) {
       markdown += `---\n\n`;
     }
@@ -0,0 +1,101 @@
+/**
+ * Índice llms.txt de DESY
+ *
+ * Convierte el índice en el catálogo que usan las herramientas: categorías,
+ * componentes (con los formatos de código que publican), patrones y el resto
+ * de páginas de documentación.
+ */
+
+import { isPatternLink } from "./ui-patterns.js";
+
+function parseMarkdownLink(line) {
+  const match = line.trim().match(/\[([^\]]+)\]\(([^)]+)\)/);
+  if (match) {
+    return { text: match[1], url: match[2] };
+  }
+  return null;
+}
+
+/**
+ * Parses llms.txt into categories, components, patterns and other pages
+ * @param {string} content - llms.txt content
+ * @returns {{categories: Object<string, Object>, components: Object<string, Object>, pages: Object[], patterns: Object<string, Object>}}
+ *   Catalog; components and patterns are keyed by their lowercase name
+ */
+function parseLlmsTxt(content) {
+  const categories = {};
+  const components = {};
+  const pages = [];
+  const patterns = {};
+  let currentCategory = null;
+
+  const lines = content.split("\n");
+
+  for (const line of lines) {
+    const stripped = line.trim();
+
+    if (!stripped) continue;
+
+    if (stripped.startsWith("## ")) {
+      currentCategory = stripped.slice(3).trim();
+      if (currentCategory && !categories[currentCategory]) {
+        categories[currentCategory] = {
+          name: currentCategory,
+          description: `Documentación de ${currentCategory.toLowerCase()}`,
+          components: [],
+        };
+      }
+    } else if (stripped.startsWith("### ")) {
+      currentCategory = stripped.slice(4).trim();
+      if (currentCategory && !categories[currentCategory]) {
+        categories[currentCategory] = {
+          name: currentCategory,
+          description: `Componentes de ${currentCategory.toLowerCase()}`,
+          components: [],
+        };
+      }
+    } else if (stripped.startsWith("- ") || stripped.startsWith("  - ")) {
+      const linkText = stripped.replace(/^-\s*/, "").replace(/^\s*-\s*/, "");
+      const link = parseMarkdownLink(linkText);
+      if (link && link.url.includes("/componente-")) {
+        const componentName = link.text;
+        const urlLower = link.url.toLowerCase();
+        const hasHtml = urlLower.includes("-codigo") && !urlLower.includes("-angular");
+        const hasNunjucks = urlLower.includes("nunjucks");
+        const hasAngular = urlLower.includes("angular");
+        const hasProps = urlLower.includes("propiedades") || urlLower.includes("props");
+
+        const component = {
+          name: componentName,
+          url: link.url,
+          description: link.text,
+          category: currentCategory || "General",
+          hasHtml,
+          hasNunjucks,
+          hasAngular,
+          hasProps,
+        };
+
+        const key = componentName.toLowerCase();
+        if (!components[key]) {
+          components[key] = component;
+        }
+
+        if (currentCategory && categories[currentCategory]) {
+          categories[currentCategory].components.push(component);
+        }
+      } else if (link && isPatternLink(currentCategory, link.url)) {
+        const key = link.text.toLowerCase();
+        if (!patterns[key]) {
+          patterns[key] = { name: link.text, url: link.url, category: currentCategory || "General" };
+        }
+      } else if (link) {
+        pages.push({ title: link.text, url: link.url, category: currentCategory || "General" });
+      }
+    }
+  }
+
+  return { categories, components, pages, patterns };
+}
+
+export { parseLlmsTxt };
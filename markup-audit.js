@@ -0,0 +1,408 @@
+/**
+ * Auditoría de marcado HTML frente a DESY
+ *
+ * Analiza un fragmento o página HTML y detecta elementos que deberían ser
+ * componentes DESY, clases de componente o utilidades que no existen en DESY
+ * y atributos que faltan respecto a los ejemplos canónicos de la
+ * documentación. Cada hallazgo incluye un fragmento de reemplazo sugerido.
+ */
+
+import { parse } from "node-html-parser";
+import { levenshtein } from "./component-resolver.js";
+import { desyColorValues, DESY_COLORS, DESY_SPACING } from "./design-tokens.js";
+
+// Tailwind default palette families, mapped to the closest DESY color
+const TAILWIND_COLOR_FAMILIES = {
+  slate: "neutral", gray: "neutral", zinc: "neutral", stone: "neutral",
+  red: "alert", rose: "alert", pink: "alert",
+  orange: "info", amber: "info",
+  yellow: "warning", lime: "success", green: "success", emerald: "success",
+  teal: "primary", cyan: "primary", sky: "primary", blue: "primary", indigo: "primary",
+  violet: "primary", purple: "primary", fuchsia: "primary",
+};
+
+const COLOR_UTILITY = /^(text|bg|border(?:-[trblxy])?|ring|ring-offset|outline|divide|placeholder|from|via|to|fill|stroke|decoration|accent|caret)-(.+)$/;
+const SPACING_UTILITY = /^-?(p[trblxy]?|m[trblxy]?|gap(?:-[xy])?|space-[xy]|inset(?:-[xy])?|top|right|bottom|left)-(.+)$/;
+const TAILWIND_SPACING_VALUE = /^(px|auto|full|\d+(\.5)?|\d+\/\d+)$/;
+
+// Attributes that carry content rather than structure
+const IGNORED_ATTRIBUTES = new Set(["id", "class", "style", "name", "value", "for", "href", "src", "title", "placeholder"]);
+
+const TEXT_INPUT_TYPES = new Set(["text", "email", "number", "tel", "password", "search", "url", "date"]);
+
+/**
+ * Raw HTML elements that should be rendered with a DESY component
+ * @type {{component: string, matches: function(Object): boolean}[]}
+ */
+const RAW_ELEMENT_RULES = [
+  { component: "button", matches: (el) => el.tagName === "BUTTON" },
+  { component: "input", matches: (el) => el.tagName === "INPUT" && TEXT_INPUT_TYPES.has((el.getAttribute("type") || "text").toLowerCase()) },
+  { component: "checkboxes", matches: (el) => el.tagName === "INPUT" && el.getAttribute("type")?.toLowerCase() === "checkbox" },
+  { component: "radios", matches: (el) => el.tagName === "INPUT" && el.getAttribute("type")?.toLowerCase() === "radio" },
+  { component: "file-upload", matches: (el) => el.tagName === "INPUT" && el.getAttribute("type")?.toLowerCase() === "file" },
+  { component: "select", matches: (el) => el.tagName === "SELECT" },
+  { component: "textarea", matches: (el) => el.tagName === "TEXTAREA" },
+  { component: "table", matches: (el) => el.tagName === "TABLE" },
+  { component: "details", matches: (el) => el.tagName === "DETAILS" },
+  { component: "dialog", matches: (el) => el.tagName === "DIALOG" },
+  { component: "breadcrumbs", matches: (el) => el.tagName === "NAV" && /breadcrumb|migas/i.test(el.getAttribute("aria-label") || "") },
+];
+
+/**
+ * Parses HTML keeping comments (DESY templates mark each component with
+ * "<!-- name -->") and source offsets
+ * @param {string} html - HTML fragment or page
+ * @returns {Object} node-html-parser root
+ */
+function parseMarkup(html) {
+  return parse(html, { comment: true });
+}
+
+function elements(root) {
+  return root.querySelectorAll("*");
+}
+
+function lineAt(source, offset) {
+  return source.slice(0, offset).split("\n").length;
+}
+
+function excerpt(el, length = 200) {
+  const html = el.outerHTML.replace(/\s+/g, " ").trim();
+  return html.length > length ? `${html.slice(0, length)}…` : html;
+}
+
+function stripVariants(className) {
+  return className.split(":").pop();
+}
+
+function nearest(value, candidates, maxDistance = 3) {
+  let best = null;
+  let bestDistance = maxDistance + 1;
+  for (const candidate of candidates) {
+    const distance = levenshtein(value, candidate);
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+
+function desyColorNames() {
+  return Object.keys(desyColorValues());
+}
+
+function mapTailwindShade(shade) {
+  const value = Number(shade);
+  if (value <= 300) return "light";
+  if (value >= 700) return "dark";
+  return "base";
+}
+
+/**
+ * Component a DESY element belongs to. The "<!-- name -->" comment the
+ * templates emit before their root wins over the classes, since variants such
+ * as accordion-history reuse the base component's root class; otherwise the
+ * data-module or the most specific (longest) matching c-* class decides
+ * @param {Object} el - Element
+ * @param {Set<string>} componentSlugs - Known component slugs
+ * @returns {string|null} Component slug
+ */
+function detectComponent(el, componentSlugs) {
+  const siblings = el.parentNode?.childNodes || [];
+  const index = siblings.indexOf(el);
+  for (let i = index - 1; i >= 0; i--) {
+    const node = siblings[i];
+    if (node.nodeType === 3 && !node.rawText.trim()) continue;
+    if (node.nodeType === 8) {
+      const slug = node.rawText.trim().toLowerCase();
+      if (componentSlugs.has(slug)) return slug;
+    }
+    break;
+  }
+
+  const module = el.getAttribute?.("data-module")?.replace(/^c-/, "");
+  if (module && componentSlugs.has(module)) return module;
+
+  let component = null;
+  for (const className of el.classList?.value || []) {
+    const match = className.match(/^c-([a-z0-9-]+)$/);
+    if (match && componentSlugs.has(match[1]) && match[1].length > (component?.length || 0)) component = match[1];
+  }
+  return component;
+}
+
+function isDesyStyled(el, componentSlugs) {
+  for (let node = el, depth = 0; node && node.tagName && depth < 4; node = node.parentNode, depth++) {
+    if ((node.classList?.value || []).some((className) => /^(c-|ds-)/.test(className))) return true;
+    if (detectComponent(node, componentSlugs)) return true;
+  }
+  return false;
+}
+
+/**
+ * Components the auditor needs canonical examples for: those detected in
+ * the markup and those suggested for raw elements
+ * @param {string} html - Markup to audit
+ * @param {Iterable<string>} componentSlugs - Known component slugs
+ * @returns {string[]} Component slugs
+ */
+function findAuditComponents(html, componentSlugs) {
+  const slugs = new Set(componentSlugs);
+  const found = new Set();
+  for (const el of elements(parseMarkup(html))) {
+    const component = detectComponent(el, slugs);
+    if (component) found.add(component);
+    if (!isDesyStyled(el, slugs)) {
+      const rule = RAW_ELEMENT_RULES.find((candidate) => candidate.matches(el));
+      if (rule && slugs.has(rule.component)) found.add(rule.component);
+    }
+  }
+  return [...found].sort();
+}
+
+/**
+ * Reference data for one component, derived from the HTML of its documented
+ * examples
+ * @param {string[]} examples - HTML of each example
+ * @returns {{snippet: string|null, classes: Set<string>, elementsByClass: Map<string, Object[]>, elementsByTag: Map<string, Object[]>}} Canonical reference
+ */
+function buildCanonical(examples) {
+  const classes = new Set();
+  const elementsByClass = new Map();
+  const elementsByTag = new Map();
+
+  for (const html of examples) {
+    for (const el of elements(parseMarkup(html))) {
+      if (!elementsByTag.has(el.tagName)) elementsByTag.set(el.tagName, []);
+      elementsByTag.get(el.tagName).push(el);
+      for (const className of el.classList.value) {
+        classes.add(className);
+        if (!className.startsWith("c-")) continue;
+        if (!elementsByClass.has(className)) elementsByClass.set(className, []);
+        elementsByClass.get(className).push(el);
+      }
+    }
+  }
+
+  return { snippet: examples[0]?.trim() || null, classes, elementsByClass, elementsByTag };
+}
+
+// Attributes present on every canonical occurrence of an element
+function requiredAttributes(canonicalElements) {
+  if (!canonicalElements || canonicalElements.length === 0) return [];
+  const [first, ...rest] = canonicalElements;
+  const structural = (name) => !IGNORED_ATTRIBUTES.has(name) && (!name.startsWith("data-") || name === "data-module");
+  return Object.keys(first.attributes).filter((name) => structural(name) && rest.every((el) => el.hasAttribute(name)));
+}
+
+// Block or element class (c-accordion, c-accordion__button), not a modifier
+function rootComponentClass(el) {
+  return el.classList.value.find((className) => /^c-[a-z0-9-]+(__[a-z0-9-]+)?$/.test(className) && !className.includes("--")) || null;
+}
+
+function openingTag(el) {
+  const attributes = Object.entries(el.attributes)
+    .map(([name, value]) => (value === "" ? ` ${name}` : ` ${name}="${value}"`))
+    .join("");
+  return `<${el.rawTagName}${attributes}>`;
+}
+
+// Whole element for leaves, opening tag only for containers
+function withAttributes(el, additions) {
+  const clone = parse(el.outerHTML).firstChild;
+  for (const [name, value] of Object.entries(additions)) {
+    clone.setAttribute(name, value);
+  }
+  return clone.childNodes.some((node) => node.nodeType === 1) ? openingTag(clone) : clone.outerHTML;
+}
+
+function suggestForRawElement(el, canonical) {
+  const template = canonical?.elementsByTag.get(el.tagName)?.[0];
+  if (!template) return canonical?.snippet || null;
+
+  const classes = [...new Set([...template.classList.value, ...el.classList.value])].join(" ");
+  const additions = { class: classes };
+  for (const name of requiredAttributes(canonical.elementsByTag.get(el.tagName))) {
+    if (!el.hasAttribute(name)) additions[name] = template.getAttribute(name);
+  }
+  return withAttributes(el, additions);
+}
+
+// Without the desy-html classes only the block of a c-* class (c-button in
+// c-button__icon) can be checked, against the components of the catalog; the
+// result is a warning since the catalog does not list every element class
+function checkClassBlock(className, base, prefix, knownBlocks) {
+  const [block] = base.split(/__|--/);
+  if (!block.startsWith("c-") || knownBlocks.has(block)) return null;
+  const suggestion = nearest(block, knownBlocks);
+  return {
+    rule: "unknown_class",
+    severity: "warning",
+    message: `La clase '${className}' no corresponde a ningún componente DESY del catálogo`,
+    replacement: suggestion ? prefix + suggestion + base.slice(block.length) : null,
+  };
+}
+
+function checkClass(className, knownClasses, knownBlocks) {
+  const base = stripVariants(className);
+  const prefix = className.slice(0, className.length - base.length);
+
+  if (/^(c|ds)-/.test(base)) {
+    if (knownClasses.has(base)) return null;
+    if (knownBlocks) return checkClassBlock(className, base, prefix, knownBlocks);
+    const suggestion = nearest(base, knownClasses);
+    return {
+      rule: "unknown_class",
+      severity: "error",
+      message: `La clase '${className}' no es una clase de componente DESY`,
+      replacement: suggestion ? prefix + suggestion : null,
+    };
+  }
+
+  const color = base.match(COLOR_UTILITY);
+  if (color) {
+    const [, utility, value] = color;
+    const [family, shade] = value.split(/-(.+)/);
+    if (family in DESY_COLORS) {
+      if (desyColorNames().includes(value)) return null;
+      const suggestion = nearest(value, desyColorNames()) || `${family}-base`;
+      return {
+        rule: "unknown_class",
+        severity: "error",
+        message: `'${value}' no es un color de DESY en la clase '${className}'`,
+        replacement: `${prefix}${utility}-${suggestion}`,
+      };
+    }
+    if (family in TAILWIND_COLOR_FAMILIES) {
+      const desyFamily = TAILWIND_COLOR_FAMILIES[family];
+      return {
+        rule: "non_desy_color",
+        severity: "warning",
+        message: `La clase '${className}' usa la paleta por defecto de Tailwind en lugar de los colores de DESY`,
+        replacement: `${prefix}${utility}-${desyFamily}-${mapTailwindShade(shade)}`,
+      };
+    }
+    return null;
+  }
+
+  const spacing = base.match(SPACING_UTILITY);
+  if (spacing) {
+    const [, utility, value] = spacing;
+    if (TAILWIND_SPACING_VALUE.test(value) || value in DESY_SPACING) return null;
+    const suggestion = nearest(value, Object.keys(DESY_SPACING), 2);
+    if (!suggestion) return null;
+    return {
+      rule: "unknown_class",
+      severity: "error",
+      message: `'${value}' no es un espaciado de DESY en la clase '${className}'`,
+      replacement: `${prefix}${base.startsWith("-") ? "-" : ""}${utility}-${suggestion}`,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Audits markup against DESY
+ * @param {string} html - HTML fragment or page
+ * @param {Object} options
+ * @param {Iterable<string>} options.componentSlugs - Known component slugs
+ * @param {Object<string, Object>} [options.canonical] - buildCanonical() result by component slug
+ * @param {Iterable<string>} [options.componentClasses] - Known DESY component classes (c-*, ds-*);
+ *   without them c-* classes are checked by block against componentSlugs
+ * @returns {{summary: Object, components: string[], classCheck: "templates"|"catalog", findings: Object[]}} Audit
+ *   report; classCheck tells which list the c-* classes were checked against
+ */
+function auditMarkup(html, { componentSlugs, canonical = {}, componentClasses = [] }) {
+  const slugs = new Set(componentSlugs);
+  const knownClasses = new Set(componentClasses);
+  const knownBlocks = knownClasses.size === 0 ? new Set([...slugs].map((slug) => `c-${slug}`)) : null;
+  for (const reference of Object.values(canonical)) {
+    for (const className of reference.classes) {
+      if (/^(c|ds)-/.test(className)) knownClasses.add(className);
+    }
+  }
+
+  const root = parseMarkup(html);
+  const findings = [];
+  const components = new Set();
+
+  const report = (el, finding) => {
+    findings.push({
+      ...finding,
+      line: lineAt(html, el.range[0]),
+      element: excerpt(el),
+    });
+  };
+
+  for (const el of elements(root)) {
+    const component = detectComponent(el, slugs);
+    if (component) components.add(component);
+
+    if (!isDesyStyled(el, slugs)) {
+      const rule = RAW_ELEMENT_RULES.find((candidate) => candidate.matches(el));
+      if (rule) {
+        report(el, {
+          rule: "raw_element",
+          severity: "warning",
+          component: rule.component,
+          message: `<${el.rawTagName}> sin estilos DESY; usa el componente ${rule.component}`,
+          suggestion: suggestForRawElement(el, canonical[rule.component]),
+        });
+      }
+    }
+
+    for (const className of el.classList.value) {
+      const problem = checkClass(className, knownClasses, knownBlocks);
+      if (!problem) continue;
+      const { replacement, ...finding } = problem;
+      report(el, {
+        ...finding,
+        class: className,
+        suggestion: replacement
+          ? withAttributes(el, { class: el.classList.value.map((name) => (name === className ? replacement : name)).join(" ") })
+          : null,
+      });
+    }
+
+    const componentClass = rootComponentClass(el);
+    const reference = componentClass && Object.values(canonical).find((candidate) => candidate.elementsByClass.has(componentClass));
+    if (reference) {
+      const canonicalElements = reference.elementsByClass.get(componentClass);
+      const missing = requiredAttributes(canonicalElements).filter((name) => !el.hasAttribute(name));
+      if (missing.length > 0) {
+        const additions = Object.fromEntries(missing.map((name) => [name, canonicalElements[0].getAttribute(name)]));
+        report(el, {
+          rule: "missing_attribute",
+          severity: "error",
+          component: component || componentClass.slice(2),
+          attributes: missing,
+          message: `Faltan atributos presentes en todos los ejemplos de '${componentClass}': ${missing.join(", ")}`,
+          suggestion: withAttributes(el, additions),
+        });
+      }
+    }
+  }
+
+  findings.sort((a, b) => a.line - b.line);
+
+  const summary = { errors: 0, warnings: 0 };
+  for (const finding of findings) {
+    if (finding.severity === "error") summary.errors++;
+    else summary.warnings++;
+  }
+
+  return { summary, components: [...components].sort(), classCheck: knownBlocks ? "catalog" : "templates", findings };
+}
+
+export {
+  auditMarkup,
+  buildCanonical,
+  detectComponent,
+  excerpt,
+  findAuditComponents,
+  lineAt,
+  parseMarkup,
+  RAW_ELEMENT_RULES,
+};
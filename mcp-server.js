@@ -0,0 +1,3090 @@
+/**
+ * DESY MCP Server - Definición del servidor MCP
+ *
+ * Herramientas, recursos y prompts del servidor, con la descarga y el cache
+ * de la documentación de DESY. No depende del transporte: server-desy.js lo
+ * publica por HTTP y cli.js también por stdio.
+ *
+ * La configuración (config.js) se lee al importar el módulo.
+ */
+
+import { McpServer, ResourceTemplate } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { completable } from "@modelcontextprotocol/sdk/server/completable.js";
+import { AsyncLocalStorage } from "async_hooks";
+import fs from "fs";
+import path from "path";
+import nunjucks from "nunjucks";
+import { hasScope, SCOPES } from "./auth.js";
+import { getConfig } from "./config.js";
+import { defaultSnapshotVersion, listSnapshots, openSnapshot, writeSnapshot } from "./snapshot.js";
+import { createPageCache } from "./page-cache.js";
+import { createHttpClient, PageNotFoundError } from "./http-client.js";
+import { createSearchIndex } from "./search-index.js";
+import { buildAliasTable, getUrlSlug, levenshtein, normalizeTerm, resolveComponent } from "./component-resolver.js";
+import { auditMarkup, buildCanonical, findAuditComponents } from "./markup-audit.js";
+import { checkAccessibility } from "./accessibility-audit.js";
+import { buildSignatures, identifyComponents } from "./component-identifier.js";
+import { parseLlmsTxt } from "./llms-txt.js";
+import { parsePatternPage } from "./ui-patterns.js";
+import { diffExamples, diffParams } from "./component-diff.js";
+import { createChangeFeed, pageDigest, summarizeChange } from "./change-feed.js";
+import { buildAngularPage, buildHtmlPage, buildNunjucksPage, layoutRegions, parsePageSpec, DEFAULT_MAIN_ATTRIBUTES, PAGE_TECHS } from "./page-scaffold.js";
+import { containsMacroExpression, formatAngularTemplate, formatNunjucksCall, isMacroExpression, macroExpression, paramsSimilarity, parseAngularElement } from "./component-converter.js";
+import { classifyStylePage, formatTokens, getThemeTokens, mergeTokens, parseStylePage, EXPORT_FORMATS, TOKEN_CATEGORIES } from "./design-tokens.js";
+import { z } from "zod";
+
+const config = getConfig();
+
+const SERVER_NAME = config.serverName;
+const SERVER_VERSION = "1.0.0";
+const DESY_ORIGIN = config.origin;
+const LLMS_TXT_URL = config.llmsTxtUrl;
+const CACHE_DURATION_MS = 24 * 60 * 60 * 1000;
+const DESY_SNAPSHOT_DIR = config.snapshotDir;
+const DESY_VERSIONS_DIR = config.versionsDir;
+const CURRENT_VERSION_LABELS = ["actual", "current", "latest"];
+const SNAPSHOT_CONCURRENCY = 4;
+const PAGE_CACHE_DIR = config.cacheDir;
+const PAGE_CACHE_TTL_MS = 60 * 60 * 1000;
+const CHANGES_FILE = config.changesFile;
+const CHANGES_MAX_ENTRIES = 200;
+const ALIASES_FILE = config.aliasesFile || new URL("./aliases.json", import.meta.url);
+const DESY_TEMPLATES_DIR = config.templatesDir;
+
+let cache = {
+  data: null,
+  timestamp: 0,
+};
+
+const snapshot = DESY_SNAPSHOT_DIR
+  ? openSnapshot(DESY_SNAPSHOT_DIR, config.snapshotVersion || undefined)
+  : null;
+
+const pageCache = createPageCache(PAGE_CACHE_DIR, { ttlMs: PAGE_CACHE_TTL_MS });
+const httpClient = createHttpClient({ timeoutMs: 15000, retries: 2, concurrency: 6 });
+const changeFeed = createChangeFeed(CHANGES_FILE, { maxEntries: CHANGES_MAX_ENTRIES });
+let changeDetection = null;
+
+// Snapshot selected with the `version` argument of the running tool call
+const versionContext = new AsyncLocalStorage();
+const pinnedVersions = new Map();
+
+function createComponentSearchIndex() {
+  return createSearchIndex({
+    fieldWeights: { name: 6, titles: 3, params: 3, paramDescriptions: 1, prose: 1 },
+    snippetFields: ["prose", "paramDescriptions", "titles", "params", "name"],
+  });
+}
+
+const searchIndex = createComponentSearchIndex();
+let searchIndexTimestamp = 0;
+let searchIndexUpdate = null;
+
+function loadAliasOverrides() {
+  try {
+    return JSON.parse(fs.readFileSync(ALIASES_FILE, "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT" && !config.aliasesFile) return {};
+    throw new Error(`No se pudo leer el fichero de alias ${ALIASES_FILE}: ${error.message}`);
+  }
+}
+
+const aliasOverrides = loadAliasOverrides();
+const componentTitles = {};
+let aliasTable = { aliases: {}, conflicts: [], unmatchedOverrides: [] };
+
+function updateAliasTable(components) {
+  aliasTable = buildAliasTable(components, { titles: componentTitles, overrides: aliasOverrides });
+}
+
+// Alias table of the catalog being served: the live one or the pinned version's
+function activeAliasTable() {
+  return versionContext.getStore()?.aliasTable ?? aliasTable;
+}
+
+function findComponentKey(components, searchTerm) {
+  return resolveComponent(components, searchTerm, { aliases: activeAliasTable().aliases }).key;
+}
+
+// llms.txt a snapshot was crawled from, which may be another origin or
+// mirror than the configured one
+function snapshotSource(openedSnapshot) {
+  return openedSnapshot.manifest.source || LLMS_TXT_URL;
+}
+
+// llms.txt being served: the pinned version's, the snapshot's or the live one
+function activeLlmsTxtUrl() {
+  const served = versionContext.getStore()?.snapshot ?? snapshot;
+  return served ? snapshotSource(served) : LLMS_TXT_URL;
+}
+
+/**
+ * Runs a tool call against a stored DESY version. Without a version (or with
+ * "actual"/"latest") the call uses the live site or DESY_SNAPSHOT_DIR.
+ * @param {string|undefined} version - Snapshot version label in DESY_VERSIONS_DIR
+ * @param {function(): Promise<*>} fn - Call to run
+ * @returns {Promise<*>} Result of fn
+ */
+function withVersion(version, fn) {
+  if (!version || CURRENT_VERSION_LABELS.includes(version.toLowerCase())) {
+    return versionContext.run(null, fn);
+  }
+
+  if (!pinnedVersions.has(version)) {
+    const pinnedSnapshot = openSnapshot(DESY_VERSIONS_DIR, version);
+    const catalog = parseLlmsTxt(pinnedSnapshot.readPage(snapshotSource(pinnedSnapshot)));
+    pinnedVersions.set(version, {
+      snapshot: pinnedSnapshot,
+      catalog,
+      aliasTable: buildAliasTable(catalog.components, { overrides: aliasOverrides }),
+      searchIndex: null,
+    });
+  }
+  return versionContext.run(pinnedVersions.get(version), fn);
+}
+
+function activeVersionLabel() {
+  return versionContext.getStore()?.snapshot.version ?? snapshot?.version ?? "actual";
+}
+
+function listVersions() {
+  return {
+    current: snapshot ? snapshot.version : "actual",
+    versionsDir: DESY_VERSIONS_DIR,
+    versions: listSnapshots(DESY_VERSIONS_DIR).map(({ version, createdAt }) => ({ version, createdAt })),
+  };
+}
+
+function hasExampleCode(example) {
+  return Boolean(example.html || example.nunjucks || example.typescript);
+}
+
+function parseCodeBlocks(markdown, format = 'html') {
+  const examples = [];
+  const lines = markdown.split('\n');
+  
+  let currentExample = null;
+  let inCodeBlock = false;
+  let codeBlockType = null;
+  let codeBuffer = [];
+  
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    
+    if (!inCodeBlock && line.match(/^###\s+(.+)\s*\[#\]/)) {
+      if (currentExample && hasExampleCode(currentExample)) {
+        examples.push(currentExample);
+      }
+      const title = line.match(/^###\s+(.+)\s*\[#\]/)[1].trim();
+      currentExample = { title, html: null, nunjucks: null, typescript: null, description: '' };
+    }
+    else if (!inCodeBlock && line.match(/^###\s+(.+)/)) {
+      if (currentExample && hasExampleCode(currentExample)) {
+        examples.push(currentExample);
+      }
+      const title = line.match(/^###\s+(.+)/)[1].trim();
+      currentExample = { title, html: null, nunjucks: null, typescript: null, description: '' };
+    }
+    
+    if (inCodeBlock && line.trim() === '```') {
+      if (currentExample) {
+        const code = codeBuffer.join('\n').trim();
+        if (codeBlockType === 'html') {
+          currentExample.html = code;
+        } else if (codeBlockType === 'nunjucks') {
+          currentExample.nunjucks = code;
+        } else if (codeBlockType === 'typescript') {
+          currentExample.typescript = currentExample.typescript ? `${currentExample.typescript}\n\n${code}` : code;
+        }
+      }
+      inCodeBlock = false;
+      codeBlockType = null;
+      codeBuffer = [];
+    } else if (inCodeBlock) {
+      codeBuffer.push(line);
+    } else if (line.startsWith('```html')) {
+      inCodeBlock = true;
+      codeBlockType = 'html';
+      codeBuffer = [];
+    } else if (line.startsWith('```ts') || line.startsWith('```typescript')) {
+      inCodeBlock = true;
+      codeBlockType = 'typescript';
+      codeBuffer = [];
+    } else if (line.startsWith('```js') || line.startsWith('```javascript')) {
+      inCodeBlock = true;
+      // Angular pages label TypeScript snippets as js; Nunjucks pages use js for macros
+      codeBlockType = format === 'angular' ? 'typescript' : 'nunjucks';
+      codeBuffer = [];
+    } else if (line.startsWith('```')) {
+      inCodeBlock = true;
+      codeBlockType = null;
+      codeBuffer = [];
+    }
+  }
+  
+  if (currentExample && hasExampleCode(currentExample)) {
+    examples.push(currentExample);
+  }
+  
+  if (format === 'angular') {
+    return examples.map(example => ({ ...example, ...splitAngularCode(example.typescript, example.html) }));
+  }
+  
+  return examples;
+}
+
+// Inputs are collected from @Input() declarations and from [property]
+// bindings in the template, since most snippets only include the template.
+function getAngularInputs(typescript, template) {
+  const declared = [...(typescript || '').matchAll(/@Input\(\s*(?:['"]([^'"]+)['"])?\s*\)\s*(?:set\s+)?(\w+)/g)]
+    .map(match => match[1] || match[2]);
+  const bound = [...(template || '').matchAll(/\[\(?([\w.-]+)\)?\]=/g)]
+    .map(match => match[1]);
+  return [...new Set([...declared, ...bound])];
+}
+
+function splitAngularCode(typescript, template) {
+  if (!typescript) {
+    return { imports: [], inputs: getAngularInputs(null, template) };
+  }
+
+  const imports = typescript.match(/^import\s+[\s\S]*?from\s+['"][^'"]+['"];?/gm) || [];
+  const classCode = imports
+    .reduce((code, statement) => code.replace(statement, ''), typescript)
+    .trim();
+
+  return {
+    typescript: classCode || null,
+    imports: imports.map(statement => statement.replace(/\s+/g, ' ').trim()),
+    inputs: getAngularInputs(typescript, template),
+  };
+}
+
+function getExampleCode(example, format) {
+  if (format === 'angular') return example.html || example.typescript;
+  return format === 'html' ? example.html : example.nunjucks;
+}
+
+function formatAngularExample(example) {
+  const parts = [`### ${example.title}`];
+  if (example.html) {
+    parts.push(`**Plantilla**\n\`\`\`html\n${example.html}\n\`\`\``);
+  }
+  if (example.typescript) {
+    parts.push(`**Componente**\n\`\`\`ts\n${example.typescript}\n\`\`\``);
+  }
+  if (example.imports.length > 0) {
+    parts.push(`**Imports necesarios**\n\`\`\`ts\n${example.imports.join('\n')}\n\`\`\``);
+  }
+  if (example.inputs.length > 0) {
+    parts.push(`**Inputs:** ${example.inputs.map(input => `\`${input}\``).join(', ')}`);
+  }
+  return parts.join('\n\n');
+}
+
+// Examples whose title contains the variant (or is contained in it); all of
+// them when none matches
+function filterExamplesByVariant(examples, variant) {
+  if (!variant) return examples;
+
+  const variantLower = variant.toLowerCase().normalize("NFD").replace(/[\u0300-\u036f]/g, "");
+  const filtered = examples.filter(ex => {
+    const titleNorm = ex.title.toLowerCase().normalize("NFD").replace(/[\u0300-\u036f]/g, "");
+    return titleNorm.includes(variantLower) || variantLower.includes(titleNorm);
+  });
+
+  return filtered.length > 0 ? filtered : examples;
+}
+
+function formatCodeOutput(examples, format = 'html', variant = null) {
+  const allVariants = examples
+    .filter(ex => getExampleCode(ex, format))
+    .map(ex => ex.title);
+  
+  const filteredExamples = filterExamplesByVariant(examples, variant);
+  
+  const output = [];
+  
+  if (!variant && allVariants.length > 1) {
+    output.push(`**Variantes disponibles (${allVariants.length}):** ${allVariants.join(', ')}\n\n_Para filtrar, usa el parámetro \`variant\`. Ejemplo: variant="primario"_\n`);
+  }
+  
+  for (const example of filteredExamples) {
+    const code = getExampleCode(example, format);
+    if (code && format === 'angular') {
+      output.push(formatAngularExample(example));
+    } else if (code) {
+      output.push(`### ${example.title}\n\`\`\`${format === 'html' ? 'html' : 'js'}\n${code}\n\`\`\``);
+    }
+  }
+  
+  if (output.length === 0 || (output.length === 1 && output[0].startsWith('**Variantes'))) {
+    return `No se encontraron ejemplos de código ${format.toUpperCase()} para este componente.`;
+  }
+  
+  return output.join('\n\n');
+}
+
+// Pages are read from the pinned version or DESY_SNAPSHOT_DIR when there is
+// one, and from the origin through the page cache otherwise
+async function fetchUrl(url, options) {
+  const pinned = versionContext.getStore();
+  if (pinned) {
+    return pinned.snapshot.readPage(url);
+  }
+  if (snapshot) {
+    return snapshot.readPage(url);
+  }
+  return fetchFromOrigin(url, options);
+}
+
+function fetchFromOrigin(url, { revalidate = false } = {}) {
+  return pageCache.fetch(url, (headers) => httpClient.request(url, { headers }), {
+    revalidate,
+    // A page the origin no longer has is not served from the cache
+    serveStale: (error) => !(error instanceof PageNotFoundError),
+  });
+}
+
+async function fetchLlmsTxt(forceRefresh = false) {
+  const pinned = versionContext.getStore();
+  if (pinned) {
+    return pinned.catalog;
+  }
+
+  const now = Date.now();
+  const cacheExpired = now - cache.timestamp > CACHE_DURATION_MS;
+
+  if (!forceRefresh && !cacheExpired && cache.data) {
+    return cache.data;
+  }
+
+  try {
+    const content = await fetchUrl(activeLlmsTxtUrl(), { revalidate: forceRefresh });
+    const parsed = parseLlmsTxt(content);
+    updateAliasTable(parsed.components);
+    cache = { data: parsed, timestamp: now };
+    if (!snapshot) detectChanges(parsed, { download: forceRefresh });
+    return parsed;
+  } catch (error) {
+    if (cache.data) {
+      return cache.data;
+    }
+    throw new Error(`Failed to fetch llms.txt: ${error.message}`);
+  }
+}
+
+// Compares every downloaded llms.txt with the previous one, one at a time.
+// Code pages are only downloaded on an explicit refresh (refresh_cache); on
+// other loads only the fresh copies already in the page cache are compared.
+function detectChanges(catalog, options) {
+  const detection = (changeDetection ?? Promise.resolve())
+    .then(() => recordCatalogChanges(catalog, options))
+    .catch(error => {
+      console.warn(`No se pudieron comprobar los cambios de la documentación: ${error.message}`);
+      return null;
+    });
+  changeDetection = detection;
+  detection.finally(() => {
+    if (changeDetection === detection) changeDetection = null;
+  });
+  return detection;
+}
+
+// Pages with conditional requests when downloading, so unchanged ones cost a 304
+async function recordCatalogChanges(catalog, { download = false } = {}) {
+  const components = {};
+  const pages = {};
+  await Promise.all(Object.values(catalog.components).map(async comp => {
+    const url = getCodeUrl(comp, 'nunjucks');
+    components[comp.name] = url;
+    try {
+      const cached = download ? null : pageCache.get(url);
+      if (!download && !(cached && pageCache.isFresh(cached))) return;
+      const content = download ? await fetchUrl(url) : cached.body;
+      const digest = pageDigest(content, { params: parseParamsSchema(content) || [], examples: parseCodeBlocks(content, 'nunjucks') });
+      pages[url] = { component: comp.name, digest };
+    } catch {
+      // Keeps the previous digest; the page is compared on the next refresh
+    }
+  }));
+
+  const patterns = Object.fromEntries(Object.values(catalog.patterns).map(pattern => [pattern.name, pattern.url]));
+  return changeFeed.record({ components, patterns }, pages);
+}
+
+/**
+ * Change history of the documentation. The history belongs to the live site,
+ * so a stored version is not read: it only sets the start date, the moment
+ * that version was taken.
+ * @param {string|null} [since] - ISO date; the whole history when omitted
+ * @param {string|null} [version] - Snapshot version label in DESY_VERSIONS_DIR, instead of since
+ * @returns {Promise<{checkedAt: string|null, entries: Object[]}|{error: string}>} Entries, oldest first
+ */
+async function getChangesSince(since = null, version = null) {
+  if (since && version) {
+    return { error: "Indica since o version, no los dos" };
+  }
+  if (version && !CURRENT_VERSION_LABELS.includes(version.toLowerCase())) {
+    try {
+      since = openSnapshot(DESY_VERSIONS_DIR, version).manifest.createdAt;
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+  if (since && Number.isNaN(Date.parse(since))) {
+    return { error: `Fecha no válida: '${since}'. Usa una fecha ISO 8601 (ej: 2026-10-01 o 2026-10-01T08:00:00Z)` };
+  }
+
+  // Downloads llms.txt again when it has expired, which records its changes
+  try {
+    await fetchLlmsTxt();
+    await changeDetection;
+  } catch {
+    // The history is still served when the origin is unreachable
+  }
+
+  const entries = changeFeed.since(since);
+  return {
+    checkedAt: changeFeed.checkedAt,
+    entries: entries.map(entry => ({ ...entry, summary: summarizeChange(entry) })),
+  };
+}
+
+function getCodeUrl(comp, tech = 'html') {
+  let codeUrl = comp.url;
+  if (!codeUrl.includes('-codigo')) {
+    codeUrl = codeUrl.replace('.html.md', '-codigo.html.md');
+  }
+  
+  if (tech === 'angular' && !codeUrl.includes('-angular')) {
+    codeUrl = codeUrl.replace('-codigo.html.md', '-codigo-angular.html.md');
+  }
+
+  return codeUrl;
+}
+
+/**
+ * Code examples of a component, or why they are not available
+ * @param {string} tech - html, nunjucks or angular
+ * @param {string} component - Component name or alias
+ * @param {string|null} [variant] - Example to return, all by default
+ * @returns {Promise<{ok: true, code: string}|{ok: false, error: string}>} Markdown with the examples,
+ *   or the message for the user (suggestions, or the documentation page when there is no code page)
+ */
+async function fetchComponentCode(tech, component, variant = null) {
+  const { components } = await fetchLlmsTxt();
+  
+  if (!component || typeof component !== 'string') {
+    const available = Object.keys(components);
+    return { ok: false, error: `Error: Debes especificar un nombre de componente.\n\nComponentes disponibles (${available.length} total):\n- ${available.join("\n- ")}` };
+  }
+  
+  const resolution = resolveComponent(components, component, { aliases: activeAliasTable().aliases });
+  const { key } = resolution;
+
+  if (!key) {
+    const available = Object.keys(components);
+    const suggestions = resolution.candidates.filter(candidate => candidate.score >= 0.3);
+    
+    let response = `Componente '${component}' no encontrado.`;
+    if (suggestions.length > 0) {
+      response += `\n\n¿Quizás quisiste decir?\n- ${suggestions.map(candidate => `${candidate.key} (similitud ${candidate.score})`).join("\n- ")}`;
+    }
+    response += `\n\nComponentes disponibles (${available.length} total):\n- ${available.slice(0, 20).join("\n- ")}`;
+    if (available.length > 20) {
+      response += `\n... y ${available.length - 20} más`;
+    }
+    return { ok: false, error: response };
+  }
+
+  const comp = components[key];
+  const codeUrl = getCodeUrl(comp, tech);
+
+  try {
+    const content = await fetchUrl(codeUrl);
+    
+    const format = ['nunjucks', 'angular'].includes(tech) ? tech : 'html';
+    const examples = parseCodeBlocks(content, format);
+    
+    if (examples.length === 0) {
+      return { ok: false, error: `No se encontraron ejemplos de código para '${comp.name}'.\n\nContenido disponible en: ${codeUrl}` };
+    }
+    
+    let header = `## ${comp.name} - Código ${format.toUpperCase()}\n\n`;
+    if (resolution.confidence < 1) {
+      const alternatives = resolution.candidates.slice(1, 3).map(candidate => candidate.key).join(', ');
+      header += `_'${component}' se ha resuelto como '${key}' (confianza ${resolution.confidence}${resolution.ambiguous ? `, ambiguo; otras opciones: ${alternatives}` : ''})_\n\n`;
+    }
+    const codeOutput = formatCodeOutput(examples, format, variant);
+    
+    return { ok: true, code: header + codeOutput };
+  } catch (error) {
+    const reason = error instanceof PageNotFoundError
+      ? `La página de código ${tech.toUpperCase()} de '${comp.name}' no existe: ${codeUrl}`
+      : `No se pudo obtener la página de código: ${error.message}`;
+
+    if (comp.url === codeUrl) {
+      return { ok: false, error: `Error al obtener el código. ${reason}` };
+    }
+
+    try {
+      const fallbackContent = await fetchUrl(comp.url);
+      return { ok: false, error: `${reason}\n\nDocumentación disponible:\n\n${fallbackContent.substring(0, 2000)}...` };
+    } catch (fallbackError) {
+      return { ok: false, error: `Error al obtener el código. ${reason}\n\nTampoco se pudo obtener la documentación: ${fallbackError.message}` };
+    }
+  }
+}
+
+// Tools and resources show the examples or the message in the same text
+async function getComponentCode(tech, component, variant = null) {
+  const result = await fetchComponentCode(tech, component, variant);
+  return result.ok ? result.code : result.error;
+}
+
+function getPropsUrl(comp) {
+  return comp.url
+    .replace("-codigo", "-props")
+    .replace("-codigo-angular", "-props-angular");
+}
+
+async function getComponentProps(component) {
+  const { components } = await fetchLlmsTxt();
+  
+  if (!component || typeof component !== 'string') {
+    return { error: "Debes especificar un nombre de componente" };
+  }
+  
+  const key = findComponentKey(components, component);
+
+  if (!key) {
+    return { error: `Componente '${component}' no encontrado` };
+  }
+
+  const comp = components[key];
+  const propsUrl = getPropsUrl(comp);
+
+  try {
+    const response = await fetchUrl(propsUrl);
+    return {
+      component: comp.name,
+      description: comp.description,
+      url: propsUrl,
+      propsHtml: response,
+    };
+  } catch (error) {
+    return {
+      component: comp.name,
+      propsError: error instanceof PageNotFoundError
+        ? `La página de propiedades no existe: ${propsUrl}`
+        : error.message,
+      description: comp.description,
+      url: comp.url,
+      category: comp.category,
+      availableFormats: {
+        html: comp.hasHtml,
+        nunjucks: comp.hasNunjucks,
+        angular: comp.hasAngular,
+      },
+      note: "Para obtener las propiedades detalladas, consulta la documentación en la URL del componente",
+    };
+  }
+}
+
+function extractParamsYaml(markdown) {
+  const lines = markdown.split('\n');
+  let inYamlBlock = false;
+  let yamlBuffer = [];
+
+  for (const line of lines) {
+    if (!inYamlBlock && line.startsWith('```yaml')) {
+      inYamlBlock = true;
+      yamlBuffer = [];
+    } else if (inYamlBlock && line === '```') {
+      if (yamlBuffer.length > 0 && yamlBuffer[0].trim().startsWith('params:')) {
+        return yamlBuffer.join('\n');
+      }
+      inYamlBlock = false;
+    } else if (inYamlBlock) {
+      yamlBuffer.push(line);
+    }
+  }
+
+  return null;
+}
+
+function parseYamlScalar(value) {
+  const trimmed = value.trim();
+  if (trimmed === 'true') return true;
+  if (trimmed === 'false') return false;
+  const quoted = trimmed.match(/^(["'])(.*)\1$/);
+  return quoted ? quoted[2] : trimmed;
+}
+
+function normalizeParamNode(node) {
+  const param = {
+    name: String(node.name),
+    type: node.type ? String(node.type) : 'string',
+    required: node.required === true,
+    description: node.description ? String(node.description) : '',
+  };
+
+  if (Array.isArray(node.params) && node.params.length > 0) {
+    param.params = node.params.filter(child => child.name).map(normalizeParamNode);
+  }
+
+  return param;
+}
+
+// The DESY params blocks are not strict YAML (descriptions contain unquoted
+// colons), so they are parsed line by line using the list indentation.
+function parseParamsSchema(markdown) {
+  const yamlSource = extractParamsYaml(markdown);
+  if (!yamlSource) return null;
+
+  const root = [];
+  const stack = [{ indent: null, list: root }];
+  let current = null;
+  let currentIndent = 0;
+  let lastKey = null;
+  let pendingList = null;
+
+  for (const line of yamlSource.split('\n')) {
+    if (!line.trim() || line.trim() === 'params:' && !current) continue;
+
+    const itemMatch = line.match(/^(\s*)-\s+(\w+):\s*(.*)$/);
+    if (itemMatch) {
+      const indent = itemMatch[1].length;
+      if (pendingList) {
+        stack.push({ indent, list: pendingList });
+        pendingList = null;
+      }
+      while (stack.length > 1 && stack[stack.length - 1].indent > indent) {
+        stack.pop();
+      }
+      const frame = stack[stack.length - 1];
+      if (frame.indent === null) frame.indent = indent;
+
+      current = { [itemMatch[2]]: parseYamlScalar(itemMatch[3]) };
+      currentIndent = indent + 2;
+      lastKey = itemMatch[2];
+      frame.list.push(current);
+      continue;
+    }
+
+    if (!current) continue;
+
+    const keyMatch = line.match(/^(\s*)(\w+):\s*(.*)$/);
+    if (keyMatch && keyMatch[1].length === currentIndent) {
+      lastKey = keyMatch[2];
+      if (lastKey === 'params' && !keyMatch[3].trim()) {
+        current.params = [];
+        pendingList = current.params;
+      } else {
+        current[lastKey] = parseYamlScalar(keyMatch[3]);
+      }
+    } else if (lastKey && typeof current[lastKey] === 'string') {
+      current[lastKey] = `${current[lastKey]} ${line.trim()}`.trim();
+    }
+  }
+
+  return root.length > 0 ? root.filter(node => node.name).map(normalizeParamNode) : null;
+}
+
+async function getComponentSchema(component) {
+  const { components } = await fetchLlmsTxt();
+
+  if (!component || typeof component !== 'string') {
+    return { error: "Debes especificar un nombre de componente" };
+  }
+
+  const key = findComponentKey(components, component);
+
+  if (!key) {
+    return { error: `Componente '${component}' no encontrado` };
+  }
+
+  const comp = components[key];
+  const codeUrl = getCodeUrl(comp, 'nunjucks');
+
+  try {
+    const content = await fetchUrl(codeUrl);
+    const params = parseParamsSchema(content);
+
+    if (!params) {
+      return { error: `No se encontraron parámetros Nunjucks para '${comp.name}'`, url: codeUrl };
+    }
+
+    return {
+      component: comp.name,
+      url: codeUrl,
+      params,
+    };
+  } catch (error) {
+    return { error: `Error al obtener los parámetros: ${error.message}`, url: codeUrl };
+  }
+}
+
+// Tolerant parser for the object literal passed to a Nunjucks macro. Accepts
+// JSON as well as JS-style literals (unquoted keys, single quotes, trailing
+// commas). Variables and expressions are kept with macroExpression so they
+// are not type-checked.
+function parseMacroLiteral(source) {
+  let pos = 0;
+
+  const fail = (message) => {
+    throw new Error(`${message} (posición ${pos})`);
+  };
+  const skipWhitespace = () => {
+    while (pos < source.length && /\s/.test(source[pos])) pos++;
+  };
+
+  function parseString() {
+    const quote = source[pos++];
+    let value = '';
+    while (pos < source.length && source[pos] !== quote) {
+      if (source[pos] === '\\') {
+        const next = source[pos + 1];
+        value += { n: '\n', t: '\t', r: '\r' }[next] ?? next;
+        pos += 2;
+      } else {
+        value += source[pos++];
+      }
+    }
+    if (pos >= source.length) fail("Cadena sin cerrar");
+    pos++;
+    return value;
+  }
+
+  function parseExpression() {
+    const start = pos;
+    let depth = 0;
+    while (pos < source.length) {
+      const ch = source[pos];
+      if (ch === '"' || ch === "'") {
+        parseString();
+        continue;
+      }
+      if (ch === '(' || ch === '[' || ch === '{') depth++;
+      if (ch === ')' || ch === ']' || ch === '}') {
+        if (depth === 0) break;
+        depth--;
+      }
+      if (ch === ',' && depth === 0) break;
+      pos++;
+    }
+    const text = source.slice(start, pos).trim();
+    if (!text) fail("Valor esperado");
+    if (text === 'true' || text === 'false') return text === 'true';
+    if (text === 'null' || text === 'none') return null;
+    if (/^-?\d+(\.\d+)?$/.test(text)) return Number(text);
+    return macroExpression(text);
+  }
+
+  function parseValue() {
+    skipWhitespace();
+    const ch = source[pos];
+    if (ch === '{') return parseObject();
+    if (ch === '[') return parseArray();
+    if (ch === '"' || ch === "'") return parseString();
+    return parseExpression();
+  }
+
+  function parseObject() {
+    const result = {};
+    pos++;
+    skipWhitespace();
+    while (source[pos] !== '}') {
+      if (pos >= source.length) fail("Objeto sin cerrar");
+      let key;
+      if (source[pos] === '"' || source[pos] === "'") {
+        key = parseString();
+      } else {
+        const match = source.slice(pos).match(/^[A-Za-z_$][\w$-]*/);
+        if (!match) fail("Clave esperada");
+        key = match[0];
+        pos += key.length;
+      }
+      skipWhitespace();
+      if (source[pos] !== ':') fail(`Se esperaba ':' tras la clave '${key}'`);
+      pos++;
+      result[key] = parseValue();
+      skipWhitespace();
+      if (source[pos] === ',') {
+        pos++;
+        skipWhitespace();
+      } else if (source[pos] !== '}') {
+        fail("Se esperaba ',' o '}'");
+      }
+    }
+    pos++;
+    return result;
+  }
+
+  function parseArray() {
+    const result = [];
+    pos++;
+    skipWhitespace();
+    while (source[pos] !== ']') {
+      if (pos >= source.length) fail("Array sin cerrar");
+      result.push(parseValue());
+      skipWhitespace();
+      if (source[pos] === ',') {
+        pos++;
+        skipWhitespace();
+      } else if (source[pos] !== ']') {
+        fail("Se esperaba ',' o ']'");
+      }
+    }
+    pos++;
+    return result;
+  }
+
+  return parseValue();
+}
+
+function parseMacroCall(macroCall) {
+  const match = macroCall.match(/\b(component[A-Za-z0-9]*)\s*\(/);
+  if (!match) {
+    throw new Error("No se encontró ninguna llamada a macro 'componentXxx(...)'");
+  }
+  const argsStart = macroCall.indexOf('{', match.index + match[0].length);
+  if (argsStart === -1) {
+    throw new Error(`La llamada a '${match[1]}' no recibe un objeto de parámetros`);
+  }
+  return { macro: match[1], params: parseMacroLiteral(macroCall.slice(argsStart)) };
+}
+
+function describeValueType(value) {
+  if (value === null) return 'null';
+  if (isMacroExpression(value)) return 'expression';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function checkParamType(param, value) {
+  if (isMacroExpression(value) || value === null) return true;
+  const actual = describeValueType(value);
+  switch (param.type) {
+    case 'string':
+    case 'number':
+    case 'boolean':
+    case 'object':
+    case 'array':
+      return actual === param.type;
+    default:
+      return true;
+  }
+}
+
+// DESY marks both alternatives of a text/html pair as required and explains
+// in the description that only one of them is needed. Some descriptions name
+// a parameter that does not exist (typos upstream), in which case the
+// counterpart is inferred from the Text/Html suffix.
+function getAlternativeParams(param, byName) {
+  const alternatives = [];
+  const pattern = /If `(\w+)` is set, this is not required/gi;
+  let match;
+  while ((match = pattern.exec(param.description)) !== null) {
+    if (byName.has(match[1])) {
+      alternatives.push(match[1]);
+      continue;
+    }
+    const suffix = param.name.match(/(text|html|Text|Html)$/);
+    const swapped = { text: 'html', html: 'text', Text: 'Html', Html: 'Text' };
+    const counterpart = suffix && param.name.slice(0, suffix.index) + swapped[suffix[1]];
+    if (counterpart && byName.has(counterpart)) {
+      alternatives.push(counterpart);
+    }
+  }
+  return alternatives;
+}
+
+function validateParamsAgainstSchema(values, schemaParams, path, errors) {
+  const byName = new Map(schemaParams.map(param => [param.name, param]));
+
+  const reportedMissing = new Set();
+
+  for (const param of schemaParams) {
+    if (!param.required || values[param.name] !== undefined) continue;
+    const alternatives = getAlternativeParams(param, byName);
+    if (alternatives.some(name => values[name] !== undefined || reportedMissing.has(name))) continue;
+    reportedMissing.add(param.name);
+    errors.push({
+      path: `${path}.${param.name}`,
+      code: 'missing_required',
+      message: alternatives.length > 0
+        ? `Falta el parámetro obligatorio '${param.name}' (o su alternativa ${alternatives.map(name => `'${name}'`).join(', ')})`
+        : `Falta el parámetro obligatorio '${param.name}'`,
+    });
+  }
+
+  for (const [key, value] of Object.entries(values)) {
+    const param = byName.get(key);
+    const valuePath = `${path}.${key}`;
+
+    if (!param) {
+      const suggestion = schemaParams
+        .map(candidate => ({ name: candidate.name, distance: levenshtein(key.toLowerCase(), candidate.name.toLowerCase()) }))
+        .filter(candidate => candidate.distance <= Math.max(2, Math.floor(key.length / 3)))
+        .sort((a, b) => a.distance - b.distance)[0];
+      errors.push({
+        path: valuePath,
+        code: 'unknown_param',
+        message: suggestion
+          ? `Parámetro desconocido '${key}'. ¿Quizás quisiste decir '${suggestion.name}'?`
+          : `Parámetro desconocido '${key}'`,
+      });
+      continue;
+    }
+
+    if (!checkParamType(param, value)) {
+      errors.push({
+        path: valuePath,
+        code: 'invalid_type',
+        message: `'${key}' debe ser de tipo ${param.type}, se recibió ${describeValueType(value)}`,
+      });
+      continue;
+    }
+
+    if (!param.params) continue;
+
+    if (param.type === 'object' && describeValueType(value) === 'object') {
+      validateParamsAgainstSchema(value, param.params, valuePath, errors);
+    } else if (param.type === 'array' && Array.isArray(value)) {
+      value.forEach((item, index) => {
+        const itemPath = `${valuePath}[${index}]`;
+        if (isMacroExpression(item)) return;
+        if (describeValueType(item) !== 'object') {
+          errors.push({
+            path: itemPath,
+            code: 'invalid_type',
+            message: `Los elementos de '${key}' deben ser objetos, se recibió ${describeValueType(item)}`,
+          });
+          return;
+        }
+        validateParamsAgainstSchema(item, param.params, itemPath, errors);
+      });
+    }
+  }
+
+  return errors;
+}
+
+async function validateComponentParams(component, params, macroCall) {
+  if (params === undefined && !macroCall) {
+    return { error: "Debes indicar 'params' (objeto JSON) o 'macroCall' (llamada a la macro Nunjucks)" };
+  }
+
+  const schema = await getComponentSchema(component);
+  if (schema.error) {
+    return schema;
+  }
+
+  let values = params;
+  let macro = null;
+  if (values === undefined) {
+    try {
+      ({ macro, params: values } = parseMacroCall(macroCall));
+    } catch (error) {
+      return {
+        component: schema.component,
+        valid: false,
+        errors: [{ path: '$', code: 'parse_error', message: `No se pudo interpretar la llamada a la macro: ${error.message}` }],
+      };
+    }
+  }
+
+  if (describeValueType(values) !== 'object') {
+    return {
+      component: schema.component,
+      valid: false,
+      errors: [{ path: '$', code: 'invalid_type', message: `Los parámetros deben ser un objeto, se recibió ${describeValueType(values)}` }],
+    };
+  }
+
+  const errors = validateParamsAgainstSchema(values, schema.params, '$', []);
+
+  return {
+    component: schema.component,
+    ...(macro ? { macro } : {}),
+    valid: errors.length === 0,
+    errors,
+  };
+}
+
+let templatesEnv = null;
+
+function getTemplateRoots() {
+  const roots = [path.join(DESY_TEMPLATES_DIR, "src", "templates"), DESY_TEMPLATES_DIR];
+  return roots.filter(root => fs.existsSync(path.join(root, "components")));
+}
+
+function getTemplatesEnv() {
+  if (!templatesEnv) {
+    const roots = getTemplateRoots();
+    if (roots.length === 0) {
+      throw new Error(`No se encontraron las plantillas de desy-html en '${DESY_TEMPLATES_DIR}'. Configura DESY_TEMPLATES_DIR con la ruta a una copia local de desy-html.`);
+    }
+    templatesEnv = new nunjucks.Environment(new nunjucks.FileSystemLoader(roots), {
+      autoescape: true,
+      trimBlocks: true,
+      lstripBlocks: true,
+    });
+  }
+  return templatesEnv;
+}
+
+function listTemplateComponents() {
+  const [root] = getTemplateRoots();
+  if (!root) return [];
+  return fs.readdirSync(path.join(root, "components"), { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .map(entry => entry.name);
+}
+
+let templateClassNames = null;
+
+// Component classes (c-*, ds-*) used by the desy-html templates and styles
+function listTemplateClassNames() {
+  if (templateClassNames) return templateClassNames;
+
+  const [root] = getTemplateRoots();
+  const classNames = new Set();
+  if (root) {
+    const files = [];
+    for (const slug of listTemplateComponents()) {
+      const dir = path.join(root, "components", slug);
+      files.push(...fs.readdirSync(dir).filter(file => /\.(njk|css)$/.test(file)).map(file => path.join(dir, file)));
+    }
+    const cssDir = path.join(root, "..", "css");
+    if (fs.existsSync(cssDir)) {
+      files.push(...fs.readdirSync(cssDir).filter(file => file.endsWith(".css")).map(file => path.join(cssDir, file)));
+    }
+    for (const file of files) {
+      for (const match of fs.readFileSync(file, "utf8").matchAll(/(?<![\w-])(?:c|ds)-[a-z0-9_-]*[a-z0-9]/g)) {
+        classNames.add(match[0]);
+      }
+    }
+  }
+
+  templateClassNames = [...classNames];
+  return templateClassNames;
+}
+
+function getMacroName(slug) {
+  return 'component' + slug.split('-').map(part => part.charAt(0).toUpperCase() + part.slice(1)).join('');
+}
+
+function slugifyComponentName(name) {
+  return name.toLowerCase().trim()
+    .normalize("NFD").replace(/[\u0300-\u036f]/g, "")
+    .replace(/\s*\(.*?\)\s*/g, "")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+}
+
+// Resolves the template folder locally first so rendering works offline;
+// only falls back to the llms.txt catalog for Spanish names and aliases.
+async function resolveTemplateSlug(component) {
+  const available = listTemplateComponents();
+  const direct = slugifyComponentName(component);
+  if (available.includes(direct)) return direct;
+
+  let components;
+  try {
+    ({ components } = await fetchLlmsTxt());
+  } catch {
+    return null;
+  }
+
+  const key = findComponentKey(components, component);
+  if (!key) return null;
+
+  const comp = components[key];
+  const urlSlug = comp.url.match(/componente-([a-z0-9-]+?)(?:-codigo.*|-props.*)?\.html/i)?.[1];
+  const candidates = [urlSlug, slugifyComponentName(comp.name), slugifyComponentName(key)];
+  return candidates.find(candidate => candidate && available.includes(candidate)) || null;
+}
+
+/**
+ * Renders a component with the Nunjucks macros of the local desy-html copy
+ * @param {string} component - Component name, template folder or alias
+ * @param {Object} [params] - Parameters of the macro
+ * @returns {Promise<{component: string, macro: string, html: string}|{error: string, availableTemplates?: string[]}>}
+ *   Rendered HTML, or the error when the templates or the component are not found
+ */
+async function renderComponent(component, params = {}) {
+  if (!component || typeof component !== 'string') {
+    return { error: "Debes especificar un nombre de componente" };
+  }
+
+  let env;
+  try {
+    env = getTemplatesEnv();
+  } catch (error) {
+    return { error: error.message };
+  }
+
+  const slug = await resolveTemplateSlug(component);
+  if (!slug) {
+    return {
+      error: `No hay plantilla Nunjucks para el componente '${component}'`,
+      availableTemplates: listTemplateComponents(),
+    };
+  }
+
+  const macro = getMacroName(slug);
+  const template = `{% from "components/${slug}/_macro.${slug}.njk" import ${macro} %}{{ ${macro}(params) }}`;
+
+  try {
+    const html = env.renderString(template, { params }).trim();
+    return { component: slug, macro, html };
+  } catch (error) {
+    return { error: `Error al renderizar '${slug}': ${error.message}` };
+  }
+}
+
+// Below this similarity the closest example is too different to stand in for
+// the rendered HTML
+const CLOSEST_EXAMPLE_MIN_SIMILARITY = 0.5;
+
+// Bound values are parsed inside an array so that trailing operators
+// ("'a' + b") fail to parse and the binding is kept as an expression.
+function parseBindingValue(value) {
+  try {
+    const [parsed] = parseMacroLiteral(`[${value}]`);
+    return parsed;
+  } catch {
+    return macroExpression(value);
+  }
+}
+
+function parseStaticAttribute(value, type) {
+  if (value === null) return type === 'boolean' ? true : '';
+  if (type === 'number' && /^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+  if (type === 'boolean' && (value === 'true' || value === 'false')) return value === 'true';
+  return value;
+}
+
+function angularElementToParams(element, schemaParams, warnings) {
+  const types = new Map(schemaParams.map(param => [param.name, param.type]));
+  const params = {};
+
+  for (const { name, value, bound } of element.bindings) {
+    params[name] = bound ? parseBindingValue(value ?? '') : parseStaticAttribute(value, types.get(name));
+  }
+
+  // desy-angular projects the content of the element instead of text/html
+  if (element.content && params.text === undefined && params.html === undefined) {
+    const isHtml = /<[a-z]/i.test(element.content);
+    const target = isHtml && types.has('html') ? 'html' : types.has('text') ? 'text' : null;
+    if (target) {
+      params[target] = element.content;
+    } else {
+      warnings.push(`El contenido proyectado de <${element.tag}> no tiene equivalente en los parámetros Nunjucks`);
+    }
+  }
+  if (element.children.length > 0) {
+    warnings.push(`Los componentes hijos (${[...new Set(element.children)].join(', ')}) se han copiado como contenido; en Nunjucks se indican normalmente con 'items'`);
+  }
+  if (element.outputs.length > 0) {
+    warnings.push(`Los eventos y directivas de Angular (${element.outputs.join(', ')}) no tienen equivalente en Nunjucks y se han omitido`);
+  }
+
+  return params;
+}
+
+// Template folder and macro name, taken from the import line of the examples
+// when there is one
+function getMacroReference(comp, variants) {
+  for (const { example } of variants) {
+    const match = example.nunjucks.match(/components\/([a-z0-9-]+)\/_macro\.[a-z0-9-]+\.njk["']\s+import\s+(component\w+)/);
+    if (match) return { slug: match[1], macro: match[2] };
+  }
+  const slug = slugifyComponentName(comp.name);
+  return { slug, macro: variants[0]?.macro || getMacroName(slug) };
+}
+
+function getAngularInputNames(angularExamples) {
+  const names = new Set();
+  for (const example of angularExamples) {
+    example.inputs.forEach(input => names.add(input));
+    const element = example.html && parseAngularElement(example.html);
+    element?.bindings.forEach(binding => names.add(binding.name));
+  }
+  return names;
+}
+
+async function fetchExamples(comp, tech) {
+  try {
+    return parseCodeBlocks(await fetchUrl(getCodeUrl(comp, tech)), tech);
+  } catch {
+    return [];
+  }
+}
+
+async function convertComponent(component, { params, macroCall, angularTemplate } = {}) {
+  const sources = [params !== undefined, Boolean(macroCall), Boolean(angularTemplate)].filter(Boolean).length;
+  if (sources !== 1) {
+    return { error: "Indica solo uno de 'params' (objeto JSON), 'macroCall' (llamada a la macro Nunjucks) o 'angularTemplate' (plantilla Angular)" };
+  }
+
+  const schema = await getComponentSchema(component);
+  if (schema.error) {
+    return schema;
+  }
+
+  const { components } = await fetchLlmsTxt();
+  const comp = components[findComponentKey(components, component)];
+  const warnings = [];
+
+  let values = params;
+  if (macroCall) {
+    try {
+      ({ params: values } = parseMacroCall(macroCall));
+    } catch (error) {
+      return { error: `No se pudo interpretar la llamada a la macro: ${error.message}` };
+    }
+  } else if (angularTemplate) {
+    const element = parseAngularElement(angularTemplate);
+    if (!element) {
+      return { error: "La plantilla Angular no contiene ningún componente <desy-*>" };
+    }
+    values = angularElementToParams(element, schema.params, warnings);
+  }
+
+  if (describeValueType(values) !== 'object') {
+    return { error: `Los parámetros deben ser un objeto, se recibió ${describeValueType(values)}` };
+  }
+
+  // Nunjucks examples and their HTML come paired by title from the code page
+  const [nunjucksExamples, angularExamples] = await Promise.all([
+    fetchExamples(comp, 'nunjucks'),
+    fetchExamples(comp, 'angular'),
+  ]);
+  const variants = nunjucksExamples
+    .filter(example => example.nunjucks)
+    .flatMap(example => {
+      try {
+        const call = parseMacroCall(example.nunjucks);
+        return [{ example, macro: call.macro, similarity: paramsSimilarity(values, call.params) }];
+      } catch {
+        return [];
+      }
+    })
+    .sort((a, b) => b.similarity - a.similarity);
+  const closest = variants[0] || null;
+  const angularExample = closest &&
+    angularExamples.find(example => normalizeTerm(example.title) === normalizeTerm(closest.example.title));
+
+  const { slug, macro } = getMacroReference(comp, variants);
+  const tag = [angularExample, ...angularExamples]
+    .map(example => example?.html && parseAngularElement(example.html)?.tag)
+    .find(Boolean) || `desy-${slug}`;
+
+  const inputNames = getAngularInputNames(angularExamples);
+  if (inputNames.size > 0) {
+    for (const name of Object.keys(values).filter(name => !inputNames.has(name))) {
+      warnings.push(`'${name}' no aparece en los ejemplos Angular de ${comp.name}; comprueba que <${tag}> lo admite como input`);
+    }
+  }
+
+  let html = null;
+  let htmlSource = null;
+  if (containsMacroExpression(values)) {
+    warnings.push("Los parámetros contienen variables o expresiones, así que el HTML no se ha renderizado");
+  } else {
+    const rendered = await renderComponent(slug, values);
+    if (rendered.error) {
+      warnings.push(`No se pudo renderizar con las plantillas de desy-html: ${rendered.error}`);
+    } else {
+      html = rendered.html;
+      htmlSource = 'render';
+    }
+  }
+  if (html === null && closest?.example.html && closest.similarity >= CLOSEST_EXAMPLE_MIN_SIMILARITY) {
+    html = closest.example.html;
+    htmlSource = closest.similarity === 1 ? 'example' : 'closest_example';
+    if (htmlSource === 'closest_example') {
+      warnings.push(`El HTML es el del ejemplo '${closest.example.title}', el más parecido a los parámetros indicados, y puede no reflejar todos los cambios`);
+    }
+  }
+
+  return {
+    component: schema.component,
+    source: angularTemplate ? 'angular' : 'nunjucks',
+    variant: closest ? { title: closest.example.title, similarity: Number(closest.similarity.toFixed(2)) } : null,
+    nunjucks: formatNunjucksCall(slug, macro, values),
+    angular: {
+      template: formatAngularTemplate(tag, values, { types: Object.fromEntries(schema.params.map(param => [param.name, param.type])) }),
+      imports: angularExample?.imports.length ? angularExample.imports : angularExamples.find(example => example.imports.length)?.imports ?? [],
+    },
+    html,
+    htmlSource,
+    errors: validateParamsAgainstSchema(values, schema.params, '$', []),
+    warnings,
+  };
+}
+
+function formatConversion(result) {
+  const parts = [`## ${result.component}`];
+  if (result.variant) {
+    parts.push(`Variante más parecida: **${result.variant.title}** (similitud ${result.variant.similarity})`);
+  }
+  parts.push(`### Nunjucks\n\`\`\`js\n${result.nunjucks}\n\`\`\``);
+  parts.push(`### Angular\n\`\`\`html\n${result.angular.template}\n\`\`\``);
+  if (result.angular.imports.length > 0) {
+    parts.push(`**Imports necesarios**\n\`\`\`ts\n${result.angular.imports.join('\n')}\n\`\`\``);
+  }
+  if (result.html) {
+    const origin = { render: 'renderizado con desy-html', example: 'ejemplo de la documentación', closest_example: 'ejemplo más parecido de la documentación' }[result.htmlSource];
+    parts.push(`### HTML (${origin})\n\`\`\`html\n${result.html}\n\`\`\``);
+  }
+  if (result.errors.length > 0) {
+    parts.push(`### Errores de parámetros\n${result.errors.map(error => `- \`${error.path}\`: ${error.message}`).join('\n')}`);
+  }
+  if (result.warnings.length > 0) {
+    parts.push(`### Avisos\n${result.warnings.map(warning => `- ${warning}`).join('\n')}`);
+  }
+  return parts.join('\n\n');
+}
+
+// <main> of the page layout pattern, when the catalog lists one
+async function getLayoutPattern(patterns) {
+  const page = Object.values(patterns).find(candidate =>
+    /estructura|plantilla|layout|maquetacion/.test(normalizeTerm(candidate.name)));
+  if (!page) return null;
+
+  try {
+    const content = await fetchUrl(page.url);
+    const main = [...content.matchAll(/```html\n([\s\S]*?)```/g)]
+      .map(match => match[1].match(/<main\b([^>]*)>/i))
+      .find(Boolean);
+    return main ? { url: page.url, mainAttributes: main[1].trim() || DEFAULT_MAIN_ATTRIBUTES } : null;
+  } catch {
+    return null;
+  }
+}
+
+async function resolveScaffoldEntry(entry, tech, components, warnings) {
+  if (entry.form) {
+    const form = await Promise.all(entry.form.map(child => resolveScaffoldEntry(child, tech, components, warnings)));
+    return { form };
+  }
+
+  const placeholder = (text) => tech === 'nunjucks' ? `{# ${text} #}` : `<!-- ${text} -->`;
+  const key = findComponentKey(components, entry.component);
+  if (!key) {
+    warnings.push(`Componente '${entry.component}' no encontrado`);
+    return { requested: entry.component, slug: slugifyComponentName(entry.component), component: null, variant: null, code: placeholder(`Componente '${entry.component}' no encontrado`), imports: [] };
+  }
+
+  const comp = components[key];
+  const slug = slugifyComponentName(comp.name);
+  const examples = (await fetchExamples(comp, tech)).filter(example => getExampleCode(example, tech));
+  const matching = filterExamplesByVariant(examples, entry.variant);
+  if (entry.variant && examples.length > 0 && matching === examples) {
+    warnings.push(`'${comp.name}' no tiene la variante '${entry.variant}'; se usa la variante por defecto`);
+  }
+
+  const [example] = matching;
+  if (!example) {
+    warnings.push(`'${comp.name}' no tiene ejemplos de código ${tech.toUpperCase()}`);
+    return { requested: entry.component, slug, component: comp.name, variant: null, code: placeholder(`${comp.name}: sin ejemplo ${tech.toUpperCase()}`), imports: [] };
+  }
+  if (tech === 'angular' && example.typescript) {
+    warnings.push(`El ejemplo '${example.title}' de ${comp.name} usa código del componente Angular que hay que copiar a page.component.ts`);
+  }
+
+  // Examples that call the macro without importing it
+  let code = getExampleCode(example, tech);
+  const macro = getMacroName(slug);
+  if (tech === 'nunjucks' && code.includes(`${macro}(`) && !/\{%\s*from\s/.test(code)) {
+    code = `{% from "components/${slug}/_macro.${slug}.njk" import ${macro} %}\n${code}`;
+  }
+
+  return {
+    requested: entry.component,
+    slug,
+    component: comp.name,
+    variant: example.title,
+    code,
+    imports: example.imports || [],
+  };
+}
+
+async function scaffoldPage(spec, tech, title) {
+  let entries;
+  try {
+    entries = parsePageSpec(spec);
+  } catch (error) {
+    return { error: `No se pudo interpretar la especificación de la página: ${error.message}` };
+  }
+  if (entries.length === 0) {
+    return { error: "La especificación de la página no contiene ningún componente" };
+  }
+
+  const { components, patterns } = await fetchLlmsTxt();
+  const warnings = [];
+  const resolved = [];
+  for (const entry of entries) {
+    resolved.push(await resolveScaffoldEntry(entry, tech, components, warnings));
+  }
+
+  const layout = await getLayoutPattern(patterns);
+  const regions = layoutRegions(resolved);
+  const page = { title, regions, mainAttributes: layout?.mainAttributes };
+  const files = tech === 'nunjucks'
+    ? buildNunjucksPage(page)
+    : tech === 'angular'
+      ? buildAngularPage({ ...page, imports: resolved.flatMap(entry => entry.form ? entry.form.flatMap(child => child.imports) : entry.imports) })
+      : buildHtmlPage(page);
+
+  const summary = [];
+  for (const [region, regionEntries] of Object.entries(regions)) {
+    for (const entry of regionEntries) {
+      for (const item of entry.form || [entry]) {
+        summary.push({ requested: item.requested, component: item.component, variant: item.variant, region: entry.form ? 'form' : region });
+      }
+    }
+  }
+
+  return {
+    tech,
+    title,
+    layoutSource: layout?.url || null,
+    components: summary,
+    files,
+    warnings,
+  };
+}
+
+function formatScaffold(result) {
+  const languages = { html: 'html', njk: 'jinja', ts: 'ts' };
+  const parts = result.files.map(file => `### ${file.path}\n\`\`\`${languages[file.path.split('.').pop()]}\n${file.content}\`\`\``);
+  if (result.warnings.length > 0) {
+    parts.push(`### Avisos\n${result.warnings.map(warning => `- ${warning}`).join('\n')}`);
+  }
+  return parts.join('\n\n');
+}
+
+async function readComponentVersion(component, version) {
+  return withVersion(version, async () => {
+    const { components } = await fetchLlmsTxt();
+    const label = activeVersionLabel();
+    const key = findComponentKey(components, component);
+    if (!key) return { version: label, component: null, params: [], examples: [], schemaError: null };
+
+    const comp = components[key];
+    const schema = await getComponentSchema(comp.name);
+    return {
+      version: label,
+      component: comp.name,
+      params: schema.params || [],
+      examples: await fetchExamples(comp, 'nunjucks'),
+      schemaError: schema.error || null,
+    };
+  });
+}
+
+async function diffComponent(component, from, to) {
+  if (!component || typeof component !== 'string') {
+    return { error: "Debes especificar un nombre de componente" };
+  }
+
+  let before;
+  let after;
+  try {
+    before = await readComponentVersion(component, from);
+    after = await readComponentVersion(component, to);
+  } catch (error) {
+    return { error: error.message };
+  }
+
+  if (!before.component && !after.component) {
+    return { error: `Componente '${component}' no encontrado en ${before.version} ni en ${after.version}` };
+  }
+
+  const warnings = [before, after]
+    .filter(side => side.component && side.schemaError)
+    .map(side => `Versión ${side.version}: ${side.schemaError}`);
+  const params = diffParams(before.params, after.params);
+  const examples = diffExamples(before.examples, after.examples);
+  const changes = [params, examples].reduce((total, diff) => total + diff.added.length + diff.removed.length + diff.changed.length, 0);
+
+  return {
+    component: after.component || before.component,
+    from: before.version,
+    to: after.version,
+    status: !before.component ? 'added' : !after.component ? 'removed' : changes > 0 ? 'changed' : 'unchanged',
+    breaking: [...params.added, ...params.removed, ...params.changed].filter(change => change.breaking).length,
+    params,
+    examples,
+    warnings,
+  };
+}
+
+async function auditComponentMarkup(markup) {
+  if (!markup || typeof markup !== 'string') {
+    return { error: "Debes proporcionar el HTML a auditar" };
+  }
+
+  const { components } = await fetchLlmsTxt();
+  const catalogSlugs = componentResourceSlugs(components);
+  const componentSlugs = new Set([...catalogSlugs.keys(), ...listTemplateComponents()]);
+
+  const canonical = {};
+  const unavailable = [];
+  for (const slug of findAuditComponents(markup, componentSlugs)) {
+    const key = catalogSlugs.get(slug) || findComponentKey(components, slug);
+    if (!key) continue;
+    try {
+      const content = await fetchUrl(getCodeUrl(components[key], 'html'));
+      const examples = parseCodeBlocks(content, 'html').map(example => example.html).filter(Boolean);
+      if (examples.length > 0) canonical[slug] = buildCanonical(examples);
+    } catch (error) {
+      unavailable.push({ component: slug, error: error.message });
+    }
+  }
+
+  const result = auditMarkup(markup, { componentSlugs, canonical, componentClasses: listTemplateClassNames() });
+  return { ...result, ...(unavailable.length > 0 ? { unavailableExamples: unavailable } : {}) };
+}
+
+async function checkComponentAccessibility(markup) {
+  if (!markup || typeof markup !== 'string') {
+    return { error: "Debes proporcionar el HTML a comprobar" };
+  }
+
+  // The checks are local; the catalog only adds component names for detection
+  let catalogSlugs = [];
+  try {
+    const { components } = await fetchLlmsTxt();
+    catalogSlugs = [...componentResourceSlugs(components).keys()];
+  } catch (error) {
+    console.warn(`Comprobando accesibilidad sin el catálogo de componentes: ${error.message}`);
+  }
+
+  return checkAccessibility(markup, { componentSlugs: [...catalogSlugs, ...listTemplateComponents()] });
+}
+
+// Keyed by the parsed llms.txt, so they are rebuilt when it is refreshed and
+// kept apart for each pinned version
+const exampleSignatures = new WeakMap();
+
+// Signatures of every documented example. Pages come through fetchUrl, so
+// they are read from the page cache.
+async function ensureExampleSignatures() {
+  const catalog = await fetchLlmsTxt();
+  if (exampleSignatures.has(catalog)) return exampleSignatures.get(catalog);
+
+  const { components } = catalog;
+  const examples = await Promise.all([...componentResourceSlugs(components)].map(async ([slug, key]) => {
+    let content;
+    try {
+      content = await fetchUrl(getCodeUrl(components[key], 'nunjucks'));
+    } catch {
+      return [];
+    }
+    return parseCodeBlocks(content, 'nunjucks')
+      .filter(example => example.html)
+      .map(example => {
+        let params = null;
+        try {
+          params = example.nunjucks ? parseMacroCall(example.nunjucks).params : null;
+        } catch {
+          // Examples whose macro call cannot be parsed are still matched by structure
+        }
+        return { component: slug, title: example.title, html: example.html, params };
+      });
+  }));
+
+  const signatures = buildSignatures(examples.flat());
+  exampleSignatures.set(catalog, signatures);
+  return signatures;
+}
+
+async function identifyComponentMarkup(markup) {
+  if (!markup || typeof markup !== 'string') {
+    return { error: "Debes proporcionar el HTML a analizar" };
+  }
+
+  const signatures = await ensureExampleSignatures();
+  const { components } = await fetchLlmsTxt();
+  const componentSlugs = [...componentResourceSlugs(components).keys(), ...listTemplateComponents()];
+
+  return identifyComponents(markup, signatures, { componentSlugs });
+}
+
+const patternIndexes = new WeakMap();
+
+// Pattern pages parsed once per llms.txt refresh, like the example signatures
+async function ensurePatternIndex() {
+  const llms = await fetchLlmsTxt();
+  if (patternIndexes.has(llms)) return patternIndexes.get(llms);
+
+  const { components, patterns } = llms;
+  const catalog = [...componentResourceSlugs(components)].map(([slug, key]) => ({ slug, urlSlug: getUrlSlug(components[key].url) }));
+  const entries = await Promise.all(Object.entries(patterns).map(async ([key, pattern]) => {
+    try {
+      const content = await fetchUrl(pattern.url);
+      const examples = parseCodeBlocks(content, 'nunjucks');
+      return [key, { ...pattern, ...parsePatternPage(content, { examples, catalog }), examples }];
+    } catch (error) {
+      return [key, { ...pattern, title: null, problem: null, components: [], examples: [], error: error.message }];
+    }
+  }));
+
+  const index = Object.fromEntries(entries);
+  patternIndexes.set(llms, index);
+  return index;
+}
+
+async function listPatterns(component = null) {
+  const index = await ensurePatternIndex();
+
+  let slug = null;
+  if (component) {
+    const { components } = await fetchLlmsTxt();
+    const key = findComponentKey(components, component);
+    if (!key) return { error: `Componente '${component}' no encontrado` };
+    slug = slugifyComponentName(components[key].name);
+  }
+
+  const patterns = Object.values(index)
+    .filter(pattern => !slug || pattern.components.includes(slug))
+    .map(pattern => ({
+      name: pattern.name,
+      url: pattern.url,
+      category: pattern.category,
+      problem: pattern.problem,
+      components: pattern.components,
+      variants: pattern.examples.map(example => example.title),
+      ...(pattern.error ? { error: pattern.error } : {}),
+    }));
+
+  return { patterns };
+}
+
+async function getPattern(name, format = 'html', variant = null) {
+  const index = await ensurePatternIndex();
+  const available = Object.values(index).map(pattern => pattern.name);
+  if (available.length === 0) {
+    return "No hay patrones en el índice de DESY (llms.txt).";
+  }
+
+  const resolution = resolveComponent(index, name);
+  if (!resolution.key) {
+    return `Patrón '${name}' no encontrado.\n\nPatrones disponibles:\n- ${available.join("\n- ")}`;
+  }
+
+  const pattern = index[resolution.key];
+  if (pattern.error) {
+    return `Error al obtener el patrón '${pattern.name}': ${pattern.error}`;
+  }
+
+  const parts = [`## ${pattern.title || pattern.name} - Patrón ${format.toUpperCase()}`];
+  if (pattern.problem) parts.push(pattern.problem);
+  if (pattern.components.length > 0) parts.push(`**Componentes:** ${pattern.components.join(', ')}`);
+  parts.push(pattern.examples.length > 0
+    ? formatCodeOutput(pattern.examples, format, variant)
+    : `La página del patrón no incluye ejemplos de código: ${pattern.url}`);
+
+  return parts.join('\n\n');
+}
+
+function extractProse(markdown) {
+  return markdown
+    .replace(/^```[\s\S]*?^```/gm, '')
+    .replace(/\[#\]\([^)]*\)/g, '')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/^#+\s*/gm, '')
+    .replace(/\n{2,}/g, '\n')
+    .trim();
+}
+
+// Code pages carry the Spanish title and the English component name as
+// top-level headings, e.g. "# Acordeón histórico" and "# Accordion-history".
+function extractPageTitles(markdown) {
+  const titles = new Set();
+  for (const match of markdown.matchAll(/^#\s+(.+)$/gm)) {
+    const heading = match[1].trim();
+    const example = heading.match(/^Ejemplo de código de (.+?)\./);
+    if (example) {
+      titles.add(example[1]);
+    } else if (!heading.includes('DESY')) {
+      titles.add(heading);
+    }
+  }
+  return [...titles];
+}
+
+function flattenParams(params, prefix = '') {
+  return params.flatMap(param => {
+    const paramPath = prefix ? `${prefix}.${param.name}` : param.name;
+    return [
+      { path: paramPath, description: param.description },
+      ...flattenParams(param.params || [], paramPath),
+    ];
+  });
+}
+
+// Re-indexes every component page whose content changed since the last
+// build. Pages come through fetchUrl, so unchanged ones are served from the
+// page cache and skipped by the index content hash.
+async function updateSearchIndex(components, timestamp) {
+  await indexComponentPages(searchIndex, components, componentTitles);
+  updateAliasTable(components);
+  searchIndexTimestamp = timestamp;
+}
+
+async function indexComponentPages(index, components, titles) {
+  for (const id of index.ids()) {
+    if (!components[id]) index.remove(id);
+  }
+
+  await Promise.all(Object.entries(components).map(async ([key, comp]) => {
+    let content = '';
+    try {
+      content = await fetchUrl(getCodeUrl(comp, 'nunjucks'));
+    } catch {
+      // Index the catalog entry alone; the page is retried on the next update
+    }
+    const params = flattenParams(parseParamsSchema(content) || []);
+    titles[key] = extractPageTitles(content);
+
+    index.upsert(key, {
+      name: `${comp.name} ${comp.description} ${comp.category}`,
+      titles: parseCodeBlocks(content).map(example => example.title).join('\n'),
+      params: params.map(param => param.path).join(' '),
+      paramDescriptions: params.map(param => `${param.path}: ${param.description}`).join('\n'),
+      prose: extractProse(content),
+    }, { name: comp.name, url: comp.url, category: comp.category });
+  }));
+}
+
+// Pinned versions never change, so their index is built once, and their alias
+// table is rebuilt with the page titles found while indexing
+async function buildPinnedSearchIndex(pinned) {
+  const index = createComponentSearchIndex();
+  const titles = {};
+  await indexComponentPages(index, pinned.catalog.components, titles);
+  pinned.aliasTable = buildAliasTable(pinned.catalog.components, { titles, overrides: aliasOverrides });
+  return index;
+}
+
+async function ensureSearchIndex() {
+  const pinned = versionContext.getStore();
+  if (pinned) {
+    pinned.searchIndex ??= buildPinnedSearchIndex(pinned);
+    return pinned.searchIndex;
+  }
+
+  const { components } = await fetchLlmsTxt();
+  if (searchIndexTimestamp === cache.timestamp) return searchIndex;
+
+  if (!searchIndexUpdate) {
+    searchIndexUpdate = updateSearchIndex(components, cache.timestamp)
+      .finally(() => { searchIndexUpdate = null; });
+  }
+  await searchIndexUpdate;
+  return searchIndex;
+}
+
+async function searchComponents(query) {
+  const { components } = await fetchLlmsTxt();
+  
+  if (!query || typeof query !== 'string') {
+    return Object.values(components).slice(0, 100).map(comp => ({
+      name: comp.name,
+      description: comp.description,
+      category: comp.category,
+      url: comp.url,
+      hasHtml: comp.hasHtml,
+      hasNunjucks: comp.hasNunjucks,
+      hasAngular: comp.hasAngular,
+    }));
+  }
+  
+  const queryLower = query.toLowerCase().normalize("NFD").replace(/[\u0300-\u036f]/g, "");
+  const queryTerm = normalizeTerm(query);
+  const resolution = resolveComponent(components, query, { aliases: activeAliasTable().aliases });
+  const results = [];
+  const seen = new Set();
+
+  if (resolution.key && resolution.confidence === 1) {
+    const comp = components[resolution.key];
+    results.push({
+      name: comp.name,
+      canonicalName: resolution.key,
+      description: comp.description,
+      category: comp.category,
+      url: comp.url,
+      hasHtml: comp.hasHtml,
+      hasNunjucks: comp.hasNunjucks,
+      hasAngular: comp.hasAngular,
+      matchType: 'exact',
+    });
+    seen.add(resolution.key);
+  }
+
+  for (const [key, aliases] of Object.entries(activeAliasTable().aliases)) {
+    if (seen.has(key) || !components[key]) continue;
+    
+    const alias = aliases.find(alias => alias.length >= 3 && (alias.includes(queryTerm) || queryTerm.includes(alias)));
+    if (alias) {
+      const comp = components[key];
+      results.push({
+        name: comp.name,
+        canonicalName: key,
+        description: comp.description,
+        category: comp.category,
+        url: comp.url,
+        hasHtml: comp.hasHtml,
+        hasNunjucks: comp.hasNunjucks,
+        hasAngular: comp.hasAngular,
+        matchType: 'alias',
+        matchedAlias: alias,
+      });
+      seen.add(key);
+    }
+  }
+
+  for (const [key, comp] of Object.entries(components)) {
+    if (seen.has(key)) continue;
+    
+    const keyNorm = key.normalize("NFD").replace(/[\u0300-\u036f]/g, "");
+    const nameNorm = comp.name.toLowerCase().normalize("NFD").replace(/[\u0300-\u036f]/g, "");
+    const descNorm = comp.description.toLowerCase().normalize("NFD").replace(/[\u0300-\u036f]/g, "");
+    
+    if (keyNorm.includes(queryLower) || nameNorm.includes(queryLower) || descNorm.includes(queryLower)) {
+      results.push({
+        name: comp.name,
+        canonicalName: key,
+        description: comp.description,
+        category: comp.category,
+        url: comp.url,
+        hasHtml: comp.hasHtml,
+        hasNunjucks: comp.hasNunjucks,
+        hasAngular: comp.hasAngular,
+        matchType: 'partial',
+      });
+      seen.add(key);
+    }
+  }
+
+  try {
+    const index = await ensureSearchIndex();
+    for (const hit of index.search(query, { limit: 20 })) {
+      if (seen.has(hit.id) || !components[hit.id]) continue;
+      const comp = components[hit.id];
+      results.push({
+        name: comp.name,
+        canonicalName: hit.id,
+        description: comp.description,
+        category: comp.category,
+        url: comp.url,
+        hasHtml: comp.hasHtml,
+        hasNunjucks: comp.hasNunjucks,
+        hasAngular: comp.hasAngular,
+        matchType: 'fulltext',
+        score: hit.score,
+        matchedIn: hit.field,
+        snippet: hit.snippet,
+      });
+      seen.add(hit.id);
+    }
+  } catch (error) {
+    console.warn(`Búsqueda de texto completo no disponible: ${error.message}`);
+  }
+
+  return results.slice(0, 100);
+}
+
+async function getGuideline(section) {
+  const { categories, patterns } = await fetchLlmsTxt();
+  
+  if (!section || typeof section !== 'string') {
+    const available = Object.keys(categories);
+    return `Error: Debes especificar una sección.\n\nSecciones disponibles:\n- ${available.join("\n- ")}`;
+  }
+  
+  const sectionLower = section.toLowerCase().trim();
+
+  for (const [catName, category] of Object.entries(categories)) {
+    if (catName.toLowerCase().includes(sectionLower)) {
+      const lines = [`# ${catName}\n`];
+      lines.push(`${category.description}\n\n`);
+
+      for (const comp of category.components.slice(0, 30)) {
+        lines.push(`- [${comp.name}](${comp.url}): ${comp.description}`);
+      }
+      for (const pattern of Object.values(patterns).filter(pattern => pattern.category === catName)) {
+        lines.push(`- [${pattern.name}](${pattern.url}): patrón (ver \`get_pattern\`)`);
+      }
+
+      return lines.join("\n");
+    }
+  }
+
+  for (const category of Object.values(categories)) {
+    for (const comp of category.components) {
+      if (comp.name.toLowerCase().includes(sectionLower) || comp.url.toLowerCase().includes(sectionLower)) {
+        try {
+          return await fetchUrl(comp.url);
+        } catch {
+          break;
+        }
+      }
+    }
+  }
+
+  const available = Object.keys(categories);
+  return `Sección '${section}' no encontrada.\n\nSecciones disponibles:\n- ${available.join("\n- ")}`;
+}
+
+async function listCategories() {
+  const { categories } = await fetchLlmsTxt();
+
+  const result = {};
+  for (const [catName, category] of Object.entries(categories)) {
+    result[catName] = category.components.map((c) => c.name);
+  }
+
+  return result;
+}
+
+// Built from the catalog and aliases.json only: aliases from page titles
+// need the search index, and listing must not crawl the whole site
+async function listAliases(component = null) {
+  const { components } = await fetchLlmsTxt();
+  const aliasTable = buildAliasTable(components, { overrides: aliasOverrides });
+
+  if (component) {
+    const key = findComponentKey(components, component);
+    if (!key) {
+      return { error: `Componente '${component}' no encontrado` };
+    }
+    return {
+      component: components[key].name,
+      aliases: aliasTable.aliases[key] || [],
+      conflicts: aliasTable.conflicts.filter((conflict) => conflict.keys.includes(key)),
+    };
+  }
+
+  return {
+    aliases: Object.fromEntries(
+      Object.entries(aliasTable.aliases).map(([key, aliases]) => [components[key].name, aliases])
+    ),
+    conflicts: aliasTable.conflicts,
+    unmatchedOverrides: aliasTable.unmatchedOverrides,
+  };
+}
+
+const CODE_FORMATS = ['html', 'nunjucks', 'angular'];
+
+function componentResourceSlugs(components) {
+  const slugs = new Map();
+  for (const [key, comp] of Object.entries(components)) {
+    const slug = slugifyComponentName(comp.name);
+    if (slug && !slugs.has(slug)) slugs.set(slug, key);
+  }
+  return slugs;
+}
+
+function categoryResourceSlugs(categories) {
+  const slugs = new Map();
+  for (const name of Object.keys(categories)) {
+    const slug = slugifyComponentName(name);
+    if (slug && !slugs.has(slug)) slugs.set(slug, name);
+  }
+  return slugs;
+}
+
+async function resolveResourceComponent(name) {
+  const { components } = await fetchLlmsTxt();
+  const key = componentResourceSlugs(components).get(name) || findComponentKey(components, name);
+  if (!key) {
+    throw new Error(`Componente '${name}' no encontrado`);
+  }
+  return key;
+}
+
+function completeSlugs(slugs, value) {
+  const term = slugifyComponentName(value || '');
+  return [...slugs.keys()]
+    .filter(slug => slug.includes(term))
+    .sort((a, b) => Number(!b.startsWith(term)) - Number(!a.startsWith(term)) || a.localeCompare(b))
+    .slice(0, 100);
+}
+
+async function listComponentCodeResources() {
+  const { components } = await fetchLlmsTxt();
+  const resources = [];
+  for (const [slug, key] of componentResourceSlugs(components)) {
+    for (const format of CODE_FORMATS) {
+      resources.push({
+        uri: `desy://component/${slug}/${format}`,
+        name: `${components[key].name} (${format})`,
+        description: `Código ${format.toUpperCase()} de ${components[key].name}`,
+        mimeType: "text/markdown",
+      });
+    }
+  }
+  return { resources };
+}
+
+async function listComponentParamsResources() {
+  const { components } = await fetchLlmsTxt();
+  return {
+    resources: [...componentResourceSlugs(components)].map(([slug, key]) => ({
+      uri: `desy://component/${slug}/params`,
+      name: `${components[key].name} (params)`,
+      description: `Esquema de parámetros Nunjucks de ${components[key].name}`,
+      mimeType: "application/json",
+    })),
+  };
+}
+
+async function listCategoryResources() {
+  const { categories } = await fetchLlmsTxt();
+  return {
+    resources: [...categoryResourceSlugs(categories)].map(([slug, name]) => ({
+      uri: `desy://category/${slug}`,
+      name,
+      description: categories[name].description,
+      mimeType: "application/json",
+    })),
+  };
+}
+
+async function readComponentCodeResource(uri, name, format) {
+  if (!CODE_FORMATS.includes(format)) {
+    throw new Error(`Formato '${format}' no soportado. Formatos disponibles: ${CODE_FORMATS.join(', ')}`);
+  }
+  const key = await resolveResourceComponent(name);
+  return {
+    contents: [{ uri: uri.href, mimeType: "text/markdown", text: await getComponentCode(format, key) }],
+  };
+}
+
+async function readComponentParamsResource(uri, name) {
+  const key = await resolveResourceComponent(name);
+  const schema = await getComponentSchema(key);
+  if (schema.error) {
+    throw new Error(schema.error);
+  }
+  return {
+    contents: [{ uri: uri.href, mimeType: "application/json", text: JSON.stringify(schema, null, 2) }],
+  };
+}
+
+async function readCategoryResource(uri, name) {
+  const { categories } = await fetchLlmsTxt();
+  const categoryName = categoryResourceSlugs(categories).get(slugifyComponentName(name));
+  if (!categoryName) {
+    throw new Error(`Categoría '${name}' no encontrada. Categorías disponibles: ${Object.keys(categories).join(', ')}`);
+  }
+  const category = categories[categoryName];
+  const result = {
+    name: category.name,
+    description: category.description,
+    components: category.components.map(comp => ({
+      name: comp.name,
+      url: comp.url,
+      uri: `desy://component/${slugifyComponentName(comp.name)}/html`,
+    })),
+  };
+  return {
+    contents: [{ uri: uri.href, mimeType: "application/json", text: JSON.stringify(result, null, 2) }],
+  };
+}
+
+const PROMPT_SNIPPET_MAX_CHARS = 6000;
+
+const FORM_PAGE_COMPONENTS = ['error-summary', 'fieldset', 'input', 'textarea', 'select', 'radios', 'checkboxes', 'date-input', 'button'];
+
+const BOOTSTRAP_COMPONENTS = [
+  [/\bbtn\b/, 'button'],
+  [/\bform-control\b/, 'input'],
+  [/<textarea\b/, 'textarea'],
+  [/\bform-select\b|<select\b/, 'select'],
+  [/type=["']checkbox["']/, 'checkboxes'],
+  [/type=["']radio["']/, 'radios'],
+  [/\bform-text\b/, 'hint'],
+  [/\binvalid-feedback\b/, 'error-message'],
+  [/\balert\b/, 'alert'],
+  [/\bmodal\b/, 'modal'],
+  [/\baccordion\b/, 'accordion'],
+  [/\bcollapse\b/, 'collapsible'],
+  [/\bbreadcrumb\b/, 'breadcrumbs'],
+  [/\bpagination\b/, 'pagination'],
+  [/\bnav-tabs\b|\bnav-pills\b/, 'tabs'],
+  [/\bnavbar\b/, 'header'],
+  [/\bdropdown\b/, 'dropdown'],
+  [/\btable\b/, 'table'],
+  [/\bbadge\b/, 'pill'],
+  [/\bspinner-border\b|\bspinner-grow\b/, 'spinner'],
+  [/\btoast\b/, 'notification'],
+  [/\bform-switch\b/, 'toggle'],
+];
+
+function parseComponentList(text) {
+  return (text || '').split(',').map(name => name.trim()).filter(Boolean);
+}
+
+function truncateSnippet(text, url) {
+  if (text.length <= PROMPT_SNIPPET_MAX_CHARS) return text;
+  return `${text.slice(0, PROMPT_SNIPPET_MAX_CHARS)}\n\n_(Recortado; documentación completa en ${url})_`;
+}
+
+async function getGuidelineContext(section) {
+  const text = await getGuideline(section);
+  return text.startsWith(`Sección '${section}' no encontrada`) ? null : truncateSnippet(text, activeLlmsTxtUrl());
+}
+
+// One prompt message per component so clients can show or drop them separately
+async function buildComponentMessages(tech, names) {
+  const { components } = await fetchLlmsTxt();
+  const messages = [];
+  const seen = new Set();
+
+  for (const name of names) {
+    const key = findComponentKey(components, name);
+    if (!key || seen.has(key)) continue;
+    seen.add(key);
+
+    const result = await fetchComponentCode(tech, key);
+    if (!result.ok) continue;
+    messages.push({
+      role: "user",
+      content: { type: "text", text: `Referencia del componente DESY ${components[key].name}:\n\n${truncateSnippet(result.code, getCodeUrl(components[key], tech))}` },
+    });
+  }
+
+  return messages;
+}
+
+function detectBootstrapComponents(markup) {
+  return BOOTSTRAP_COMPONENTS.filter(([pattern]) => pattern.test(markup)).map(([, component]) => component);
+}
+
+async function detectDesyComponents(markup) {
+  const { components } = await fetchLlmsTxt();
+  const slugs = componentResourceSlugs(components);
+  const found = new Set();
+  for (const match of markup.matchAll(/\bc-([a-z0-9]+(?:-[a-z0-9]+)*)/g)) {
+    const slug = match[1];
+    if (slugs.has(slug)) found.add(slug);
+  }
+  return [...found];
+}
+
+function promptTech(tech) {
+  return CODE_FORMATS.includes(tech) ? tech : 'html';
+}
+
+async function buildFormPagePrompt({ pageType, tech, components }) {
+  const format = promptTech(tech);
+  const names = parseComponentList(components);
+  const selected = names.length > 0 ? names : FORM_PAGE_COMPONENTS;
+  const guideline = await getGuidelineContext('formularios');
+
+  const instructions = [
+    `Construye una página de formulario${pageType ? ` de tipo "${pageType}"` : ''} con el Sistema de Diseño del Gobierno de Aragón (DESY) en ${format.toUpperCase()}.`,
+    '',
+    'Requisitos:',
+    '- Usa exclusivamente los componentes DESY de las referencias siguientes y sus clases, sin estilos propios.',
+    '- Cada campo debe tener su etiqueta, texto de ayuda cuando sea útil y mensaje de error asociado.',
+    '- Agrupa los campos relacionados en fieldsets con legend y muestra un resumen de errores al principio del formulario.',
+    '- Respeta el orden de los encabezados y los atributos de accesibilidad de los ejemplos.',
+    format === 'nunjucks' ? '- Usa las macros de desy-html con los parámetros documentados.' : null,
+    format === 'angular' ? '- Usa los componentes de desy-angular con los inputs documentados.' : null,
+  ].filter(line => line != null);
+
+  return {
+    description: `Página de formulario DESY en ${format}`,
+    messages: [
+      { role: "user", content: { type: "text", text: instructions.join('\n') } },
+      ...(guideline ? [{ role: "user", content: { type: "text", text: `Guía de DESY sobre formularios:\n\n${guideline}` } }] : []),
+      ...(await buildComponentMessages(format, selected)),
+    ],
+  };
+}
+
+async function buildMigrateBootstrapPrompt({ markup, tech }) {
+  const format = promptTech(tech);
+  const detected = detectBootstrapComponents(markup);
+
+  const instructions = [
+    `Migra el siguiente marcado Bootstrap al Sistema de Diseño del Gobierno de Aragón (DESY) en ${format.toUpperCase()}.`,
+    '',
+    'Requisitos:',
+    '- Sustituye cada componente Bootstrap por su equivalente DESY de las referencias siguientes.',
+    '- Elimina las clases de Bootstrap (grid, utilidades, btn-*, form-*...) y usa las clases de DESY.',
+    '- Conserva el contenido, los textos y el comportamiento; indica qué partes no tienen equivalente en DESY.',
+    '- Devuelve el código migrado y una lista con la correspondencia Bootstrap → DESY aplicada.',
+    '',
+    'Marcado original:',
+    '```html',
+    markup,
+    '```',
+  ];
+
+  return {
+    description: `Migración de Bootstrap a DESY (${format})`,
+    messages: [
+      { role: "user", content: { type: "text", text: instructions.join('\n') } },
+      ...(await buildComponentMessages(format, detected)),
+    ],
+  };
+}
+
+async function buildReviewCompliancePrompt({ markup, tech, components }) {
+  const format = promptTech(tech);
+  const names = [...parseComponentList(components), ...(await detectDesyComponents(markup))];
+  const guideline = await getGuidelineContext('accesibilidad');
+
+  const instructions = [
+    `Revisa si la siguiente plantilla ${format.toUpperCase()} cumple el Sistema de Diseño del Gobierno de Aragón (DESY).`,
+    '',
+    'Comprueba:',
+    '- Que cada componente usa la estructura, clases y atributos de su referencia DESY.',
+    '- Que no hay estilos, colores ni componentes ajenos a DESY cuando existe un equivalente.',
+    '- Accesibilidad: etiquetas de campos, textos alternativos, orden de encabezados, atributos ARIA y foco.',
+    '',
+    'Devuelve una lista de incidencias con su gravedad (error, aviso, sugerencia), la línea afectada y la corrección propuesta.',
+    '',
+    'Plantilla:',
+    '```' + (format === 'angular' ? 'html' : format),
+    markup,
+    '```',
+  ];
+
+  return {
+    description: `Revisión de cumplimiento DESY (${format})`,
+    messages: [
+      { role: "user", content: { type: "text", text: instructions.join('\n') } },
+      ...(guideline ? [{ role: "user", content: { type: "text", text: `Guía de accesibilidad de DESY:\n\n${guideline}` } }] : []),
+      ...(await buildComponentMessages(format, names)),
+    ],
+  };
+}
+
+async function getDesignTokens(category = null, format = 'json') {
+  const { pages } = await fetchLlmsTxt();
+  const categories = category ? [category] : TOKEN_CATEGORIES;
+
+  const stylePages = pages
+    .filter(page => /estilo/i.test(page.category) || /\/estilos?-/.test(page.url))
+    .map(page => ({ ...page, tokenCategory: classifyStylePage(`${page.title} ${page.url}`) }))
+    .filter(page => categories.includes(page.tokenCategory));
+
+  const sources = [];
+  const pageTokens = [];
+  for (const page of stylePages) {
+    try {
+      const tokens = parseStylePage(await fetchUrl(page.url), page.tokenCategory);
+      pageTokens.push(...tokens);
+      sources.push({ url: page.url, category: page.tokenCategory, tokens: tokens.length });
+    } catch (error) {
+      sources.push({ url: page.url, category: page.tokenCategory, tokens: 0, error: error.message });
+    }
+  }
+
+  const tokens = mergeTokens(getThemeTokens(), pageTokens)
+    .filter(token => categories.includes(token.category));
+
+  return {
+    format,
+    tokens,
+    sources,
+    ...(format === 'json' ? {} : { output: formatTokens(tokens, format) }),
+  };
+}
+
+async function refreshCache() {
+  cache = { data: null, timestamp: 0 };
+  pageCache.expireAll();
+  await fetchLlmsTxt(true);
+  const change = await changeDetection;
+  notifyResourceListChanged();
+  ensureSearchIndex().catch(error => console.warn(`No se pudo actualizar el índice de búsqueda: ${error.message}`));
+  return {
+    status: "success",
+    message: "Cache actualizado correctamente",
+    changes: change ? { ...change, summary: summarizeChange(change) } : null,
+    pageCache: pageCache.getStats(),
+  };
+}
+
+/**
+ * Downloads llms.txt and every page it links to from the origin into a new
+ * snapshot
+ * @param {string} rootDir - Directory that holds the snapshots
+ * @param {string} [version] - Version label, a UTC timestamp by default
+ * @returns {Promise<{dir: string, manifest: Object}>} Written snapshot
+ */
+async function crawlSnapshot(rootDir, version = defaultSnapshotVersion()) {
+  const pages = new Map();
+  const errors = [];
+
+  // Every page comes from the origin, also when DESY_SNAPSHOT_DIR is set, and
+  // is revalidated so the new version does not carry copies from the page
+  // cache that may have changed since
+  const llmsTxt = await fetchFromOrigin(LLMS_TXT_URL, { revalidate: true });
+  pages.set(LLMS_TXT_URL, llmsTxt);
+
+  const catalog = parseLlmsTxt(llmsTxt);
+  const urls = new Set(catalog.pages.map(page => page.url));
+  for (const comp of Object.values(catalog.components)) {
+    urls.add(comp.url);
+    urls.add(getCodeUrl(comp, 'html'));
+    urls.add(getCodeUrl(comp, 'angular'));
+    urls.add(getPropsUrl(comp));
+  }
+  for (const pattern of Object.values(catalog.patterns)) {
+    urls.add(pattern.url);
+  }
+
+  const queue = [...urls];
+  const worker = async () => {
+    while (queue.length > 0) {
+      const url = queue.shift();
+      try {
+        pages.set(url, await fetchFromOrigin(url, { revalidate: true }));
+      } catch (error) {
+        errors.push({ url, message: error.message });
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: SNAPSHOT_CONCURRENCY }, worker));
+
+  return writeSnapshot(rootDir, { version, source: LLMS_TXT_URL, pages, errors });
+}
+
+// Servers with an open connection, notified when the resource list changes
+const connectedServers = new Set();
+
+function notifyResourceListChanged() {
+  for (const server of connectedServers) {
+    server.sendResourceListChanged();
+  }
+}
+
+/**
+ * Status reported by the health check
+ * @returns {{snapshot: {version: string, dir: string}|null, pageCache: Object}} Snapshot in use and page cache stats
+ */
+function getServerStatus() {
+  return {
+    snapshot: snapshot ? { version: snapshot.version, dir: snapshot.dir } : null,
+    pageCache: pageCache.getStats(),
+  };
+}
+
+/**
+ * Creates an MCP server with every DESY tool, resource and prompt. Each
+ * connection (HTTP session or stdio process) gets its own server; the
+ * documentation cache is shared.
+ * @returns {McpServer} Server, ready to connect to a transport
+ */
+function createMcpServer() {
+  const server = new McpServer({
+    name: SERVER_NAME,
+    version: SERVER_VERSION,
+  });
+  connectedServers.add(server);
+  server.server.onclose = () => connectedServers.delete(server);
+
+  const versionParam = z.string().optional().describe("Versión de DESY: etiqueta de un snapshot guardado (ver list_versions). Por defecto la actual");
+
+  server.tool(
+    "get_component_code_html",
+    "Obtiene snippets de código HTML listos para copiar y usar de un componente DESY. Soporta nombres en español e inglés (ej: 'button' o 'botón'). Devuelve ejemplos de código por variante.",
+    {
+      component: z.string().describe("Nombre del componente en español o inglés (ej: 'button', 'botón', 'modal', 'alert')"),
+      variant: z.string().optional().describe("Variante específica del componente (ej: 'primario', 'deshabilitado', 'hover'). Si no se especifica, devuelve todos los ejemplos."),
+      version: versionParam,
+    },
+    async ({ component, variant, version }) => withVersion(version, async () => ({
+      content: [{ type: "text", text: await getComponentCode("html", component, variant) }],
+    }))
+  );
+
+  server.tool(
+    "get_component_code_nunjucks",
+    "Obtiene snippets de código Nunjucks/macros listos para copiar y usar de un componente DESY. Soporta nombres en español e inglés. Devuelve ejemplos de código por variante.",
+    {
+      component: z.string().describe("Nombre del componente en español o inglés (ej: 'button', 'botón', 'modal', 'alert')"),
+      variant: z.string().optional().describe("Variante específica del componente (ej: 'primario', 'deshabilitado', 'hover'). Si no se especifica, devuelve todos los ejemplos."),
+      version: versionParam,
+    },
+    async ({ component, variant, version }) => withVersion(version, async () => ({
+      content: [{ type: "text", text: await getComponentCode("nunjucks", component, variant) }],
+    }))
+  );
+
+  server.tool(
+    "get_component_code_angular",
+    "Obtiene snippets de código Angular listos para copiar y usar de un componente DESY. Soporta nombres en español e inglés. Devuelve por variante la plantilla, la clase TypeScript, los imports de módulos necesarios y los inputs enlazados.",
+    {
+      component: z.string().describe("Nombre del componente en español o inglés (ej: 'button', 'botón', 'modal', 'alert')"),
+      variant: z.string().optional().describe("Variante específica del componente (ej: 'primario', 'deshabilitado', 'hover'). Si no se especifica, devuelve todos los ejemplos."),
+      version: versionParam,
+    },
+    async ({ component, variant, version }) => withVersion(version, async () => ({
+      content: [{ type: "text", text: await getComponentCode("angular", component, variant) }],
+    }))
+  );
+
+  server.tool(
+    "get_component_props",
+    "Obtiene los parámetros y propiedades configurables de un componente de DESY",
+    {
+      component: z.string().describe("Nombre del componente"),
+      version: versionParam,
+    },
+    async ({ component, version }) => withVersion(version, async () => ({
+      content: [{ type: "text", text: JSON.stringify(await getComponentProps(component), null, 2) }],
+    }))
+  );
+
+  const paramSchema = z.lazy(() => z.object({
+    name: z.string(),
+    type: z.string(),
+    required: z.boolean(),
+    description: z.string(),
+    params: z.array(paramSchema).optional(),
+  }));
+
+  server.registerTool(
+    "get_component_schema",
+    {
+      description: "Obtiene el esquema estructurado de parámetros Nunjucks de un componente DESY (nombre, tipo, obligatorio, descripción y parámetros anidados). Útil para generar llamadas a macros válidas.",
+      inputSchema: {
+        component: z.string().describe("Nombre del componente en español o inglés (ej: 'button', 'acordeón histórico')"),
+        version: versionParam,
+      },
+      outputSchema: {
+        component: z.string(),
+        url: z.string(),
+        params: z.array(paramSchema),
+      },
+    },
+    async ({ component, version }) => withVersion(version, async () => {
+      const result = await getComponentSchema(component);
+      return {
+        content: [{ type: "text", text: JSON.stringify(result, null, 2) }],
+        ...(result.error ? { isError: true } : { structuredContent: result }),
+      };
+    })
+  );
+
+  server.registerTool(
+    "validate_component_params",
+    {
+      description: "Valida los parámetros de un componente DESY contra su esquema Nunjucks: campos obligatorios, tipos, claves desconocidas y elementos anidados. Acepta un objeto JSON o una llamada a la macro como texto.",
+      inputSchema: {
+        component: z.string().describe("Nombre del componente en español o inglés (ej: 'button', 'acordeón histórico')"),
+        params: z.record(z.string(), z.unknown()).optional().describe("Objeto de parámetros a validar"),
+        macroCall: z.string().optional().describe("Llamada a la macro Nunjucks a validar (ej: '{{ componentButton({ text: \"Enviar\" }) }}')"),
+        version: versionParam,
+      },
+      outputSchema: {
+        component: z.string(),
+        macro: z.string().optional(),
+        valid: z.boolean(),
+        errors: z.array(z.object({
+          path: z.string(),
+          code: z.string(),
+          message: z.string(),
+        })),
+      },
+    },
+    async ({ component, params, macroCall, version }) => withVersion(version, async () => {
+      const result = await validateComponentParams(component, params, macroCall);
+      return {
+        content: [{ type: "text", text: JSON.stringify(result, null, 2) }],
+        ...(result.error ? { isError: true } : { structuredContent: result }),
+      };
+    })
+  );
+
+  server.registerTool(
+    "render_component",
+    {
+      description: "Renderiza un componente DESY a HTML a partir de sus parámetros Nunjucks, usando las plantillas de desy-html disponibles localmente (DESY_TEMPLATES_DIR). Con version, el nombre del componente se busca en el catálogo de esa versión; las plantillas son siempre las instaladas.",
+      inputSchema: {
+        component: z.string().describe("Nombre del componente (ej: 'button', 'accordion-history', 'botón')"),
+        params: z.record(z.string(), z.unknown()).optional().describe("Objeto de parámetros de la macro Nunjucks"),
+        version: versionParam,
+      },
+      outputSchema: {
+        component: z.string(),
+        macro: z.string(),
+        html: z.string(),
+      },
+    },
+    async ({ component, params, version }) => withVersion(version, async () => {
+      const result = await renderComponent(component, params ?? {});
+      return {
+        content: [{ type: "text", text: result.error ? JSON.stringify(result, null, 2) : `\`\`\`html\n${result.html}\n\`\`\`` }],
+        ...(result.error ? { isError: true } : { structuredContent: result }),
+      };
+    })
+  );
+
+  server.registerTool(
+    "convert_component",
+    {
+      description: "Convierte un componente DESY entre formatos: a partir de una llamada a la macro Nunjucks, un objeto de parámetros o una plantilla Angular genera la llamada Nunjucks, la plantilla Angular con los inputs enlazados y el HTML. Usa el esquema de parámetros del componente y empareja la entrada con la variante más parecida de la documentación.",
+      inputSchema: {
+        component: z.string().describe("Nombre del componente en español o inglés (ej: 'button', 'acordeón histórico')"),
+        params: z.record(z.string(), z.unknown()).optional().describe("Objeto de parámetros de la macro Nunjucks"),
+        macroCall: z.string().optional().describe("Llamada a la macro Nunjucks (ej: '{{ componentButton({ text: \"Enviar\" }) }}')"),
+        angularTemplate: z.string().optional().describe("Plantilla Angular con el componente (ej: '<desy-button text=\"Enviar\"></desy-button>')"),
+        version: versionParam,
+      },
+      outputSchema: {
+        component: z.string(),
+        source: z.enum(["nunjucks", "angular"]),
+        variant: z.object({ title: z.string(), similarity: z.number() }).nullable(),
+        nunjucks: z.string(),
+        angular: z.object({ template: z.string(), imports: z.array(z.string()) }),
+        html: z.string().nullable(),
+        htmlSource: z.enum(["render", "example", "closest_example"]).nullable(),
+        errors: z.array(z.object({
+          path: z.string(),
+          code: z.string(),
+          message: z.string(),
+        })),
+        warnings: z.array(z.string()),
+      },
+    },
+    async ({ component, params, macroCall, angularTemplate, version }) => withVersion(version, async () => {
+      const result = await convertComponent(component, { params, macroCall, angularTemplate });
+      return {
+        content: [{ type: "text", text: result.error ? JSON.stringify(result, null, 2) : formatConversion(result) }],
+        ...(result.error ? { isError: true } : { structuredContent: result }),
+      };
+    })
+  );
+
+  server.registerTool(
+    "audit_markup",
+    {
+      description: "Audita un fragmento o página HTML frente a DESY: elementos que deberían ser componentes DESY, clases de componente o utilidades que no existen en DESY (colores y espaciados; las clases c-* se comparan con las plantillas de desy-html o, si no están instaladas, con los componentes del catálogo, según classCheck) y atributos que faltan respecto a los ejemplos canónicos. Cada hallazgo incluye la línea y un fragmento de reemplazo sugerido.",
+      inputSchema: {
+        markup: z.string().describe("HTML a auditar"),
+        version: versionParam,
+      },
+      outputSchema: {
+        summary: z.object({ errors: z.number(), warnings: z.number() }),
+        components: z.array(z.string()),
+        classCheck: z.enum(["templates", "catalog"]),
+        findings: z.array(z.object({
+          rule: z.enum(["raw_element", "unknown_class", "non_desy_color", "missing_attribute"]),
+          severity: z.enum(["error", "warning"]),
+          message: z.string(),
+          line: z.number(),
+          element: z.string(),
+          component: z.string().optional(),
+          class: z.string().optional(),
+          attributes: z.array(z.string()).optional(),
+          suggestion: z.string().nullable(),
+        })),
+        unavailableExamples: z.array(z.object({ component: z.string(), error: z.string() })).optional(),
+      },
+    },
+    async ({ markup, version }) => withVersion(version, async () => {
+      const result = await auditComponentMarkup(markup);
+      return {
+        content: [{ type: "text", text: JSON.stringify(result, null, 2) }],
+        ...(result.error ? { isError: true } : { structuredContent: result }),
+      };
+    })
+  );
+
+  server.registerTool(
+    "check_accessibility",
+    {
+      description: "Comprueba la accesibilidad (WCAG) de un fragmento HTML con las pautas de DESY: etiquetas en controles de formulario, pares aria-expanded/aria-controls en acordeones y desplegables, orden de encabezados (headingLevel), contraste de los colores de DESY y marcado para atrapar el foco en modales. Cada hallazgo indica el componente detectado.",
+      inputSchema: {
+        markup: z.string().describe("HTML a comprobar"),
+        version: versionParam,
+      },
+      outputSchema: {
+        summary: z.object({ errors: z.number(), warnings: z.number() }),
+        components: z.array(z.string()),
+        findings: z.array(z.object({
+          rule: z.string(),
+          severity: z.enum(["error", "warning"]),
+          wcag: z.string(),
+          message: z.string(),
+          component: z.string().nullable(),
+          line: z.number(),
+          element: z.string(),
+        })),
+      },
+    },
+    async ({ markup, version }) => withVersion(version, async () => {
+      const result = await checkComponentAccessibility(markup);
+      return {
+        content: [{ type: "text", text: JSON.stringify(result, null, 2) }],
+        ...(result.error ? { isError: true } : { structuredContent: result }),
+      };
+    })
+  );
+
+  server.registerTool(
+    "identify_components",
+    {
+      description: "Identifica los componentes DESY usados en un HTML existente comparando sus clases y su estructura con los ejemplos de la documentación. Para cada coincidencia devuelve el componente, la variante más parecida, la similitud, la ruta en el DOM y los parámetros Nunjucks probables.",
+      inputSchema: {
+        markup: z.string().describe("HTML a analizar (fragmento o página completa)"),
+        version: versionParam,
+      },
+      outputSchema: {
+        components: z.array(z.string()),
+        matches: z.array(z.object({
+          component: z.string(),
+          variant: z.string(),
+          similarity: z.number(),
+          path: z.string(),
+          line: z.number(),
+          element: z.string(),
+          params: z.record(z.string(), z.unknown()).nullable(),
+          assumedParams: z.array(z.string()),
+          alternatives: z.array(z.object({
+            component: z.string(),
+            variant: z.string(),
+            similarity: z.number(),
+          })),
+        })),
+      },
+    },
+    async ({ markup, version }) => withVersion(version, async () => {
+      const result = await identifyComponentMarkup(markup);
+      return {
+        content: [{ type: "text", text: JSON.stringify(result, null, 2) }],
+        ...(result.error ? { isError: true } : { structuredContent: result }),
+      };
+    })
+  );
+
+  server.registerTool(
+    "scaffold_page",
+    {
+      description: "Compone una página completa a partir de una lista de componentes DESY (por ejemplo \"header, breadcrumbs, form(input + select + checkboxes), button[primario], footer\"). Usa el ejemplo canónico de cada componente (o la variante indicada entre corchetes), la estructura de página de los patrones de DESY y los estilos y scripts de desy-html. Genera un HTML, una plantilla Nunjucks que extiende un layout o un componente Angular.",
+      inputSchema: {
+        spec: z.union([
+          z.string(),
+          z.array(z.union([
+            z.string(),
+            z.object({ component: z.string(), variant: z.string().optional() }),
+            z.object({ form: z.array(z.union([z.string(), z.object({ component: z.string(), variant: z.string().optional() })])) }),
+          ])),
+        ]).describe("Componentes de la página en orden: texto separado por comas (variante entre corchetes, campos de formulario en form(...)) o lista de nombres, {component, variant} y {form: [...]}"),
+        tech: z.enum(PAGE_TECHS).optional().describe("Tecnología de salida (por defecto html)"),
+        title: z.string().optional().describe("Título de la página (por defecto 'Título de la página')"),
+        version: versionParam,
+      },
+      outputSchema: {
+        tech: z.enum(PAGE_TECHS),
+        title: z.string(),
+        layoutSource: z.string().nullable(),
+        components: z.array(z.object({
+          requested: z.string(),
+          component: z.string().nullable(),
+          variant: z.string().nullable(),
+          region: z.enum(["header", "main", "form", "footer"]),
+        })),
+        files: z.array(z.object({ path: z.string(), content: z.string() })),
+        warnings: z.array(z.string()),
+      },
+    },
+    async ({ spec, tech, title, version }) => withVersion(version, async () => {
+      const result = await scaffoldPage(spec, tech ?? 'html', title ?? 'Título de la página');
+      return {
+        content: [{ type: "text", text: result.error ? JSON.stringify(result, null, 2) : formatScaffold(result) }],
+        ...(result.error ? { isError: true } : { structuredContent: result }),
+      };
+    })
+  );
+
+  server.registerTool(
+    "diff_component",
+    {
+      description: "Compara un componente DESY entre dos versiones guardadas (snapshots): parámetros Nunjucks añadidos, eliminados y modificados (tipo, obligatorio, descripción) y ejemplos añadidos, eliminados y con código distinto. Marca los cambios incompatibles para planificar una actualización.",
+      inputSchema: {
+        component: z.string().describe("Nombre del componente en español o inglés"),
+        from: z.string().describe("Versión de origen (ver list_versions)"),
+        to: z.string().optional().describe("Versión de destino (por defecto la actual)"),
+      },
+      outputSchema: {
+        component: z.string(),
+        from: z.string(),
+        to: z.string(),
+        status: z.enum(["added", "removed", "changed", "unchanged"]),
+        breaking: z.number(),
+        params: z.object({
+          added: z.array(z.object({ path: z.string(), type: z.string(), required: z.boolean(), breaking: z.boolean() })),
+          removed: z.array(z.object({ path: z.string(), type: z.string(), required: z.boolean(), breaking: z.boolean() })),
+          changed: z.array(z.object({
+            path: z.string(),
+            changes: z.record(z.string(), z.object({ from: z.unknown(), to: z.unknown() })),
+            breaking: z.boolean(),
+          })),
+        }),
+        examples: z.object({
+          added: z.array(z.string()),
+          removed: z.array(z.string()),
+          changed: z.array(z.object({ title: z.string(), formats: z.array(z.string()) })),
+        }),
+        warnings: z.array(z.string()),
+      },
+    },
+    async ({ component, from, to }) => {
+      const result = await diffComponent(component, from, to);
+      return {
+        content: [{ type: "text", text: JSON.stringify(result, null, 2) }],
+        ...(result.error ? { isError: true } : { structuredContent: result }),
+      };
+    }
+  );
+
+  server.registerTool(
+    "list_versions",
+    {
+      description: "Lista las versiones de DESY guardadas como snapshots (DESY_VERSIONS_DIR) que se pueden usar en el parámetro version de las herramientas y en diff_component.",
+      inputSchema: {},
+      outputSchema: {
+        current: z.string(),
+        versionsDir: z.string(),
+        versions: z.array(z.object({ version: z.string(), createdAt: z.string() })),
+      },
+    },
+    async () => {
+      const result = listVersions();
+      return {
+        content: [{ type: "text", text: JSON.stringify(result, null, 2) }],
+        structuredContent: result,
+      };
+    }
+  );
+
+  server.registerTool(
+    "get_design_tokens",
+    {
+      description: "Obtiene los tokens de diseño de DESY (colores, tipografía, espaciados y rejilla) como datos estructurados: nombre, valor, clases de Tailwind y notas de uso. Se pueden exportar como JSON, propiedades CSS, variables SCSS o un fragmento de configuración de Tailwind.",
+      inputSchema: {
+        category: z.enum(TOKEN_CATEGORIES).optional().describe("Categoría de tokens (por defecto todas)"),
+        format: z.enum(EXPORT_FORMATS).optional().describe("Formato de exportación (por defecto json)"),
+        version: versionParam,
+      },
+      outputSchema: {
+        format: z.enum(EXPORT_FORMATS),
+        tokens: z.array(z.object({
+          category: z.enum(TOKEN_CATEGORIES),
+          name: z.string(),
+          label: z.string().optional(),
+          value: z.string().nullable(),
+          tailwindClasses: z.array(z.string()),
+          usage: z.string().nullable(),
+          group: z.string().optional(),
+          lineHeight: z.string().optional(),
+          fontWeight: z.string().optional(),
+          source: z.enum(["theme", "documentation"]),
+        })),
+        sources: z.array(z.object({
+          url: z.string(),
+          category: z.string(),
+          tokens: z.number(),
+          error: z.string().optional(),
+        })),
+        output: z.string().optional(),
+      },
+    },
+    async ({ category, format, version }) => withVersion(version, async () => {
+      const result = await getDesignTokens(category, format ?? 'json');
+      const language = { css: 'css', scss: 'scss', tailwind: 'js' }[result.format];
+      return {
+        content: [{ type: "text", text: result.output ? `\`\`\`${language}\n${result.output}\`\`\`` : JSON.stringify(result, null, 2) }],
+        structuredContent: result,
+      };
+    })
+  );
+
+  server.tool(
+    "search_components",
+    "Busca componentes de DESY por nombre, descripción o contenido de la documentación (texto, títulos de ejemplos, nombres y descripciones de parámetros). Devuelve resultados ordenados por relevancia con fragmentos de contexto.",
+    {
+      query: z.string().describe("Término de búsqueda"),
+      version: versionParam,
+    },
+    async ({ query, version }) => withVersion(version, async () => ({
+      content: [{ type: "text", text: JSON.stringify(await searchComponents(query), null, 2) }],
+    }))
+  );
+
+  server.tool(
+    "get_guideline",
+    "Obtiene guías de estilo, documentación de componentes o patrones",
+    {
+      section: z.string().describe("Sección a consultar (ej: 'estilos', 'componentes', 'patrones', 'accesibilidad')"),
+      version: versionParam,
+    },
+    async ({ section, version }) => withVersion(version, async () => ({
+      content: [{ type: "text", text: await getGuideline(section) }],
+    }))
+  );
+
+  server.registerTool(
+    "list_patterns",
+    {
+      description: "Lista los patrones de DESY (formularios, estructura de página...) con el problema que resuelve cada uno, los componentes que utiliza y sus variantes de ejemplo. Se puede filtrar por componente.",
+      inputSchema: {
+        component: z.string().optional().describe("Devuelve solo los patrones que usan este componente (ej: 'button', 'botón')"),
+        version: versionParam,
+      },
+      outputSchema: {
+        patterns: z.array(z.object({
+          name: z.string(),
+          url: z.string(),
+          category: z.string(),
+          problem: z.string().nullable(),
+          components: z.array(z.string()),
+          variants: z.array(z.string()),
+          error: z.string().optional(),
+        })),
+      },
+    },
+    async ({ component, version }) => withVersion(version, async () => {
+      const result = await listPatterns(component);
+      return {
+        content: [{ type: "text", text: JSON.stringify(result, null, 2) }],
+        ...(result.error ? { isError: true } : { structuredContent: result }),
+      };
+    })
+  );
+
+  server.registerTool(
+    "get_pattern",
+    {
+      description: "Obtiene un patrón de DESY: el problema que resuelve, los componentes que usa y su código de ejemplo HTML o Nunjucks por variante, listo para copiar.",
+      inputSchema: {
+        pattern: z.string().describe("Nombre del patrón (ej: 'formularios')"),
+        format: z.enum(["html", "nunjucks"]).optional().describe("Formato del código (por defecto html)"),
+        variant: z.string().optional().describe("Variante del ejemplo. Si no se especifica, devuelve todos los ejemplos."),
+        version: versionParam,
+      },
+    },
+    async ({ pattern, format, variant, version }) => withVersion(version, async () => ({
+      content: [{ type: "text", text: await getPattern(pattern, format ?? 'html', variant) }],
+    }))
+  );
+
+  server.tool(
+    "list_categories",
+    "Lista todas las categorías y componentes disponibles en DESY",
+    {
+      version: versionParam,
+    },
+    async ({ version }) => withVersion(version, async () => ({
+      content: [{ type: "text", text: JSON.stringify(await listCategories(), null, 2) }],
+    }))
+  );
+
+  server.tool(
+    "list_aliases",
+    "Lista los alias con los que se puede referenciar cada componente (derivados del catálogo y de aliases.json) y los alias en conflicto entre varios componentes",
+    {
+      component: z.string().optional().describe("Nombre del componente (opcional, si se omite devuelve la tabla completa)"),
+      version: versionParam,
+    },
+    async ({ component, version }) => withVersion(version, async () => ({
+      content: [{ type: "text", text: JSON.stringify(await listAliases(component), null, 2) }],
+    }))
+  );
+
+  server.registerTool(
+    "get_changes_since",
+    {
+      description: "Devuelve el historial de cambios detectados en la documentación de DESY desde una fecha: componentes y patrones añadidos o eliminados y páginas de código con parámetros o ejemplos modificados. Los componentes y patrones se comparan cada vez que se descarga llms.txt (cada 24 horas o con refresh_cache); las páginas de código se revisan todas con refresh_cache y, en el resto de descargas, solo las que ya están en cache.",
+      inputSchema: {
+        since: z.string().optional().describe("Fecha ISO 8601 (ej: '2026-10-01'). Si se omiten since y version, devuelve todo el historial"),
+        version: z.string().optional().describe("Versión de DESY guardada (ver list_versions): devuelve los cambios posteriores a esa versión. Alternativa a since"),
+      },
+      outputSchema: {
+        checkedAt: z.string().nullable(),
+        entries: z.array(z.object({
+          id: z.string(),
+          date: z.string(),
+          summary: z.string(),
+          components: z.object({ added: z.array(z.string()), removed: z.array(z.string()) }),
+          patterns: z.object({ added: z.array(z.string()), removed: z.array(z.string()) }),
+          pages: z.array(z.object({
+            component: z.string(),
+            url: z.string(),
+            params: z.object({ added: z.array(z.unknown()), removed: z.array(z.unknown()), changed: z.array(z.unknown()) }),
+            examples: z.object({ added: z.array(z.string()), removed: z.array(z.string()), changed: z.array(z.unknown()) }),
+          })),
+        })),
+      },
+    },
+    async ({ since, version }) => {
+      const result = await getChangesSince(since, version);
+      return {
+        content: [{ type: "text", text: JSON.stringify(result, null, 2) }],
+        ...(result.error ? { isError: true } : { structuredContent: result }),
+      };
+    }
+  );
+
+  server.tool(
+    "refresh_cache",
+    "Fuerza la actualización del cache de llms.txt y devuelve los cambios detectados en la documentación",
+    {},
+    async (args, extra) => {
+      // Refreshing downloads the whole index again, so HTTP callers need the scope
+      if (!hasScope(extra.authInfo, SCOPES.REFRESH)) {
+        return {
+          content: [{ type: "text", text: `Esta clave no permite actualizar el cache: hace falta el scope ${SCOPES.REFRESH}` }],
+          isError: true,
+        };
+      }
+      return { content: [{ type: "text", text: JSON.stringify(await refreshCache(), null, 2) }] };
+    }
+  );
+
+  const completeComponentName = async (value) => completeSlugs(componentResourceSlugs((await fetchLlmsTxt()).components), value);
+  const completeVersion = (value) => listSnapshots(DESY_VERSIONS_DIR)
+    .map(({ version }) => version)
+    .filter(version => version.startsWith(value || ''));
+
+  // Each resource can also be read from a stored version with
+  // "?version=<label>". That template is registered first: the plain ones
+  // would also match the query ({format} takes "html?version=...")
+  const registerDocumentationResource = (name, uriTemplate, { list, complete }, metadata, read) => {
+    server.registerResource(
+      `${name}_version`,
+      new ResourceTemplate(`${uriTemplate}{?version}`, { list: undefined, complete: { ...complete, version: completeVersion } }),
+      { ...metadata, title: `${metadata.title} (versión)`, description: `${metadata.description}, en una versión guardada de DESY` },
+      async (uri, variables) => withVersion(variables.version, () => read(uri, variables))
+    );
+    server.registerResource(name, new ResourceTemplate(uriTemplate, { list, complete }), metadata, async (uri, variables) => read(uri, variables));
+  };
+
+  // Registered before the {format} template, which would also match ".../params"
+  registerDocumentationResource(
+    "component_params",
+    "desy://component/{name}/params",
+    {
+      list: listComponentParamsResources,
+      complete: { name: completeComponentName },
+    },
+    {
+      title: "Parámetros de componente DESY",
+      description: "Esquema JSON de los parámetros Nunjucks de un componente",
+      mimeType: "application/json",
+    },
+    async (uri, { name }) => readComponentParamsResource(uri, name)
+  );
+
+  registerDocumentationResource(
+    "component_code",
+    "desy://component/{name}/{format}",
+    {
+      list: listComponentCodeResources,
+      complete: {
+        name: completeComponentName,
+        format: (value) => CODE_FORMATS.filter(format => format.startsWith(value || '')),
+      },
+    },
+    {
+      title: "Código de componente DESY",
+      description: "Ejemplos de código de un componente en HTML, Nunjucks o Angular",
+      mimeType: "text/markdown",
+    },
+    async (uri, { name, format }) => readComponentCodeResource(uri, name, format)
+  );
+
+  registerDocumentationResource(
+    "category",
+    "desy://category/{name}",
+    {
+      list: listCategoryResources,
+      complete: {
+        name: async (value) => completeSlugs(categoryResourceSlugs((await fetchLlmsTxt()).categories), value),
+      },
+    },
+    {
+      title: "Categoría de DESY",
+      description: "Componentes de una categoría de la documentación",
+      mimeType: "application/json",
+    },
+    async (uri, { name }) => readCategoryResource(uri, name)
+  );
+
+  const techArgument = completable(
+    z.string().optional().describe("Tecnología: html, nunjucks o angular (por defecto html)"),
+    (value) => CODE_FORMATS.filter(format => format.startsWith(value || ''))
+  );
+
+  server.registerPrompt(
+    "build_form_page",
+    {
+      title: "Construir página de formulario DESY",
+      description: "Genera las instrucciones para construir una página de formulario con DESY, incluyendo el código de referencia de los componentes y la guía de formularios",
+      argsSchema: {
+        pageType: z.string().optional().describe("Tipo de página (ej: 'solicitud de subvención', 'registro', 'contacto')"),
+        tech: techArgument,
+        components: z.string().optional().describe("Componentes a usar separados por comas (por defecto los de formulario habituales)"),
+      },
+    },
+    async (args) => buildFormPagePrompt(args)
+  );
+
+  server.registerPrompt(
+    "migrate_bootstrap",
+    {
+      title: "Migrar Bootstrap a DESY",
+      description: "Genera las instrucciones para migrar marcado Bootstrap a DESY, incluyendo el código de referencia de los componentes equivalentes",
+      argsSchema: {
+        markup: z.string().describe("Marcado HTML con Bootstrap a migrar"),
+        tech: techArgument,
+      },
+    },
+    async (args) => buildMigrateBootstrapPrompt(args)
+  );
+
+  server.registerPrompt(
+    "review_compliance",
+    {
+      title: "Revisar cumplimiento DESY",
+      description: "Genera las instrucciones para revisar si una plantilla cumple DESY, incluyendo la guía de accesibilidad y el código de referencia de los componentes usados",
+      argsSchema: {
+        markup: z.string().describe("Plantilla a revisar"),
+        tech: techArgument,
+        components: z.string().optional().describe("Componentes que se deben revisar, separados por comas (además de los detectados por sus clases c-*)"),
+      },
+    },
+    async (args) => buildReviewCompliancePrompt(args)
+  );
+
+  return server;
+}
+
+export {
+  crawlSnapshot,
+  createMcpServer,
+  getChangesSince,
+  getServerStatus,
+  renderComponent,
+  DESY_ORIGIN,
+  SERVER_NAME,
+  SERVER_VERSION,
+};
@@ -0,0 +1,161 @@
+/**
+ * Cache persistente de páginas de documentación
+ *
+ * Guarda en disco cada página descargada (una entrada JSON por URL) junto
+ * con sus cabeceras ETag / Last-Modified, de forma que sobreviva a reinicios
+ * y se pueda revalidar con peticiones condicionales. Lleva la cuenta de
+ * aciertos, fallos, revalidaciones y copias servidas por error del origen.
+ */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+/**
+ * @typedef {Object} PageCacheEntry
+ * @property {string} url - Page URL
+ * @property {string} body - Page content
+ * @property {string|null} etag - ETag header of the last 200 response
+ * @property {string|null} lastModified - Last-Modified header of the last 200 response
+ * @property {number} storedAt - When the body was downloaded (ms)
+ * @property {number} validatedAt - When the body was last confirmed by the origin (ms)
+ */
+
+/**
+ * Creates a disk-backed page cache
+ * @param {string} dir - Directory where entries are stored
+ * @param {Object} options
+ * @param {number} options.ttlMs - Time an entry is served without revalidating
+ * @returns {Object} Page cache
+ */
+function createPageCache(dir, { ttlMs }) {
+  const entries = new Map();
+  const stats = {
+    hits: 0,
+    misses: 0,
+    revalidated: 0,
+    stale: 0,
+    errors: 0,
+  };
+
+  const entryPath = (url) =>
+    path.join(dir, `${crypto.createHash("sha256").update(url).digest("hex")}.json`);
+
+  function get(url) {
+    if (entries.has(url)) return entries.get(url);
+
+    try {
+      const entry = JSON.parse(fs.readFileSync(entryPath(url), "utf8"));
+      entries.set(url, entry);
+      return entry;
+    } catch {
+      return null;
+    }
+  }
+
+  function persist(entry) {
+    entries.set(entry.url, entry);
+    try {
+      fs.mkdirSync(dir, { recursive: true });
+      const file = entryPath(entry.url);
+      const tmpFile = `${file}.${process.pid}.tmp`;
+      fs.writeFileSync(tmpFile, JSON.stringify(entry));
+      fs.renameSync(tmpFile, file);
+    } catch (error) {
+      stats.errors++;
+      console.warn(`No se pudo guardar en cache ${entry.url}: ${error.message}`);
+    }
+  }
+
+  function set(url, { body, etag = null, lastModified = null }) {
+    const now = Date.now();
+    const entry = { url, body, etag, lastModified, storedAt: now, validatedAt: now };
+    persist(entry);
+    return entry;
+  }
+
+  function markValidated(entry) {
+    const updated = { ...entry, validatedAt: Date.now() };
+    persist(updated);
+    return updated;
+  }
+
+  let expiredBefore = 0;
+
+  function isFresh(entry) {
+    return Boolean(entry) && entry.validatedAt > expiredBefore && Date.now() - entry.validatedAt < ttlMs;
+  }
+
+  // Forces every current entry to be revalidated on its next use; bodies are
+  // kept so they can still be served if the origin fails.
+  function expireAll() {
+    expiredBefore = Date.now();
+  }
+
+  function conditionalHeaders(entry) {
+    const headers = {};
+    if (entry?.etag) headers["If-None-Match"] = entry.etag;
+    if (entry?.lastModified) headers["If-Modified-Since"] = entry.lastModified;
+    return headers;
+  }
+
+  /**
+   * Returns a page from the cache, or downloads it with conditional headers
+   * when it is missing, expired or revalidate is set
+   * @param {string} url - Page URL
+   * @param {function(Object): Promise<{statusCode: number, headers: Object, body: string}>} request - Downloads
+   *   the page with the given extra headers
+   * @param {Object} [options]
+   * @param {boolean} [options.revalidate=false] - Asks the origin even when the entry is fresh
+   * @param {function(Error): boolean} [options.serveStale] - Whether the stored body may be served
+   *   when the download fails; always by default
+   * @returns {Promise<string>} Page content
+   */
+  async function fetchPage(url, request, { revalidate = false, serveStale = () => true } = {}) {
+    const cached = get(url);
+    if (cached && !revalidate && isFresh(cached)) {
+      stats.hits++;
+      return cached.body;
+    }
+
+    let response;
+    try {
+      response = await request(conditionalHeaders(cached));
+    } catch (error) {
+      if (cached && serveStale(error)) {
+        stats.stale++;
+        return cached.body;
+      }
+      throw error;
+    }
+
+    if (response.statusCode === 304 && cached) {
+      stats.revalidated++;
+      markValidated(cached);
+      return cached.body;
+    }
+
+    stats.misses++;
+    set(url, {
+      body: response.body,
+      etag: response.headers.etag ?? null,
+      lastModified: response.headers["last-modified"] ?? null,
+    });
+    return response.body;
+  }
+
+  function getStats() {
+    const lookups = stats.hits + stats.misses + stats.revalidated + stats.stale;
+    return {
+      ...stats,
+      loadedEntries: entries.size,
+      hitRate: lookups > 0 ? Number(((stats.hits + stats.revalidated + stats.stale) / lookups).toFixed(3)) : null,
+      dir,
+      ttlMs,
+    };
+  }
+
+  return { get, set, fetch: fetchPage, markValidated, isFresh, expireAll, conditionalHeaders, getStats };
+}
+
+export { createPageCache };
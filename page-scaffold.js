@@ -0,0 +1,266 @@
+/**
+ * Composición de páginas completas con componentes DESY
+ *
+ * Interpreta la especificación de una página (lista de componentes, con
+ * formularios que agrupan campos), reparte los componentes entre cabecera,
+ * contenido principal y pie, y monta la página en HTML, como plantilla
+ * Nunjucks que extiende un layout o como componente Angular, con los estilos
+ * y scripts de desy-html.
+ */
+
+const PAGE_TECHS = ["html", "nunjucks", "angular"];
+
+// Components placed before and after <main>, as in the desy-html layouts
+const HEADER_COMPONENTS = new Set(["skip-link", "header", "header-mini", "header-advanced"]);
+const FOOTER_COMPONENTS = new Set(["footer"]);
+
+// Head and foot of docs/_template.default.njk in desy-html
+const DESY_HEAD_INCLUDES = [
+  '<link href="https://fonts.googleapis.com/css2?family=Open+Sans:ital,wght@0,400;0,600;0,700;1,400;1,600;1,700&display=swap" rel="stylesheet">',
+  '<link rel="stylesheet" href="css/styles.css">',
+];
+const DESY_FOOT_INCLUDES = [
+  "<!-- Dependencias de dropdown y listbox -->",
+  '<script src="https://unpkg.com/@popperjs/core@2.4.4/dist/umd/popper.min.js"></script>',
+  '<script src="https://unpkg.com/tippy.js@6.2.6/dist/tippy-bundle.umd.min.js"></script>',
+  '<script type="module" src="js/index.js"></script>',
+];
+const DEFAULT_MAIN_ATTRIBUTES = 'id="content" class="container mx-auto px-base"';
+
+const FORM_ATTRIBUTES = 'action="" method="post" novalidate';
+
+const NUNJUCKS_LAYOUT_PATH = "layouts/_template.desy.njk";
+
+/**
+ * Parses a page spec. Strings list components separated by commas, with the
+ * variant in brackets and form fields in parentheses:
+ * "header, breadcrumbs, form(input + select + checkboxes), button[primario], footer"
+ * @param {string|Array<string|Object>} spec - Spec as text, or as a list of
+ *   names, {component, variant} and {form: [...]} entries
+ * @returns {Array<{component: string, variant: string|null}|{form: Object[]}>} Normalized entries
+ */
+function parsePageSpec(spec) {
+  const parseEntry = (entry) => {
+    if (typeof entry !== "string") {
+      if (Array.isArray(entry.form)) return { form: entry.form.map(parseEntry).filter((child) => !child.form) };
+      return { component: String(entry.component).trim(), variant: entry.variant?.trim() || null };
+    }
+    const form = entry.match(/^\s*(?:form|formulario)\s*\((.*)\)\s*$/i);
+    if (form) return { form: form[1].split(/[+,]/).map((name) => name.trim()).filter(Boolean).map(parseEntry) };
+    const variant = entry.match(/^(.*?)\s*\[(.+)\]\s*$/);
+    return variant ? { component: variant[1].trim(), variant: variant[2].trim() } : { component: entry.trim(), variant: null };
+  };
+
+  const entries = typeof spec === "string" ? splitTopLevel(spec) : spec;
+  return entries.map(parseEntry).filter((entry) => entry.form ? entry.form.length > 0 : entry.component);
+}
+
+// Commas inside form(...) belong to the form
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0;
+  let current = "";
+  for (const ch of text) {
+    if (ch === "(") depth++;
+    if (ch === ")") depth = Math.max(0, depth - 1);
+    if ((ch === "," || ch === "\n") && depth === 0) {
+      parts.push(current);
+      current = "";
+    } else {
+      current += ch;
+    }
+  }
+  parts.push(current);
+  return parts.map((part) => part.trim()).filter(Boolean);
+}
+
+/**
+ * Splits resolved entries between header, main content and footer
+ * @param {Array<{slug: string}|{form: Object[]}>} entries - Entries with their component slug
+ * @returns {{header: Object[], main: Object[], footer: Object[]}} Regions
+ */
+function layoutRegions(entries) {
+  const regions = { header: [], main: [], footer: [] };
+  for (const entry of entries) {
+    if (!entry.form && HEADER_COMPONENTS.has(entry.slug)) regions.header.push(entry);
+    else if (!entry.form && FOOTER_COMPONENTS.has(entry.slug)) regions.footer.push(entry);
+    else regions.main.push(entry);
+  }
+  return regions;
+}
+
+function indent(text, depth) {
+  const pad = "  ".repeat(depth);
+  return text.split("\n").map((line) => (line.trim() ? pad + line : "")).join("\n");
+}
+
+function escapeHtml(text) {
+  return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+// Main content: breadcrumbs first, then the page heading and the rest
+function mainContent(entries, heading, render) {
+  const leading = [];
+  let i = 0;
+  while (i < entries.length && entries[i].slug === "breadcrumbs") leading.push(entries[i++]);
+  return [...leading.map(render), heading, ...entries.slice(i).map(render)];
+}
+
+function renderEntry(entry) {
+  if (!entry.form) return entry.code;
+  return `<form ${FORM_ATTRIBUTES}>\n${entry.form.map((child) => indent(child.code, 1)).join("\n\n")}\n</form>`;
+}
+
+function htmlDocument({ title, body }) {
+  return [
+    "<!doctype html>",
+    '<html lang="es">',
+    "<head>",
+    '  <meta charset="UTF-8">',
+    '  <meta name="viewport" content="width=device-width, initial-scale=1.0">',
+    `  <title>${title}</title>`,
+    ...DESY_HEAD_INCLUDES.map((line) => `  ${line}`),
+    "</head>",
+    "<body>",
+    body,
+    ...DESY_FOOT_INCLUDES.map((line) => `  ${line}`),
+    "</body>",
+    "</html>",
+    "",
+  ].join("\n");
+}
+
+/**
+ * Complete HTML page
+ * @param {Object} page
+ * @param {string} page.title - Page title
+ * @param {Object} page.regions - Regions from layoutRegions, entries with their HTML code
+ * @param {string} [page.mainAttributes] - Attributes of <main>
+ * @returns {{path: string, content: string}[]} Files
+ */
+function buildHtmlPage({ title, regions, mainAttributes = DEFAULT_MAIN_ATTRIBUTES }) {
+  const main = mainContent(regions.main, `<h1 class="c-h1">${escapeHtml(title)}</h1>`, renderEntry);
+  const body = [
+    ...regions.header.map((entry) => indent(entry.code, 1)),
+    `  <main ${mainAttributes}>`,
+    main.map((code) => indent(code, 2)).join("\n\n"),
+    "  </main>",
+    ...regions.footer.map((entry) => indent(entry.code, 1)),
+  ].join("\n");
+
+  return [{ path: "index.html", content: htmlDocument({ title: escapeHtml(title), body }) }];
+}
+
+/**
+ * Nunjucks page that extends a DESY layout, and the layout itself
+ * @param {Object} page - Same as buildHtmlPage, entries with their Nunjucks code
+ * @returns {{path: string, content: string}[]} Files
+ */
+function buildNunjucksPage({ title, regions, mainAttributes = DEFAULT_MAIN_ATTRIBUTES }) {
+  // Macro imports go once at the top of the page
+  const imports = new Set();
+  const stripImports = (entry) => {
+    if (entry.form) return { ...entry, form: entry.form.map(stripImports) };
+    const code = entry.code.replace(/^\s*\{%\s*from\s+[^%]*%\}\s*$/gm, (statement) => {
+      imports.add(statement.trim());
+      return "";
+    });
+    return { ...entry, code: code.trim() };
+  };
+  const header = regions.header.map(stripImports);
+  const content = regions.main.map(stripImports);
+  const footer = regions.footer.map(stripImports);
+
+  const block = (name, codes) => [`{% block ${name} %}`, ...codes, "{% endblock %}"].join("\n");
+  const main = mainContent(content, '<h1 class="c-h1">{{ title }}</h1>', renderEntry);
+
+  const layout = htmlDocument({
+    title: "{{ title }}",
+    body: [
+      "  {% block header %}{% endblock %}",
+      `  <main ${mainAttributes}>`,
+      "    {% block content %}{% endblock %}",
+      "  </main>",
+      "  {% block footer %}{% endblock %}",
+    ].join("\n"),
+  });
+
+  const page = [
+    `{% extends "${NUNJUCKS_LAYOUT_PATH}" %}`,
+    ...imports,
+    "",
+    `{% set title = ${JSON.stringify(title)} %}`,
+    "",
+    block("header", header.map((entry) => entry.code)),
+    "",
+    block("content", [main.join("\n\n")]),
+    "",
+    block("footer", footer.map((entry) => entry.code)),
+    "",
+  ].join("\n");
+
+  return [
+    { path: NUNJUCKS_LAYOUT_PATH, content: layout },
+    { path: "page.njk", content: page },
+  ];
+}
+
+// Names imported from desy-angular by the examples ("import { A, B } from ...")
+function angularImportNames(statements) {
+  const names = new Set();
+  for (const statement of statements) {
+    const match = statement.match(/import\s*\{([^}]*)\}\s*from\s*['"]desy-angular['"]/);
+    match?.[1].split(",").map((name) => name.trim()).filter(Boolean).forEach((name) => names.add(name));
+  }
+  return [...names].sort();
+}
+
+/**
+ * Standalone Angular component with the page template
+ * @param {Object} page - Same as buildHtmlPage, entries with their Angular template
+ * @param {string[]} page.imports - Import statements of the examples
+ * @returns {{path: string, content: string}[]} Files
+ */
+function buildAngularPage({ title, regions, mainAttributes = DEFAULT_MAIN_ATTRIBUTES, imports }) {
+  const main = mainContent(regions.main, `<h1 class="c-h1">${escapeHtml(title)}</h1>`, renderEntry);
+  const template = [
+    ...regions.header.map((entry) => entry.code),
+    `<main ${mainAttributes}>`,
+    main.map((code) => indent(code, 1)).join("\n\n"),
+    "</main>",
+    ...regions.footer.map((entry) => entry.code),
+    "",
+  ].join("\n");
+
+  const names = angularImportNames(imports);
+  const component = [
+    "import { Component } from '@angular/core';",
+    ...(names.length > 0 ? [`import { ${names.join(", ")} } from 'desy-angular';`] : []),
+    "",
+    "@Component({",
+    "  selector: 'app-page',",
+    "  standalone: true,",
+    `  imports: [${names.join(", ")}],`,
+    "  templateUrl: './page.component.html',",
+    "})",
+    "export class PageComponent {}",
+    "",
+  ].join("\n");
+
+  return [
+    { path: "page.component.html", content: template },
+    { path: "page.component.ts", content: component },
+  ];
+}
+
+export {
+  buildAngularPage,
+  buildHtmlPage,
+  buildNunjucksPage,
+  layoutRegions,
+  parsePageSpec,
+  DEFAULT_MAIN_ATTRIBUTES,
+  DESY_FOOT_INCLUDES,
+  DESY_HEAD_INCLUDES,
+  PAGE_TECHS,
+};
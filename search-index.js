@@ -0,0 +1,187 @@
+/**
+ * Índice invertido para búsqueda de texto completo en la documentación
+ *
+ * Normaliza acentos, divide identificadores camelCase (allowMultiple →
+ * allow, multiple) y aplica un stemmer ligero para español, de forma que
+ * "historial de pasos" encuentre "paso" o "históricos". Los resultados se
+ * ordenan con BM25 ponderando cada campo del documento.
+ */
+
+import crypto from "crypto";
+
+const STOPWORDS = new Set([
+  "a", "al", "con", "de", "del", "el", "en", "es", "la", "las", "lo", "los",
+  "o", "para", "por", "que", "se", "su", "sus", "un", "una", "uno", "y",
+  "the", "of", "to", "and", "or", "is", "in", "if", "on", "for", "be", "this",
+]);
+
+const SPANISH_SUFFIXES = [
+  "amientos", "imientos", "amiento", "imiento", "aciones", "uciones", "idades",
+  "mente", "acion", "ucion", "idad", "ables", "ibles", "able", "ible",
+  "iales", "icos", "icas", "ando", "iendo", "adas", "idas", "ados", "idos",
+  "ial", "ico", "ica", "ada", "ida", "ado", "ido",
+  "ces", "es", "os", "as", "s", "o", "a", "e",
+];
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+function normalizeText(text) {
+  return text.toLowerCase().normalize("NFD").replace(/[\u0300-\u036f]/g, "");
+}
+
+/**
+ * Light Spanish stemmer: strips the longest known inflectional suffix while
+ * keeping a stem of at least three characters
+ * @param {string} word - Normalized word
+ * @returns {string} Stem
+ */
+function stemSpanish(word) {
+  if (word.length <= 3 || /\d/.test(word)) return word;
+  for (const suffix of SPANISH_SUFFIXES) {
+    if (word.endsWith(suffix) && word.length - suffix.length >= 3) {
+      const stem = word.slice(0, -suffix.length);
+      return suffix === "ces" ? `${stem}z` : stem;
+    }
+  }
+  return word;
+}
+
+/**
+ * Splits text into index terms
+ * @param {string} text - Raw text
+ * @returns {string[]} Stemmed terms, in order
+ */
+function tokenize(text) {
+  const terms = [];
+  for (const raw of text.match(/[\p{L}\p{N}]+/gu) || []) {
+    const parts = raw.replace(/([a-z])([A-Z])/g, "$1 $2").split(" ");
+    const words = parts.length > 1 ? [raw, ...parts] : parts;
+    for (const word of words) {
+      const normalized = normalizeText(word);
+      if (normalized.length < 2 || STOPWORDS.has(normalized)) continue;
+      terms.push(stemSpanish(normalized));
+    }
+  }
+  return terms;
+}
+
+function buildSnippet(text, queryTerms, length = 160) {
+  const words = [...text.matchAll(/[\p{L}\p{N}]+/gu)];
+  const hit = words.find((match) => tokenize(match[0]).some((term) => queryTerms.has(term)));
+  if (!hit) return null;
+
+  const start = Math.max(0, hit.index - Math.floor(length / 3));
+  const end = Math.min(text.length, start + length);
+  const snippet = text.slice(start, end).replace(/\s+/g, " ").trim();
+  return `${start > 0 ? "…" : ""}${snippet}${end < text.length ? "…" : ""}`;
+}
+
+/**
+ * Creates an empty search index
+ * @param {Object} options
+ * @param {Object<string, number>} options.fieldWeights - Weight of each document field
+ * @param {string[]} [options.snippetFields] - Fields to take snippets from, in order of preference
+ * @returns {Object} Search index
+ */
+function createSearchIndex({ fieldWeights, snippetFields = Object.keys(fieldWeights) }) {
+  const postings = new Map();
+  const documents = new Map();
+  let totalLength = 0;
+
+  function remove(id) {
+    const doc = documents.get(id);
+    if (!doc) return;
+    for (const term of doc.terms.keys()) {
+      const posting = postings.get(term);
+      posting.delete(id);
+      if (posting.size === 0) postings.delete(term);
+    }
+    totalLength -= doc.length;
+    documents.delete(id);
+  }
+
+  /**
+   * Adds or replaces a document. Unchanged documents (same content hash) are
+   * skipped, so rebuilding after a refresh only re-indexes what changed.
+   * @returns {boolean} Whether the document was (re)indexed
+   */
+  function upsert(id, fields, meta = {}) {
+    const hash = crypto.createHash("sha1").update(JSON.stringify(fields)).digest("hex");
+    if (documents.get(id)?.hash === hash) return false;
+
+    remove(id);
+
+    const terms = new Map();
+    let length = 0;
+    for (const [field, text] of Object.entries(fields)) {
+      const weight = fieldWeights[field] ?? 1;
+      for (const term of tokenize(text || "")) {
+        terms.set(term, (terms.get(term) || 0) + weight);
+        length++;
+      }
+    }
+
+    for (const [term, frequency] of terms) {
+      if (!postings.has(term)) postings.set(term, new Map());
+      postings.get(term).set(id, frequency);
+    }
+
+    documents.set(id, { id, hash, fields, meta, terms, length });
+    totalLength += length;
+    return true;
+  }
+
+  function search(query, { limit = 20 } = {}) {
+    const queryTerms = new Set(tokenize(query));
+    if (queryTerms.size === 0 || documents.size === 0) return [];
+
+    const averageLength = totalLength / documents.size;
+    const scores = new Map();
+    const matched = new Map();
+
+    for (const term of queryTerms) {
+      const posting = postings.get(term);
+      if (!posting) continue;
+      const idf = Math.log(1 + (documents.size - posting.size + 0.5) / (posting.size + 0.5));
+      for (const [id, frequency] of posting) {
+        const doc = documents.get(id);
+        const norm = frequency + BM25_K1 * (1 - BM25_B + BM25_B * doc.length / averageLength);
+        scores.set(id, (scores.get(id) || 0) + idf * frequency * (BM25_K1 + 1) / norm);
+        matched.set(id, (matched.get(id) || 0) + 1);
+      }
+    }
+
+    return [...scores.entries()]
+      // Documents matching every query term rank above partial matches
+      .map(([id, score]) => ({ id, score: score * (matched.get(id) / queryTerms.size) }))
+      .sort((a, b) => b.score - a.score || a.id.localeCompare(b.id))
+      .slice(0, limit)
+      .map(({ id, score }) => {
+        const doc = documents.get(id);
+        const snippetField = snippetFields
+          .map((field) => ({ field, snippet: doc.fields[field] && buildSnippet(doc.fields[field], queryTerms) }))
+          .find(({ snippet }) => snippet);
+        return {
+          id,
+          score: Number(score.toFixed(3)),
+          matchedTerms: matched.get(id),
+          field: snippetField?.field ?? null,
+          snippet: snippetField?.snippet ?? null,
+          ...doc.meta,
+        };
+      });
+  }
+
+  return {
+    upsert,
+    remove,
+    search,
+    ids: () => [...documents.keys()],
+    get size() {
+      return documents.size;
+    },
+  };
+}
+
+export { createSearchIndex, normalizeText, stemSpanish, tokenize };
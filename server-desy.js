@@ -1,811 +1,104 @@
 /**
  * DESY MCP Server - Sistema de Diseño del Gobierno de Aragón
  *
- * Servidor MCP que proporciona acceso a la documentación de DESY,
- * incluyendo componentes, patrones, guías de estilo y código.
+ * Servidor HTTP: publica el servidor MCP de mcp-server.js en /mcp con
+ * StreamableHTTPServerTransport (una sesión por cliente), la guía de
+ * instalación, el health check y el historial de cambios. Si la
+ * configuración define claves de API u OAuth (auth.js), /mcp exige un token
+ * Bearer y cada sesión queda ligada al cliente que la abrió.
  *
  * Basado en install-this-mcp: https://github.com/janwilmake/install-this-mcp
  */
 
-import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
 import express from "express";
-import https from "https";
-import http from "http";
 import crypto from "crypto";
-import { z } from "zod";
-
+import fs from "fs";
+import { fileURLToPath } from "url";
 import cors from "cors";
-
+import { createAuth } from "./auth.js";
+import { getConfig } from "./config.js";
+import { createMcpServer, getChangesSince, getServerStatus, DESY_ORIGIN, SERVER_NAME, SERVER_VERSION } from "./mcp-server.js";
+import { formatAtomFeed } from "./change-feed.js";
+import { generateMCPConfig } from "./index.js";
+
+const config = getConfig();
+const SERVER_URL = config.publicUrl;
+const MCP_URL = `${SERVER_URL}/mcp`;
+const auth = createAuth(config.auth, { resource: MCP_URL, issuer: SERVER_URL, resourceName: SERVER_NAME });
+
+// Tokens travel in the Authorization header, never in cookies, so browsers
+// are not allowed to send credentials
 const app = express();
 app.use(cors({
-  origin: true,
-  credentials: true,
-  exposedHeaders: ['mcp-session-id', 'Mcp-Session-Id']
+  origin: config.corsOrigins.includes("*") ? "*" : config.corsOrigins,
+  exposedHeaders: ['mcp-session-id', 'Mcp-Session-Id', 'WWW-Authenticate']
 }));
 app.use(express.json());
-
-const PORT = 5000;
-const SERVER_URL = "https://desy-mcp.replit.app";
-const LLMS_TXT_URL = "https://desy.aragon.es/llms.txt";
-const CACHE_DURATION_MS = 24 * 60 * 60 * 1000;
-
-let cache = {
-  data: null,
-  timestamp: 0,
-};
-
-const COMPONENT_ALIASES = {
-  "button": ["button", "botón", "botones", "boton"],
-  "button-loader": ["button-loader", "botón cargando", "boton cargando", "loader button"],
-  "modal": ["modal", "ventana modal", "diálogo", "dialogo", "dialog"],
-  "input": ["input", "entrada", "campo", "text input", "campo de texto"],
-  "select": ["select", "selector", "desplegable", "dropdown"],
-  "checkbox": ["checkbox", "casilla", "casilla de verificación", "check"],
-  "radio": ["radio", "radio button", "botón de radio", "boton de radio"],
-  "accordion": ["accordion", "acordeón", "acordeon", "desplegable"],
-  "alert": ["alert", "alerta", "aviso", "notificación", "notificacion"],
-  "badge": ["badge", "insignia", "etiqueta"],
-  "breadcrumb": ["breadcrumb", "migas de pan", "breadcrumbs", "navegación"],
-  "card": ["card", "tarjeta", "cards", "tarjetas"],
-  "carousel": ["carousel", "carrusel", "slider"],
-  "dropdown": ["dropdown", "desplegable", "menú desplegable", "menu desplegable"],
-  "footer": ["footer", "pie de página", "pie de pagina"],
-  "header": ["header", "cabecera", "encabezado"],
-  "icon": ["icon", "icono", "icons", "iconos"],
-  "link": ["link", "enlace", "enlaces", "links"],
-  "list": ["list", "lista", "listas", "lists"],
-  "menu": ["menu", "menú", "navegación", "navegacion", "nav"],
-  "navbar": ["navbar", "barra de navegación", "navigation bar"],
-  "pagination": ["pagination", "paginación", "paginacion", "pager"],
-  "progress": ["progress", "progreso", "barra de progreso", "progress bar"],
-  "spinner": ["spinner", "cargando", "loading", "loader"],
-  "tab": ["tab", "tabs", "pestaña", "pestañas", "pestana", "pestanas"],
-  "table": ["table", "tabla", "tablas", "tables"],
-  "tag": ["tag", "etiqueta", "tags", "etiquetas"],
-  "textarea": ["textarea", "área de texto", "area de texto", "text area"],
-  "toast": ["toast", "notificación", "notificacion", "mensaje"],
-  "tooltip": ["tooltip", "descripción emergente", "hint", "ayuda"],
-  "form": ["form", "formulario", "formularios", "forms"],
-  "search": ["search", "búsqueda", "busqueda", "buscador"],
-  "avatar": ["avatar", "foto de perfil", "imagen de usuario"],
-  "switch": ["switch", "interruptor", "toggle"],
-  "stepper": ["stepper", "pasos", "wizard", "asistente"],
-  "sidebar": ["sidebar", "barra lateral", "menú lateral", "menu lateral"],
-  "divider": ["divider", "divisor", "separador", "línea", "linea"],
-  "chip": ["chip", "chips", "etiqueta pequeña"],
-  "date-picker": ["date-picker", "datepicker", "selector de fecha", "calendario", "calendar"],
-  "file-upload": ["file-upload", "subir archivo", "upload", "carga de archivos"],
-  "autocomplete": ["autocomplete", "autocompletar", "sugerencias"],
-};
-
-function normalizeComponentName(input) {
-  if (!input || typeof input !== 'string') return null;
-  
-  const normalized = input.toLowerCase().trim()
-    .normalize("NFD").replace(/[\u0300-\u036f]/g, "");
-  
-  for (const [canonical, aliases] of Object.entries(COMPONENT_ALIASES)) {
-    for (const alias of aliases) {
-      const normalizedAlias = alias.toLowerCase()
-        .normalize("NFD").replace(/[\u0300-\u036f]/g, "");
-      if (normalizedAlias === normalized || normalized.includes(normalizedAlias) || normalizedAlias.includes(normalized)) {
-        return canonical;
-      }
-    }
-  }
-  
-  return normalized;
+// OAuth protected resource metadata
+if (auth.router) {
+  app.use(auth.router);
 }
 
-function findComponentKey(components, searchTerm) {
-  if (!searchTerm || typeof searchTerm !== 'string') return null;
-  
-  const normalized = searchTerm.toLowerCase().trim()
-    .normalize("NFD").replace(/[\u0300-\u036f]/g, "");
-  
-  if (components[normalized]) {
-    return normalized;
-  }
-  
-  const canonicalName = normalizeComponentName(searchTerm);
-  
-  for (const [canonical, aliases] of Object.entries(COMPONENT_ALIASES)) {
-    const isMatch = canonical === canonicalName || aliases.some(alias => {
-      const normalizedAlias = alias.toLowerCase().normalize("NFD").replace(/[\u0300-\u036f]/g, "");
-      return normalizedAlias === normalized;
-    });
-    
-    if (isMatch) {
-      for (const alias of aliases) {
-        const normalizedAlias = alias.toLowerCase().normalize("NFD").replace(/[\u0300-\u036f]/g, "");
-        if (components[normalizedAlias]) {
-          return normalizedAlias;
-        }
-        const withHtml = `${normalizedAlias} (html)`;
-        if (components[withHtml]) {
-          return withHtml;
-        }
-      }
-    }
-  }
-  
-  for (const compKey of Object.keys(components)) {
-    const compKeyNorm = compKey.normalize("NFD").replace(/[\u0300-\u036f]/g, "");
-    if (compKeyNorm.includes(normalized) || normalized.includes(compKeyNorm)) {
-      return compKey;
-    }
-  }
-  
-  return null;
-}
-
-function parseCodeBlocks(markdown, format = 'html') {
-  const examples = [];
-  const lines = markdown.split('\n');
-  
-  let currentExample = null;
-  let inCodeBlock = false;
-  let codeBlockType = null;
-  let codeBuffer = [];
-  
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
-    
-    if (line.match(/^###\s+(.+)\s*\[#\]/)) {
-      if (currentExample && (currentExample.html || currentExample.nunjucks)) {
-        examples.push(currentExample);
-      }
-      const title = line.match(/^###\s+(.+)\s*\[#\]/)[1].trim();
-      currentExample = { title, html: null, nunjucks: null, description: '' };
-    }
-    else if (line.match(/^###\s+(.+)/)) {
-      if (currentExample && (currentExample.html || currentExample.nunjucks)) {
-        examples.push(currentExample);
-      }
-      const title = line.match(/^###\s+(.+)/)[1].trim();
-      currentExample = { title, html: null, nunjucks: null, description: '' };
-    }
-    
-    if (line.startsWith('```html')) {
-      inCodeBlock = true;
-      codeBlockType = 'html';
-      codeBuffer = [];
-    } else if (line.startsWith('```js') || line.startsWith('```javascript')) {
-      inCodeBlock = true;
-      codeBlockType = 'nunjucks';
-      codeBuffer = [];
-    } else if (line === '```' && inCodeBlock) {
-      if (currentExample) {
-        const code = codeBuffer.join('\n').trim();
-        if (codeBlockType === 'html') {
-          currentExample.html = code;
-        } else if (codeBlockType === 'nunjucks') {
-          currentExample.nunjucks = code;
-        }
-      }
-      inCodeBlock = false;
-      codeBlockType = null;
-      codeBuffer = [];
-    } else if (inCodeBlock) {
-      codeBuffer.push(line);
-    }
-  }
-  
-  if (currentExample && (currentExample.html || currentExample.nunjucks)) {
-    examples.push(currentExample);
-  }
-  
-  return examples;
-}
-
-function formatCodeOutput(examples, format = 'html', variant = null) {
-  const allVariants = examples
-    .filter(ex => format === 'html' ? ex.html : ex.nunjucks)
-    .map(ex => ex.title);
-  
-  let filteredExamples = examples;
-  
-  if (variant) {
-    const variantLower = variant.toLowerCase().normalize("NFD").replace(/[\u0300-\u036f]/g, "");
-    const filtered = examples.filter(ex => {
-      const titleNorm = ex.title.toLowerCase().normalize("NFD").replace(/[\u0300-\u036f]/g, "");
-      return titleNorm.includes(variantLower) || variantLower.includes(titleNorm);
-    });
-    
-    if (filtered.length > 0) {
-      filteredExamples = filtered;
-    }
-  }
-  
-  const output = [];
-  
-  if (!variant && allVariants.length > 1) {
-    output.push(`**Variantes disponibles (${allVariants.length}):** ${allVariants.join(', ')}\n\n_Para filtrar, usa el parámetro \`variant\`. Ejemplo: variant="primario"_\n`);
-  }
-  
-  for (const example of filteredExamples) {
-    const code = format === 'html' ? example.html : example.nunjucks;
-    if (code) {
-      output.push(`### ${example.title}\n\`\`\`${format === 'html' ? 'html' : 'js'}\n${code}\n\`\`\``);
-    }
-  }
-  
-  if (output.length === 0 || (output.length === 1 && output[0].startsWith('**Variantes'))) {
-    return `No se encontraron ejemplos de código ${format.toUpperCase()} para este componente.`;
-  }
-  
-  return output.join('\n\n');
-}
-
-function fetchUrl(url) {
-  return new Promise((resolve, reject) => {
-    const protocol = url.startsWith("https") ? https : http;
-    protocol
-      .get(url, (res) => {
-        let data = "";
-        res.on("data", (chunk) => (data += chunk));
-        res.on("end", () => resolve(data));
-        res.on("error", reject);
-      })
-      .on("error", reject);
-  });
-}
-
-function parseMarkdownLink(line) {
-  const match = line.trim().match(/\[([^\]]+)\]\(([^)]+)\)/);
-  if (match) {
-    return { text: match[1], url: match[2] };
-  }
-  return null;
-}
-
-function parseLlmsTxt(content) {
-  const categories = {};
-  const components = {};
-  let currentCategory = null;
-
-  const lines = content.split("\n");
-
-  for (const line of lines) {
-    const stripped = line.trim();
-
-    if (!stripped) continue;
-
-    if (stripped.startsWith("## ")) {
-      currentCategory = stripped.slice(3).trim();
-      if (currentCategory && !categories[currentCategory]) {
-        categories[currentCategory] = {
-          name: currentCategory,
-          description: `Documentación de ${currentCategory.toLowerCase()}`,
-          components: [],
-        };
-      }
-    } else if (stripped.startsWith("### ")) {
-      currentCategory = stripped.slice(4).trim();
-      if (currentCategory && !categories[currentCategory]) {
-        categories[currentCategory] = {
-          name: currentCategory,
-          description: `Componentes de ${currentCategory.toLowerCase()}`,
-          components: [],
-        };
-      }
-    } else if (stripped.startsWith("- ") || stripped.startsWith("  - ")) {
-      const linkText = stripped.replace(/^-\s*/, "").replace(/^\s*-\s*/, "");
-      const link = parseMarkdownLink(linkText);
-      if (link && link.url.includes("/componente-")) {
-        const componentName = link.text;
-        const urlLower = link.url.toLowerCase();
-        const hasHtml = urlLower.includes("-codigo") && !urlLower.includes("-angular");
-        const hasNunjucks = urlLower.includes("nunjucks");
-        const hasAngular = urlLower.includes("angular");
-        const hasProps = urlLower.includes("propiedades") || urlLower.includes("props");
-
-        const component = {
-          name: componentName,
-          url: link.url,
-          description: link.text,
-          category: currentCategory || "General",
-          hasHtml,
-          hasNunjucks,
-          hasAngular,
-          hasProps,
-        };
-
-        const key = componentName.toLowerCase();
-        if (!components[key]) {
-          components[key] = component;
-        }
-
-        if (currentCategory && categories[currentCategory]) {
-          categories[currentCategory].components.push(component);
-        }
-      }
-    }
-  }
-
-  return { categories, components };
-}
-
-async function fetchLlmsTxt(forceRefresh = false) {
-  const now = Date.now();
-  const cacheExpired = now - cache.timestamp > CACHE_DURATION_MS;
-
-  if (!forceRefresh && !cacheExpired && cache.data) {
-    return cache.data;
-  }
-
-  try {
-    const content = await fetchUrl(LLMS_TXT_URL);
-    const parsed = parseLlmsTxt(content);
-    cache = { data: parsed, timestamp: now };
-    return parsed;
-  } catch (error) {
-    if (cache.data) {
-      return cache.data;
-    }
-    throw new Error(`Failed to fetch llms.txt: ${error.message}`);
-  }
-}
-
-async function getComponentCode(tech, component, variant = null) {
-  const { components } = await fetchLlmsTxt();
-  
-  if (!component || typeof component !== 'string') {
-    const available = Object.keys(components);
-    return `Error: Debes especificar un nombre de componente.\n\nComponentes disponibles (${available.length} total):\n- ${available.join("\n- ")}`;
-  }
-  
-  let key = findComponentKey(components, component);
-
-  if (!key) {
-    const available = Object.keys(components);
-    const searchNorm = component.toLowerCase().normalize("NFD").replace(/[\u0300-\u036f]/g, "");
-    const suggestions = available.filter(k => {
-      const kNorm = k.normalize("NFD").replace(/[\u0300-\u036f]/g, "");
-      return kNorm.includes(searchNorm.substring(0, 3)) || searchNorm.includes(kNorm.substring(0, 3));
-    }).slice(0, 5);
-    
-    let response = `Componente '${component}' no encontrado.`;
-    if (suggestions.length > 0) {
-      response += `\n\n¿Quizás quisiste decir?\n- ${suggestions.join("\n- ")}`;
-    }
-    response += `\n\nComponentes disponibles (${available.length} total):\n- ${available.slice(0, 20).join("\n- ")}`;
-    if (available.length > 20) {
-      response += `\n... y ${available.length - 20} más`;
-    }
-    return response;
-  }
-
-  const comp = components[key];
-
-  let codeUrl = comp.url;
-  if (!codeUrl.includes('-codigo')) {
-    codeUrl = codeUrl.replace('.html.md', '-codigo.html.md');
-  }
-  
-  if (tech === 'angular' && !codeUrl.includes('-angular')) {
-    codeUrl = codeUrl.replace('-codigo.html.md', '-codigo-angular.html.md');
-  }
-
-  try {
-    const content = await fetchUrl(codeUrl);
-    
-    const examples = parseCodeBlocks(content, tech === 'nunjucks' ? 'nunjucks' : 'html');
-    
-    if (examples.length === 0) {
-      return `No se encontraron ejemplos de código para '${comp.name}'.\n\nContenido disponible en: ${codeUrl}`;
-    }
-    
-    const format = tech === 'nunjucks' ? 'nunjucks' : 'html';
-    const header = `## ${comp.name} - Código ${format.toUpperCase()}\n\n`;
-    const codeOutput = formatCodeOutput(examples, format, variant);
-    
-    return header + codeOutput;
-  } catch (error) {
-    try {
-      const fallbackContent = await fetchUrl(comp.url);
-      return `No se pudo obtener la página de código. Documentación disponible:\n\n${fallbackContent.substring(0, 2000)}...`;
-    } catch {
-      return `Error al obtener el código: ${error.message}`;
-    }
-  }
-}
-
-async function getComponentProps(component) {
-  const { components } = await fetchLlmsTxt();
-  
-  if (!component || typeof component !== 'string') {
-    return { error: "Debes especificar un nombre de componente" };
-  }
-  
-  const key = component.toLowerCase().trim();
-
-  if (!components[key]) {
-    return { error: `Componente '${component}' no encontrado` };
-  }
-
-  const comp = components[key];
-  const propsUrl = comp.url
-    .replace("-codigo", "-props")
-    .replace("-codigo-angular", "-props-angular");
-
-  try {
-    const response = await fetchUrl(propsUrl);
-    return {
-      component: comp.name,
-      description: comp.description,
-      url: propsUrl,
-      propsHtml: response,
-    };
-  } catch {
-    return {
-      component: comp.name,
-      description: comp.description,
-      url: comp.url,
-      category: comp.category,
-      availableFormats: {
-        html: comp.hasHtml,
-        nunjucks: comp.hasNunjucks,
-        angular: comp.hasAngular,
-      },
-      note: "Para obtener las propiedades detalladas, consulta la documentación en la URL del componente",
-    };
-  }
-}
-
-async function searchComponents(query) {
-  const { components } = await fetchLlmsTxt();
-  
-  if (!query || typeof query !== 'string') {
-    return Object.values(components).slice(0, 100).map(comp => ({
-      name: comp.name,
-      description: comp.description,
-      category: comp.category,
-      url: comp.url,
-      hasHtml: comp.hasHtml,
-      hasNunjucks: comp.hasNunjucks,
-      hasAngular: comp.hasAngular,
-    }));
-  }
-  
-  const queryLower = query.toLowerCase().normalize("NFD").replace(/[\u0300-\u036f]/g, "");
-  const normalizedQuery = normalizeComponentName(query);
-  const results = [];
-  const seen = new Set();
-
-  if (normalizedQuery && components[normalizedQuery]) {
-    const comp = components[normalizedQuery];
-    results.push({
-      name: comp.name,
-      canonicalName: normalizedQuery,
-      description: comp.description,
-      category: comp.category,
-      url: comp.url,
-      hasHtml: comp.hasHtml,
-      hasNunjucks: comp.hasNunjucks,
-      hasAngular: comp.hasAngular,
-      matchType: 'exact',
-    });
-    seen.add(normalizedQuery);
-  }
-
-  for (const [canonical, aliases] of Object.entries(COMPONENT_ALIASES)) {
-    if (seen.has(canonical)) continue;
-    
-    for (const alias of aliases) {
-      const normalizedAlias = alias.toLowerCase().normalize("NFD").replace(/[\u0300-\u036f]/g, "");
-      if (normalizedAlias.includes(queryLower) || queryLower.includes(normalizedAlias)) {
-        if (components[canonical]) {
-          const comp = components[canonical];
-          results.push({
-            name: comp.name,
-            canonicalName: canonical,
-            description: comp.description,
-            category: comp.category,
-            url: comp.url,
-            hasHtml: comp.hasHtml,
-            hasNunjucks: comp.hasNunjucks,
-            hasAngular: comp.hasAngular,
-            matchType: 'alias',
-            matchedAlias: alias,
-          });
-          seen.add(canonical);
-          break;
-        }
-      }
-    }
-  }
-
-  for (const [key, comp] of Object.entries(components)) {
-    if (seen.has(key)) continue;
-    
-    const keyNorm = key.normalize("NFD").replace(/[\u0300-\u036f]/g, "");
-    const nameNorm = comp.name.toLowerCase().normalize("NFD").replace(/[\u0300-\u036f]/g, "");
-    const descNorm = comp.description.toLowerCase().normalize("NFD").replace(/[\u0300-\u036f]/g, "");
-    
-    if (keyNorm.includes(queryLower) || nameNorm.includes(queryLower) || descNorm.includes(queryLower)) {
-      results.push({
-        name: comp.name,
-        canonicalName: key,
-        description: comp.description,
-        category: comp.category,
-        url: comp.url,
-        hasHtml: comp.hasHtml,
-        hasNunjucks: comp.hasNunjucks,
-        hasAngular: comp.hasAngular,
-        matchType: 'partial',
-      });
-      seen.add(key);
-    }
-  }
-
-  return results.slice(0, 100);
-}
-
-async function getGuideline(section) {
-  const { categories } = await fetchLlmsTxt();
-  
-  if (!section || typeof section !== 'string') {
-    const available = Object.keys(categories);
-    return `Error: Debes especificar una sección.\n\nSecciones disponibles:\n- ${available.join("\n- ")}`;
-  }
-  
-  const sectionLower = section.toLowerCase().trim();
-
-  for (const [catName, category] of Object.entries(categories)) {
-    if (catName.toLowerCase().includes(sectionLower)) {
-      const lines = [`# ${catName}\n`];
-      lines.push(`${category.description}\n\n`);
-
-      for (const comp of category.components.slice(0, 30)) {
-        lines.push(`- [${comp.name}](${comp.url}): ${comp.description}`);
-      }
-
-      return lines.join("\n");
-    }
-  }
-
-  for (const category of Object.values(categories)) {
-    for (const comp of category.components) {
-      if (comp.name.toLowerCase().includes(sectionLower) || comp.url.toLowerCase().includes(sectionLower)) {
-        try {
-          return await fetchUrl(comp.url);
-        } catch {
-          break;
-        }
-      }
-    }
-  }
-
-  const available = Object.keys(categories);
-  return `Sección '${section}' no encontrada.\n\nSecciones disponibles:\n- ${available.join("\n- ")}`;
-}
-
-async function listCategories() {
-  const { categories } = await fetchLlmsTxt();
-
-  const result = {};
-  for (const [catName, category] of Object.entries(categories)) {
-    result[catName] = category.components.map((c) => c.name);
-  }
+const AUTH_NOTICES = {
+  none: "",
+  apiKey: "<p>Requiere una clave de API: sustituye <code>&lt;API_KEY&gt;</code> en la configuración por la tuya.</p>",
+  oauth: "<p>Requiere iniciar sesión con OAuth; el cliente lo pide al conectarse.</p>",
+};
 
-  return result;
+// Inline Markdown of the client registry (bold, code and links) as HTML
+function markdownToHtml(text) {
+  return escapeHtml(text)
+    .replace(/\*\*(.+?)\*\*/g, "<strong>$1</strong>")
+    .replace(/`(.+?)`/g, "<code>$1</code>")
+    .replace(/\[(.+?)\]\((https?:[^)\s]+)\)/g, '<a href="$2" target="_blank">$1</a>');
 }
 
-async function refreshCache() {
-  cache = { data: null, timestamp: 0 };
-  await fetchLlmsTxt(true);
-  return { status: "success", message: "Cache actualizado correctamente" };
+function escapeHtml(text) {
+  return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
 }
 
-function createMcpServer() {
-  const server = new McpServer({
-    name: "DESY MCP Server",
-    version: "1.0.0",
-  });
-
-  server.tool(
-    "get_component_code_html",
-    "Obtiene snippets de código HTML listos para copiar y usar de un componente DESY. Soporta nombres en español e inglés (ej: 'button' o 'botón'). Devuelve ejemplos de código por variante.",
-    {
-      component: z.string().describe("Nombre del componente en español o inglés (ej: 'button', 'botón', 'modal', 'alert')"),
-      variant: z.string().optional().describe("Variante específica del componente (ej: 'primario', 'deshabilitado', 'hover'). Si no se especifica, devuelve todos los ejemplos."),
-    },
-    async ({ component, variant }) => ({
-      content: [{ type: "text", text: await getComponentCode("html", component, variant) }],
-    })
-  );
-
-  server.tool(
-    "get_component_code_nunjucks",
-    "Obtiene snippets de código Nunjucks/macros listos para copiar y usar de un componente DESY. Soporta nombres en español e inglés. Devuelve ejemplos de código por variante.",
-    {
-      component: z.string().describe("Nombre del componente en español o inglés (ej: 'button', 'botón', 'modal', 'alert')"),
-      variant: z.string().optional().describe("Variante específica del componente (ej: 'primario', 'deshabilitado', 'hover'). Si no se especifica, devuelve todos los ejemplos."),
-    },
-    async ({ component, variant }) => ({
-      content: [{ type: "text", text: await getComponentCode("nunjucks", component, variant) }],
-    })
-  );
-
-  server.tool(
-    "get_component_code_angular",
-    "Obtiene snippets de código Angular listos para copiar y usar de un componente DESY. Soporta nombres en español e inglés. Devuelve ejemplos de código por variante.",
-    {
-      component: z.string().describe("Nombre del componente en español o inglés (ej: 'button', 'botón', 'modal', 'alert')"),
-      variant: z.string().optional().describe("Variante específica del componente (ej: 'primario', 'deshabilitado', 'hover'). Si no se especifica, devuelve todos los ejemplos."),
-    },
-    async ({ component, variant }) => ({
-      content: [{ type: "text", text: await getComponentCode("angular", component, variant) }],
-    })
-  );
-
-  server.tool(
-    "get_component_props",
-    "Obtiene los parámetros y propiedades configurables de un componente de DESY",
-    {
-      component: z.string().describe("Nombre del componente"),
-    },
-    async ({ component }) => ({
-      content: [{ type: "text", text: JSON.stringify(await getComponentProps(component), null, 2) }],
-    })
-  );
-
-  server.tool(
-    "search_components",
-    "Busca componentes de DESY por nombre o descripción",
-    {
-      query: z.string().describe("Término de búsqueda"),
-    },
-    async ({ query }) => ({
-      content: [{ type: "text", text: JSON.stringify(await searchComponents(query), null, 2) }],
-    })
-  );
-
-  server.tool(
-    "get_guideline",
-    "Obtiene guías de estilo, documentación de componentes o patrones",
-    {
-      section: z.string().describe("Sección a consultar (ej: 'estilos', 'componentes', 'patrones', 'accesibilidad')"),
-    },
-    async ({ section }) => ({
-      content: [{ type: "text", text: await getGuideline(section) }],
-    })
-  );
-
-  server.tool(
-    "list_categories",
-    "Lista todas las categorías y componentes disponibles en DESY",
-    {},
-    async () => ({
-      content: [{ type: "text", text: JSON.stringify(await listCategories(), null, 2) }],
-    })
-  );
-
-  server.tool(
-    "refresh_cache",
-    "Fuerza la actualización del cache de llms.txt",
-    {},
-    async () => ({
-      content: [{ type: "text", text: JSON.stringify(await refreshCache(), null, 2) }],
-    })
-  );
-
-  return server;
+// Client configurations from the registry in index.js, with the URL of their
+// config file download
+function installClients() {
+  return generateMCPConfig(MCP_URL, SERVER_NAME, { auth: auth.mode }).map(client => client.configFile
+    ? { ...client, download: `${SERVER_URL}/install/${client.id}/${client.configFile}` }
+    : client);
 }
 
 function generateInstallationHTML() {
-  // Generate one-click install URLs
-  const vscodeConfig = {
-    name: "DESY MCP Server",
-    type: "http",
-    url: `${SERVER_URL}/mcp`
-  };
-  const vscodeInstallUrl = `vscode:mcp/install?${encodeURIComponent(JSON.stringify(vscodeConfig))}`;
-  
-  const cursorConfig = {
-    url: `${SERVER_URL}/mcp`
-  };
-  const cursorInstallUrl = `cursor://anysphere.cursor-deeplink/mcp/install?name=${encodeURIComponent("DESY MCP Server")}&config=${Buffer.from(JSON.stringify(cursorConfig)).toString('base64')}`;
-
-  const clients = [
-    {
-      name: "OpenCode",
-      icon: "https://opencode.ai/favicon.ico",
-      instructions: `Añadir a <code>opencode.json</code> (proyecto) o <code>~/.config/opencode/opencode.json</code> (global):`,
-      config: {
-        mcp: {
-          "desy": {
-            type: "remote",
-            url: `${SERVER_URL}/mcp`,
-            enabled: true
-          }
-        }
-      }
-    },
-    {
-      name: "VS Code",
-      icon: "https://www.google.com/s2/favicons?domain=code.visualstudio.com&sz=64",
-      instructions: `Añadir al <code>settings.json</code> de VS Code:`,
-      installUrl: vscodeInstallUrl,
-      config: {
-        mcp: {
-          servers: {
-            "DESY MCP Server": {
-              type: "http",
-              url: `${SERVER_URL}/mcp`
-            }
-          }
-        }
-      }
-    },
-    {
-      name: "Cursor",
-      icon: "https://www.google.com/s2/favicons?domain=cursor.com&sz=64",
-      instructions: `Añadir a <code>~/.cursor/mcp.json</code> o <code>.cursor/mcp.json</code> (proyecto-específico):`,
-      installUrl: cursorInstallUrl,
-      config: {
-        mcpServers: {
-          "DESY MCP Server": {
-            url: `${SERVER_URL}/mcp`
-          }
-        }
-      }
-    },
-    {
-      name: "Claude Desktop / Claude.ai",
-      icon: "https://www.google.com/s2/favicons?domain=claude.ai&sz=64",
-      instructions: `Ir a <strong>Settings → Connectors → Add Custom Connector</strong> y rellenar:
-      <ul>
-        <li><strong>Name</strong>: DESY MCP Server</li>
-        <li><strong>URL</strong>: ${SERVER_URL}/mcp</li>
-      </ul>`,
-      config: null
-    },
-    {
-      name: "Claude Code",
-      icon: "https://www.google.com/s2/favicons?domain=claude.ai&sz=64",
-      instructions: `Ejecutar en terminal:`,
-      command: `claude mcp add --transport http "DESY-MCP-Server" ${SERVER_URL}/mcp`
-    },
-    {
-      name: "Windsurf",
-      icon: "https://www.google.com/s2/favicons?domain=codeium.com&sz=64",
-      instructions: `Añadir a la configuración MCP de Windsurf:`,
-      config: {
-        mcpServers: {
-          "DESY MCP Server": {
-            serverUrl: `${SERVER_URL}/mcp`
-          }
-        }
-      }
-    }
-  ];
-
-  const clientCards = clients.map(client => {
+  const clientCards = installClients().map(client => {
     let configSection = '';
-    if (client.config) {
-      configSection = `<pre><code>${JSON.stringify(client.config, null, 2)}</code></pre>`;
+    if (client.steps) {
+      configSection += `<ul>${client.steps.map(step => `<li>${markdownToHtml(step)}</li>`).join('')}</ul>`;
+    }
+    if (client.configJson) {
+      configSection += `<pre><code>${escapeHtml(JSON.stringify(client.configJson, null, 2))}</code></pre>`;
     }
-    if (client.command) {
-      configSection = `<pre><code class="language-bash">${client.command}</code></pre>`;
+    if (client.remoteCommand) {
+      configSection += `<pre><code class="language-bash">${escapeHtml(client.remoteCommand)}</code></pre>`;
+    }
+    if (client.notes) {
+      configSection += `<p>${markdownToHtml(client.notes)}</p>`;
     }
     
     let installButton = '';
-    if (client.installUrl) {
-      installButton = `<a href="${client.installUrl}" class="install-button">Instalar Ahora</a>`;
+    if (client.deepLink) {
+      installButton += `<a href="${escapeHtml(client.deepLink)}" class="install-button">Instalar Ahora</a>`;
+    }
+    if (client.download) {
+      installButton += `<a href="${escapeHtml(client.download)}" class="install-button download-button" download>Descargar ${escapeHtml(client.configFile)}</a>`;
     }
 
     return `
-      <div class="client-card">
+      <div class="client-card" id="${client.id}">
         <div class="client-header">
-          <img src="${client.icon}" alt="${client.name}" class="client-icon">
-          <h3>${client.name}</h3>
+          <img src="${client.iconUrl}" alt="${escapeHtml(client.client)}" class="client-icon">
+          <h3>${escapeHtml(client.client)}</h3>
           ${installButton}
         </div>
         <div class="client-instructions">
-          <p>${client.instructions}</p>
+          <p>${markdownToHtml(client.instructions)}</p>
           ${configSection}
         </div>
       </div>
@@ -817,7 +110,7 @@ function generateInstallationHTML() {
 <head>
   <meta charset="UTF-8">
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>DESY MCP Server - Instalación</title>
+  <title>${SERVER_NAME} - Instalación</title>
   <link rel="icon" type="image/svg+xml" href="/favicon.svg">
   <link rel="apple-touch-icon" href="/favicon.svg">
   <link rel="mask-icon" href="/favicon.svg" color="#fce400">
@@ -868,6 +161,11 @@ function generateInstallationHTML() {
       text-align: center;
     }
     
+    .server-info a {
+      color: #4fc3f7;
+      font-size: 0.9rem;
+    }
+    
     .server-url {
       font-family: monospace;
       font-size: 1.1rem;
@@ -939,6 +237,14 @@ function generateInstallationHTML() {
       transform: translateY(-1px);
     }
     
+    .download-button {
+      background: #2563eb;
+    }
+    
+    .download-button:hover {
+      background: #1d4ed8;
+    }
+    
     .client-instructions p {
       margin-bottom: 15px;
       color: #b0b0b0;
@@ -1013,13 +319,15 @@ function generateInstallationHTML() {
 <body>
   <div class="container">
     <header>
-      <h1>DESY MCP Server</h1>
+      <h1>${SERVER_NAME}</h1>
       <p class="subtitle">Sistema de Diseño del Gobierno de Aragón</p>
     </header>
     
     <div class="server-info">
       <p>URL del servidor MCP:</p>
-      <div class="server-url">${SERVER_URL}/mcp</div>
+      <div class="server-url">${MCP_URL}</div>
+      ${AUTH_NOTICES[auth.mode]}
+      <p><a href="/install.json">Configuración de todos los clientes en JSON</a></p>
     </div>
     
     <h2>Instrucciones de Instalación</h2>
@@ -1047,6 +355,50 @@ function generateInstallationHTML() {
           <h4>get_component_props</h4>
           <p>Obtiene las propiedades configurables</p>
         </div>
+        <div class="tool-card">
+          <h4>get_component_schema</h4>
+          <p>Obtiene el esquema de parámetros Nunjucks</p>
+        </div>
+        <div class="tool-card">
+          <h4>validate_component_params</h4>
+          <p>Valida parámetros o llamadas a macros Nunjucks</p>
+        </div>
+        <div class="tool-card">
+          <h4>render_component</h4>
+          <p>Renderiza un componente a HTML desde sus parámetros</p>
+        </div>
+        <div class="tool-card">
+          <h4>convert_component</h4>
+          <p>Convierte un componente entre Nunjucks, Angular y HTML</p>
+        </div>
+        <div class="tool-card">
+          <h4>audit_markup</h4>
+          <p>Audita HTML frente a DESY con reemplazos sugeridos</p>
+        </div>
+        <div class="tool-card">
+          <h4>check_accessibility</h4>
+          <p>Comprueba la accesibilidad de HTML con las pautas de DESY</p>
+        </div>
+        <div class="tool-card">
+          <h4>identify_components</h4>
+          <p>Identifica componentes y variantes DESY en HTML existente</p>
+        </div>
+        <div class="tool-card">
+          <h4>scaffold_page</h4>
+          <p>Compone una página completa con componentes DESY</p>
+        </div>
+        <div class="tool-card">
+          <h4>diff_component</h4>
+          <p>Compara un componente entre dos versiones de DESY</p>
+        </div>
+        <div class="tool-card">
+          <h4>list_versions</h4>
+          <p>Lista las versiones de DESY guardadas</p>
+        </div>
+        <div class="tool-card">
+          <h4>get_design_tokens</h4>
+          <p>Exporta colores, tipografía y espaciados de DESY</p>
+        </div>
         <div class="tool-card">
           <h4>search_components</h4>
           <p>Busca componentes por nombre o descripción</p>
@@ -1055,13 +407,29 @@ function generateInstallationHTML() {
           <h4>get_guideline</h4>
           <p>Obtiene guías de estilo y documentación</p>
         </div>
+        <div class="tool-card">
+          <h4>list_patterns</h4>
+          <p>Lista los patrones de DESY y sus componentes</p>
+        </div>
+        <div class="tool-card">
+          <h4>get_pattern</h4>
+          <p>Obtiene el código de ejemplo de un patrón</p>
+        </div>
         <div class="tool-card">
           <h4>list_categories</h4>
           <p>Lista todas las categorías disponibles</p>
         </div>
+        <div class="tool-card">
+          <h4>list_aliases</h4>
+          <p>Lista los alias de cada componente y sus conflictos</p>
+        </div>
+        <div class="tool-card">
+          <h4>get_changes_since</h4>
+          <p>Cambios detectados en la documentación desde una fecha</p>
+        </div>
         <div class="tool-card">
           <h4>refresh_cache</h4>
-          <p>Actualiza el cache de documentación</p>
+          <p>Actualiza el cache de documentación y devuelve los cambios detectados</p>
         </div>
       </div>
     </div>
@@ -1080,28 +448,65 @@ app.get("/", (req, res) => {
   res.send(generateInstallationHTML());
 });
 
+// Same client registry as the page, for scripts and other install pages
+app.get("/install.json", (req, res) => {
+  res.json({ serverName: SERVER_NAME, mcpUrl: MCP_URL, auth: auth.mode, clients: installClients() });
+});
+
+app.get("/install/:client/:file", (req, res) => {
+  const client = installClients().find(client => client.id === req.params.client);
+  if (!client?.configFile || client.configFile !== req.params.file) {
+    return res.status(404).json({ error: `No hay fichero de configuración '${req.params.file}' para el cliente '${req.params.client}'` });
+  }
+  res.attachment(client.configFile).type("application/json").send(`${JSON.stringify(client.configJson, null, 2)}\n`);
+});
+
 app.get("/favicon.svg", (req, res) => {
-  res.sendFile(process.cwd() + "/favicon.svg");
+  res.sendFile(fileURLToPath(new URL("./favicon.svg", import.meta.url)));
 });
 
 app.get("/health", (req, res) => {
-  res.json({ status: "ok", server: "DESY MCP Server", version: "1.0.0" });
+  const { snapshot, pageCache } = getServerStatus();
+  res.json({ status: "ok", server: SERVER_NAME, version: SERVER_VERSION, snapshot: snapshot ? snapshot.version : null, pageCache });
+});
+
+// Change history as JSON, or as an Atom feed with ?format=atom or
+// Accept: application/atom+xml. ?since=<date> or ?version=<label> set where it starts
+app.get("/changes", async (req, res) => {
+  const result = await getChangesSince(req.query.since, req.query.version);
+  if (result.error) {
+    return res.status(400).json(result);
+  }
+
+  const format = req.query.format || (req.accepts(["json", "application/atom+xml"]) === "application/atom+xml" ? "atom" : "json");
+  if (format === "atom") {
+    return res
+      .type("application/atom+xml")
+      .send(formatAtomFeed(result.entries, { selfUrl: `${SERVER_URL}/changes?format=atom`, siteUrl: DESY_ORIGIN }));
+  }
+  res.json(result);
 });
 
 const sessions = new Map();
 const SESSION_TTL_MS = 30 * 60 * 1000;
 
+async function closeSession(sessionId) {
+  const session = sessions.get(sessionId);
+  sessions.delete(sessionId);
+  try {
+    await session?.transport.close();
+  } catch (e) {}
+}
+
 function cleanupSessions() {
   const now = Date.now();
   for (const [sessionId, session] of sessions.entries()) {
     if (now - session.lastAccess > SESSION_TTL_MS) {
-      sessions.delete(sessionId);
+      closeSession(sessionId);
     }
   }
 }
 
-setInterval(cleanupSessions, 5 * 60 * 1000);
-
 function generateSessionId() {
   return crypto.randomUUID();
 }
@@ -1110,6 +515,14 @@ async function handleMcpRequest(req, res) {
   try {
     let sessionId = req.headers["mcp-session-id"];
     let session = sessionId ? sessions.get(sessionId) : null;
+    if (session && session.clientId !== req.auth?.clientId) {
+      res.status(403).json({
+        jsonrpc: "2.0",
+        error: { code: -32000, message: "La sesión pertenece a otro cliente" },
+        id: null
+      });
+      return;
+    }
     
     if (!session) {
       if (req.method === "GET") {
@@ -1131,7 +544,7 @@ async function handleMcpRequest(req, res) {
       const server = createMcpServer();
       await server.connect(transport);
       
-      session = { transport, server, lastAccess: Date.now() };
+      session = { transport, server, clientId: req.auth?.clientId, lastAccess: Date.now() };
       sessions.set(sessionId, session);
     } else {
       session.lastAccess = Date.now();
@@ -1151,23 +564,51 @@ async function handleMcpRequest(req, res) {
   }
 }
 
-app.post("/mcp", handleMcpRequest);
-app.get("/mcp", handleMcpRequest);
+app.post("/mcp", auth.requireAuth, handleMcpRequest);
+app.get("/mcp", auth.requireAuth, handleMcpRequest);
 
-app.delete("/mcp", async (req, res) => {
+app.delete("/mcp", auth.requireAuth, async (req, res) => {
   const sessionId = req.headers["mcp-session-id"];
-  if (sessionId && sessions.has(sessionId)) {
-    const session = sessions.get(sessionId);
-    try {
-      await session.transport.close?.();
-    } catch (e) {}
-    sessions.delete(sessionId);
+  if (sessionId && sessions.get(sessionId)?.clientId === req.auth?.clientId) {
+    await closeSession(sessionId);
   }
   res.status(200).json({ message: "Session closed" });
 });
 
-app.listen(PORT, "0.0.0.0", () => {
-  console.log(`DESY MCP Server running on http://0.0.0.0:${PORT}`);
-  console.log(`MCP endpoint: ${SERVER_URL}/mcp`);
-  console.log(`Installation guide: ${SERVER_URL}`);
-});
+/**
+ * Starts the HTTP server
+ * @param {Object} [options]
+ * @param {number} [options.port] - Port, the configured one by default
+ * @param {string} [options.host] - Interface to listen on, the configured one by default
+ * @returns {Promise<import("http").Server>} Listening server
+ */
+function startHttpServer({ port = config.port, host = config.host } = {}) {
+  setInterval(cleanupSessions, 5 * 60 * 1000).unref();
+  return new Promise((resolve, reject) => {
+    const httpServer = app.listen(port, host, (error) => {
+      if (error) return reject(error);
+      const { snapshot } = getServerStatus();
+      console.log(`${SERVER_NAME} running on http://${host}:${port}`);
+      console.log(`MCP endpoint: ${MCP_URL}`);
+      console.log(`Installation guide: ${SERVER_URL}`);
+      if (auth.mode !== "none") {
+        console.log(`Autenticación: ${auth.mode === "oauth" ? `OAuth (${config.auth.oauth.issuer})` : "claves de API"}`);
+      }
+      if (snapshot) {
+        console.log(`Modo snapshot: ${snapshot.version} (${snapshot.dir})`);
+      }
+      resolve(httpServer);
+    });
+  });
+}
+
+// `node server-desy.js` (deployment) starts the HTTP server with the
+// configuration from the environment and the config file
+if (process.argv[1] && fs.realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  startHttpServer().catch((error) => {
+    console.error(`Error al arrancar DESY MCP Server: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+export { startHttpServer };
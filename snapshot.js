@@ -0,0 +1,150 @@
+/**
+ * Snapshots offline de la documentación de DESY
+ *
+ * Un snapshot es un directorio versionado con un manifest.json y una copia
+ * de cada página descargada. El servidor puede responder a todas las
+ * herramientas desde un snapshot sin acceso a red (DESY_SNAPSHOT_DIR).
+ *
+ * Estructura:
+ *   <raíz>/<versión>/manifest.json
+ *   <raíz>/<versión>/pages/<host>/<ruta>
+ */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+const SNAPSHOT_FORMAT = 1;
+const MANIFEST_FILE = "manifest.json";
+
+/**
+ * Converts a page URL into its relative path inside a snapshot bundle
+ * @param {string} url - Page URL
+ * @returns {string} Relative file path
+ */
+function snapshotPagePath(url) {
+  const { host, pathname, search } = new URL(url);
+  const safePath = decodeURIComponent(pathname)
+    .split("/")
+    .filter((segment) => segment && segment !== "." && segment !== "..")
+    .map((segment) => segment.replace(/[^\w.-]/g, "_"))
+    .join("/") || "index";
+  const suffix = search ? `_${crypto.createHash("sha1").update(search).digest("hex").slice(0, 8)}` : "";
+  return path.join("pages", host.replace(/[^\w.-]/g, "_"), safePath + suffix);
+}
+
+/**
+ * Default version label for a new snapshot (UTC timestamp, filesystem safe)
+ * @returns {string} Version label
+ */
+function defaultSnapshotVersion() {
+  return new Date().toISOString().replace(/\.\d+Z$/, "Z").replace(/:/g, "-");
+}
+
+/**
+ * Writes a snapshot bundle to disk
+ * @param {string} rootDir - Root directory holding all snapshot versions
+ * @param {Object} options
+ * @param {string} options.version - Version label of the bundle
+ * @param {string} options.source - URL of the llms.txt the crawl started from
+ * @param {Map<string, string>} options.pages - Page contents keyed by URL
+ * @param {{url: string, message: string}[]} [options.errors] - Pages that could not be fetched
+ * @returns {{dir: string, manifest: Object}} Bundle directory and manifest
+ */
+function writeSnapshot(rootDir, { version, source, pages, errors = [] }) {
+  const dir = path.join(rootDir, version);
+  if (fs.existsSync(path.join(dir, MANIFEST_FILE))) {
+    throw new Error(`Ya existe un snapshot con la versión '${version}' en ${rootDir}`);
+  }
+
+  const manifest = {
+    format: SNAPSHOT_FORMAT,
+    version,
+    source,
+    createdAt: new Date().toISOString(),
+    pages: {},
+    errors,
+  };
+
+  for (const [url, content] of pages) {
+    const file = snapshotPagePath(url);
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), content);
+    manifest.pages[url] = {
+      file,
+      bytes: Buffer.byteLength(content),
+      sha256: crypto.createHash("sha256").update(content).digest("hex"),
+    };
+  }
+
+  fs.writeFileSync(path.join(dir, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+  return { dir, manifest };
+}
+
+/**
+ * Lists the snapshot versions stored under a root directory, newest first
+ * @param {string} rootDir - Root directory holding all snapshot versions
+ * @returns {{version: string, createdAt: string, dir: string}[]} Available versions
+ */
+function listSnapshots(rootDir) {
+  if (!fs.existsSync(rootDir)) return [];
+
+  return fs.readdirSync(rootDir, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory() && fs.existsSync(path.join(rootDir, entry.name, MANIFEST_FILE)))
+    .map((entry) => {
+      const manifest = JSON.parse(fs.readFileSync(path.join(rootDir, entry.name, MANIFEST_FILE), "utf8"));
+      return { version: manifest.version, createdAt: manifest.createdAt, dir: path.join(rootDir, entry.name) };
+    })
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * @param {string} dir - Directory
+ * @returns {boolean} Whether the directory is a single bundle (it holds a manifest)
+ */
+function isSnapshotBundle(dir) {
+  return fs.existsSync(path.join(dir, MANIFEST_FILE));
+}
+
+/**
+ * Opens a snapshot bundle. `dir` may be a bundle directory or a root holding
+ * several versions; in the latter case `version` (or the newest) is used.
+ * @param {string} dir - Bundle or root directory
+ * @param {string} [version] - Version label to open
+ * @returns {{version: string, manifest: Object, dir: string, hasPage: function(string): boolean, readPage: function(string): string}} Opened snapshot
+ */
+function openSnapshot(dir, version) {
+  let bundleDir = dir;
+
+  if (!isSnapshotBundle(dir) || version) {
+    const available = listSnapshots(dir);
+    const match = version ? available.find((snapshot) => snapshot.version === version) : available[0];
+    if (!match) {
+      throw new Error(version
+        ? `No existe el snapshot '${version}' en ${dir}. Disponibles: ${available.map((s) => s.version).join(", ") || "ninguno"}`
+        : `No se encontró ningún snapshot en ${dir}`);
+    }
+    bundleDir = match.dir;
+  }
+
+  const manifest = JSON.parse(fs.readFileSync(path.join(bundleDir, MANIFEST_FILE), "utf8"));
+  if (manifest.format !== SNAPSHOT_FORMAT) {
+    throw new Error(`Formato de snapshot no soportado (${manifest.format}) en ${bundleDir}`);
+  }
+
+  return {
+    version: manifest.version,
+    manifest,
+    dir: bundleDir,
+    hasPage: (url) => Boolean(manifest.pages[url]),
+    readPage(url) {
+      const entry = manifest.pages[url];
+      if (!entry) {
+        throw new Error(`Página no incluida en el snapshot ${manifest.version}: ${url}`);
+      }
+      return fs.readFileSync(path.join(bundleDir, entry.file), "utf8");
+    },
+  };
+}
+
+export { defaultSnapshotVersion, isSnapshotBundle, listSnapshots, openSnapshot, snapshotPagePath, writeSnapshot };
@@ -0,0 +1,26 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import { checkAccessibility } from "../accessibility-audit.js";
+import { auditMarkup } from "../markup-audit.js";
+
+// Example from the accordion-history code page: its root only carries the
+// base c-accordion class, the template comment names the variant
+const example = fs.readFileSync(new URL("./fixtures/accordion-history.html", import.meta.url), "utf8");
+const componentSlugs = ["accordion", "accordion-history", "button"];
+
+test("el ejemplo de acordeón histórico se reconoce por su comentario y no como acordeón", () => {
+  const report = checkAccessibility(`<h2>Trámites</h2>\n${example}`, { componentSlugs });
+  assert.deepEqual(report.components, ["accordion-history"]);
+
+  const skip = report.findings.find((finding) => finding.rule === "heading_skip");
+  assert.equal(skip.component, "accordion-history");
+  assert.match(skip.message, /usa headingLevel: 3 en el componente accordion-history$/);
+
+  assert.deepEqual(auditMarkup(example, { componentSlugs }).components, ["accordion-history"]);
+});
+
+test("sin comentario gana la clase c-* más específica", () => {
+  const report = checkAccessibility('<div class="c-accordion c-accordion-history"></div>', { componentSlugs });
+  assert.deepEqual(report.components, ["accordion-history"]);
+});
@@ -0,0 +1,118 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import express from "express";
+import { createApiKeyVerifier, createAuth, hasScope, hashApiKey, LocalIdentityProvider, SCOPES } from "../auth.js";
+
+const READ_KEY = "read-key-0123456789";
+const REFRESH_ONLY_KEY = "refresh-key-0123456789";
+const API_KEYS = [
+  { name: "lectura", keySha256: hashApiKey(READ_KEY), scopes: [SCOPES.READ] },
+  { name: "solo-refresh", key: REFRESH_ONLY_KEY, scopes: [SCOPES.REFRESH] },
+];
+
+let server;
+let baseUrl;
+let provider;
+
+// The local provider needs the issuer URL, known once the server listens
+before(async () => {
+  const app = express();
+  server = await new Promise((resolve) => {
+    const httpServer = app.listen(0, "127.0.0.1", () => resolve(httpServer));
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+  provider = new LocalIdentityProvider({ resource: `${baseUrl}/mcp` });
+  const auth = createAuth(
+    { mode: "apiKey", apiKeys: API_KEYS, oauth: null },
+    { resource: `${baseUrl}/mcp`, issuer: baseUrl, resourceName: "DESY", provider }
+  );
+  app.use(auth.router);
+  app.get("/mcp", auth.requireAuth, (req, res) => res.json({ clientId: req.auth.clientId, scopes: req.auth.scopes }));
+});
+
+after(() => server.close());
+
+const getMcp = (token) => fetch(`${baseUrl}/mcp`, token ? { headers: { Authorization: `Bearer ${token}` } } : {});
+
+test("hashApiKey es el SHA-256 en hexadecimal", () => {
+  assert.equal(hashApiKey("abc"), crypto.createHash("sha256").update("abc").digest("hex"));
+});
+
+test("el verificador acepta claves en claro y por hash", async () => {
+  const verifier = createApiKeyVerifier(API_KEYS);
+  assert.equal((await verifier.verifyAccessToken(READ_KEY)).clientId, "api-key:lectura");
+  assert.deepEqual((await verifier.verifyAccessToken(REFRESH_ONLY_KEY)).scopes, [SCOPES.REFRESH]);
+  await assert.rejects(verifier.verifyAccessToken("otra-clave-0123456789"), { name: "InvalidTokenError" });
+});
+
+test("hasScope deja pasar a quien no se autentica", () => {
+  assert.equal(hasScope(undefined, SCOPES.REFRESH), true);
+  assert.equal(hasScope({ scopes: [SCOPES.READ] }, SCOPES.REFRESH), false);
+  assert.equal(hasScope({ scopes: [SCOPES.READ, SCOPES.REFRESH] }, SCOPES.REFRESH), true);
+});
+
+test("sin token o con un token desconocido responde 401", async () => {
+  const missing = await getMcp();
+  assert.equal(missing.status, 401);
+  assert.match(missing.headers.get("www-authenticate"), /resource_metadata="[^"]+\/\.well-known\/oauth-protected-resource\/mcp"/);
+  assert.equal((await getMcp("otra-clave-0123456789")).status, 401);
+});
+
+test("una clave sin desy:read responde 403", async () => {
+  const response = await getMcp(REFRESH_ONLY_KEY);
+  assert.equal(response.status, 403);
+  assert.match(response.headers.get("www-authenticate"), /insufficient_scope/);
+});
+
+test("una clave con desy:read pasa", async () => {
+  const response = await getMcp(READ_KEY);
+  assert.equal(response.status, 200);
+  assert.deepEqual(await response.json(), { clientId: "api-key:lectura", scopes: [SCOPES.READ] });
+});
+
+test("el proveedor local nunca concede desy:refresh en el flujo OAuth", async () => {
+  const redirectUri = "http://127.0.0.1/callback";
+  const registration = await fetch(`${baseUrl}/register`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ redirect_uris: [redirectUri], token_endpoint_auth_method: "none" }),
+  });
+  assert.equal(registration.status, 201);
+  const { client_id: clientId } = await registration.json();
+
+  const verifier = crypto.randomBytes(32).toString("base64url");
+  const authorization = await fetch(`${baseUrl}/authorize?${new URLSearchParams({
+    response_type: "code",
+    client_id: clientId,
+    redirect_uri: redirectUri,
+    code_challenge: crypto.createHash("sha256").update(verifier).digest("base64url"),
+    code_challenge_method: "S256",
+    scope: `${SCOPES.READ} ${SCOPES.REFRESH}`,
+    resource: `${baseUrl}/mcp`,
+  })}`, { redirect: "manual" });
+  assert.equal(authorization.status, 302);
+  const code = new URL(authorization.headers.get("location")).searchParams.get("code");
+
+  const tokens = await (await fetch(`${baseUrl}/token`, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams({ grant_type: "authorization_code", client_id: clientId, code, code_verifier: verifier, redirect_uri: redirectUri }),
+  })).json();
+  assert.equal(tokens.scope, SCOPES.READ);
+
+  const response = await getMcp(tokens.access_token);
+  assert.equal(response.status, 200);
+  assert.deepEqual((await response.json()).scopes, [SCOPES.READ]);
+});
+
+test("el proveedor local solo se monta en localhost", () => {
+  const localProvider = new LocalIdentityProvider({ resource: "https://desy.example.org/mcp" });
+  assert.throws(
+    () => createAuth(
+      { mode: "none", apiKeys: [], oauth: null },
+      { resource: "https://desy.example.org/mcp", issuer: "https://desy.example.org", resourceName: "DESY", provider: localProvider }
+    ),
+    /solo se puede usar en localhost/
+  );
+});
@@ -0,0 +1,89 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import { parseLlmsTxt } from "../llms-txt.js";
+import { buildAliasTable, levenshtein, normalizeTerm, rankComponents, resolveComponent, similarity } from "../component-resolver.js";
+
+const { components } = parseLlmsTxt(fs.readFileSync(new URL("./fixtures/llms.txt", import.meta.url), "utf8"));
+const { aliases } = buildAliasTable(components, { overrides: { modal: ["ventana"] } });
+
+const resolve = (term, options = { aliases }) => resolveComponent(components, term, options);
+
+test("normalizeTerm quita acentos, formato y guiones", () => {
+  assert.equal(normalizeTerm("Acordeón  Histórico (HTML)"), "acordeon historico");
+  assert.equal(normalizeTerm("accordion-history"), "accordion history");
+});
+
+test("levenshtein cuenta las ediciones de un carácter", () => {
+  assert.equal(levenshtein("modal", "modl"), 1);
+  assert.equal(levenshtein("kitten", "sitting"), 3);
+  assert.equal(levenshtein("", "abc"), 3);
+});
+
+test("similarity combina distancia de edición, trigramas y palabra completa", () => {
+  assert.equal(similarity("modal", "modal"), 1);
+  // Edit distance: one deletion over five characters
+  assert.equal(similarity("modl", "modal"), 0.8);
+  // Trigrams: same words in another order
+  assert.equal(similarity("menu horizontal", "horizontal menu"), 0.875);
+  // Whole word inside a longer name
+  assert.equal(similarity("historico", "acordeon historico"), 0.85);
+  assert.equal(similarity("", "modal"), 0);
+});
+
+test("'modal' resuelve a Modal aunque otra clave anterior lo contenga", () => {
+  assert.ok(Object.keys(components).indexOf("dialog-modal (html)") < Object.keys(components).indexOf("modal (html)"));
+  const resolution = resolve("modal");
+  assert.equal(resolution.key, "modal (html)");
+  assert.equal(resolution.confidence, 1);
+  assert.equal(resolution.ambiguous, false);
+  assert.deepEqual(resolution.candidates.slice(0, 2).map((candidate) => candidate.key), ["modal (html)", "dialog-modal (html)"]);
+});
+
+test("resuelve alias en español y errores de escritura", () => {
+  assert.equal(resolve("acordeón histórico").key, "accordion-history (html)");
+  assert.equal(resolve("boton").key, "button (html)");
+  assert.equal(resolve("ventana").key, "modal (html)");
+  assert.equal(resolve("modl").key, "modal (html)");
+});
+
+test("la confianza baja con la distancia y con un segundo candidato cercano", () => {
+  // Clear winner: confidence is the score
+  assert.equal(resolve("modl").confidence, 0.8);
+  // 0.944 against 0.85: 0.944 * (0.75 + 2.5 * 0.094)
+  assert.equal(resolve("acordeon historic").confidence, 0.93);
+  // Three components tied: half the score, and ambiguous
+  const tied = resolve("menu");
+  assert.equal(tied.ambiguous, true);
+  assert.equal(tied.confidence, 0.42);
+});
+
+test("sin candidato suficiente no resuelve", () => {
+  const resolution = resolve("zzz");
+  assert.equal(resolution.key, null);
+  assert.equal(resolution.confidence, 0);
+  assert.equal(resolve("").candidates.length, 0);
+});
+
+test("con la misma puntuación gana el alias exacto frente al nombre canónico", () => {
+  const resolution = resolve("modal", { aliases: { "button (html)": ["modal"] } });
+  assert.equal(resolution.key, "button (html)");
+  assert.equal(resolution.matchType, "alias");
+  assert.equal(resolution.ambiguous, false);
+  assert.equal(resolution.candidates[1].key, "modal (html)");
+  assert.equal(resolution.candidates[1].matchType, "key");
+});
+
+test("con la misma puntuación y tipo gana la categoría más parecida", () => {
+  // "nav" scores the same against pagination and modal; the shorter key would
+  // put modal first, so only the Navegación category can decide the order
+  const ranked = rankComponents(components, "nav");
+  const pagination = ranked.find((candidate) => candidate.key === "pagination (html)");
+  const modal = ranked.find((candidate) => candidate.key === "modal (html)");
+  assert.deepEqual([pagination.score, pagination.matchType], [modal.score, modal.matchType]);
+  assert.ok(ranked.indexOf(pagination) < ranked.indexOf(modal));
+});
+
+test("el orden es determinista", () => {
+  assert.deepEqual(rankComponents(components, "men", { aliases }), rankComponents(components, "men", { aliases }));
+});
@@ -0,0 +1,39 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { loadConfig } from "../config.js";
+import { listSnapshots, openSnapshot, writeSnapshot } from "../snapshot.js";
+
+let rootDir;
+
+before(() => {
+  rootDir = fs.mkdtempSync(path.join(os.tmpdir(), "desy-mcp-test-"));
+  const source = "https://desy.aragon.es/llms.txt";
+  for (const version of ["v1", "v2"]) {
+    writeSnapshot(rootDir, { version, source, pages: new Map([[source, `# DESY ${version}\n`]]) });
+  }
+});
+
+after(() => fs.rmSync(rootDir, { recursive: true, force: true }));
+
+const versionsOf = (config) => listSnapshots(config.versionsDir).map((snapshot) => snapshot.version).sort();
+
+test("versionsDir es la raíz de snapshots cuando DESY_SNAPSHOT_DIR es esa raíz", () => {
+  const config = loadConfig({ env: { DESY_SNAPSHOT_DIR: rootDir } });
+  assert.equal(config.versionsDir, rootDir);
+  assert.deepEqual(versionsOf(config), ["v1", "v2"]);
+});
+
+test("versionsDir es el directorio padre cuando DESY_SNAPSHOT_DIR es un único snapshot", () => {
+  const config = loadConfig({ env: { DESY_SNAPSHOT_DIR: path.join(rootDir, "v1") } });
+  assert.equal(config.versionsDir, rootDir);
+  assert.deepEqual(versionsOf(config), ["v1", "v2"]);
+  assert.equal(openSnapshot(config.versionsDir, "v1").version, "v1");
+});
+
+test("DESY_VERSIONS_DIR tiene prioridad y sin snapshots se usa ./snapshots", () => {
+  assert.equal(loadConfig({ env: { DESY_SNAPSHOT_DIR: path.join(rootDir, "v1"), DESY_VERSIONS_DIR: "/srv/desy" } }).versionsDir, "/srv/desy");
+  assert.equal(loadConfig({ env: {} }).versionsDir, path.join(process.cwd(), "snapshots"));
+});
@@ -0,0 +1,62 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import http from "http";
+import os from "os";
+import path from "path";
+import { openSnapshot, writeSnapshot } from "../snapshot.js";
+
+let tmpDir;
+let origin;
+let llmsTxtUrl;
+let buttonUrl;
+let crawlSnapshot;
+const requested = [];
+
+// The server runs offline from an old snapshot (DESY_SNAPSHOT_DIR) while a
+// local origin serves the current documentation
+before(async () => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "desy-mcp-test-"));
+  origin = http.createServer((req, res) => {
+    requested.push(req.url);
+    if (pages[req.url]) return res.end(pages[req.url]);
+    res.statusCode = 404;
+    res.end();
+  });
+  await new Promise((resolve) => origin.listen(0, "127.0.0.1", resolve));
+  const baseUrl = `http://127.0.0.1:${origin.address().port}`;
+  llmsTxtUrl = `${baseUrl}/llms.txt`;
+  buttonUrl = `${baseUrl}/componente-boton-codigo.html.md`;
+  const pages = {
+    "/llms.txt": fs.readFileSync(new URL("./fixtures/llms.txt", import.meta.url), "utf8").replaceAll("https://desy.aragon.es", baseUrl),
+    "/componente-boton-codigo.html.md": "# Botón\n",
+  };
+  writeSnapshot(path.join(tmpDir, "snapshots"), {
+    version: "old",
+    source: llmsTxtUrl,
+    pages: new Map([[llmsTxtUrl, pages["/llms.txt"]], [buttonUrl, "# Botón antiguo\n"]]),
+  });
+
+  Object.assign(process.env, {
+    DESY_LLMS_TXT_URL: llmsTxtUrl,
+    DESY_SNAPSHOT_DIR: path.join(tmpDir, "snapshots", "old"),
+    DESY_CACHE_DIR: path.join(tmpDir, "cache"),
+  });
+  ({ crawlSnapshot } = await import("../mcp-server.js"));
+});
+
+after(() => {
+  origin.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test("el snapshot nuevo se descarga del origen aunque se sirva un snapshot", async () => {
+  const { dir, manifest } = await crawlSnapshot(path.join(tmpDir, "snapshots"), "new");
+
+  assert.equal(manifest.source, llmsTxtUrl);
+  assert.equal(openSnapshot(dir).readPage(buttonUrl), "# Botón\n");
+  assert.ok(requested.includes("/llms.txt"));
+  // Pages the origin does not have are errors, not copies from the old snapshot
+  assert.deepEqual(Object.keys(manifest.pages).sort(), [buttonUrl, llmsTxtUrl].sort());
+  assert.ok(manifest.errors.every((error) => /HTTP 404/.test(error.message)));
+});
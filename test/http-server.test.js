@@ -0,0 +1,92 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { StreamableHTTPClientTransport } from "@modelcontextprotocol/sdk/client/streamableHttp.js";
+import { writeSnapshot } from "../snapshot.js";
+
+const READ_KEY = "read-key-0123456789";
+const ADMIN_KEY = "admin-key-0123456789";
+
+let tmpDir;
+let server;
+let mcpUrl;
+
+// The server reads its configuration when imported, so the environment is
+// set first and it serves a snapshot instead of the real origin
+before(async () => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "desy-mcp-test-"));
+  const llmsTxt = fs.readFileSync(new URL("./fixtures/llms.txt", import.meta.url), "utf8");
+  const source = "https://desy.aragon.es/llms.txt";
+  writeSnapshot(path.join(tmpDir, "snapshots"), { version: "test", source, pages: new Map([[source, llmsTxt]]) });
+
+  Object.assign(process.env, {
+    DESY_SNAPSHOT_DIR: path.join(tmpDir, "snapshots", "test"),
+    DESY_CACHE_DIR: path.join(tmpDir, "cache"),
+    DESY_PUBLIC_URL: "http://127.0.0.1",
+    DESY_API_KEYS: JSON.stringify([
+      { name: "lectura", key: READ_KEY },
+      { name: "admin", key: ADMIN_KEY, scopes: ["desy:read", "desy:refresh"] },
+    ]),
+  });
+  const { startHttpServer } = await import("../server-desy.js");
+  server = await startHttpServer({ port: 0, host: "127.0.0.1" });
+  mcpUrl = new URL(`http://127.0.0.1:${server.address().port}/mcp`);
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+async function connect(key) {
+  const client = new Client({ name: "desy-mcp-test", version: "1.0.0" });
+  const transport = new StreamableHTTPClientTransport(mcpUrl, { requestInit: { headers: { Authorization: `Bearer ${key}` } } });
+  await client.connect(transport);
+  return { client, transport };
+}
+
+const listToolsRequest = (key, sessionId) => fetch(mcpUrl, {
+  method: "POST",
+  headers: {
+    "Content-Type": "application/json",
+    Accept: "application/json, text/event-stream",
+    ...(key ? { Authorization: `Bearer ${key}` } : {}),
+    ...(sessionId ? { "Mcp-Session-Id": sessionId } : {}),
+  },
+  body: JSON.stringify({ jsonrpc: "2.0", id: 1, method: "tools/list" }),
+});
+
+test("/mcp sin clave responde 401", async () => {
+  const response = await listToolsRequest();
+  assert.equal(response.status, 401);
+  assert.match(response.headers.get("www-authenticate"), /^Bearer /);
+});
+
+test("refresh_cache exige el scope desy:refresh", async () => {
+  const reader = await connect(READ_KEY);
+  const { tools } = await reader.client.listTools();
+  assert.ok(tools.some((tool) => tool.name === "refresh_cache"));
+  const denied = await reader.client.callTool({ name: "refresh_cache", arguments: {} });
+  assert.equal(denied.isError, true);
+  assert.match(denied.content[0].text, /desy:refresh/);
+  await reader.client.close();
+
+  const admin = await connect(ADMIN_KEY);
+  const refreshed = await admin.client.callTool({ name: "refresh_cache", arguments: {} });
+  assert.equal(refreshed.isError, undefined);
+  assert.equal(JSON.parse(refreshed.content[0].text).status, "success");
+  await admin.client.close();
+});
+
+test("una sesión solo la usa la clave que la abrió", async () => {
+  const reader = await connect(READ_KEY);
+  const response = await listToolsRequest(ADMIN_KEY, reader.transport.sessionId);
+  assert.equal(response.status, 403);
+  assert.match((await response.json()).error.message, /otro cliente/);
+  assert.equal((await listToolsRequest(READ_KEY, reader.transport.sessionId)).status, 200);
+  await reader.client.close();
+});
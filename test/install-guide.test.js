@@ -0,0 +1,28 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+// The defaults come from the configuration, loaded on first use
+Object.assign(process.env, {
+  DESY_PUBLIC_URL: "https://desy-mcp.example.org",
+  DESY_SERVER_NAME: "DESY Espejo",
+  DESY_API_KEYS: JSON.stringify([{ name: "equipo", key: "clave-de-prueba-0123456789" }]),
+});
+const { generateMCPConfig, generateMCPInstallationGuide } = await import("../index.js");
+
+const vscode = (configs) => configs.find((config) => config.id === "vscode");
+
+test("sin argumentos describe el servidor configurado", () => {
+  const config = vscode(generateMCPConfig());
+  assert.deepEqual(Object.keys(config.configJson.servers), ["DESY Espejo"]);
+  assert.equal(config.configJson.servers["DESY Espejo"].url, "https://desy-mcp.example.org/mcp");
+  assert.equal(config.configJson.servers["DESY Espejo"].headers.Authorization, "Bearer <API_KEY>");
+
+  const guide = generateMCPInstallationGuide();
+  assert.match(guide, /\*\*Nombre del servidor\*\*: `DESY Espejo`/);
+  assert.match(guide, /https:\/\/desy-mcp\.example\.org\/mcp/);
+});
+
+test("los argumentos tienen prioridad sobre la configuración", () => {
+  const config = vscode(generateMCPConfig("http://127.0.0.1:5000/mcp", "DESY local", { auth: "none" }));
+  assert.deepEqual(config.configJson.servers["DESY local"], { type: "http", url: "http://127.0.0.1:5000/mcp" });
+});
@@ -0,0 +1,28 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { auditMarkup } from "../markup-audit.js";
+
+const componentSlugs = ["button", "accordion", "menu-horizontal"];
+const unknownClasses = (report) => report.findings.filter((finding) => finding.rule === "unknown_class");
+
+test("con las plantillas de desy-html una clase c-* desconocida es un error", () => {
+  const report = auditMarkup('<button class="c-buton">Enviar</button>', { componentSlugs, componentClasses: ["c-button", "c-button--primary"] });
+  assert.equal(report.classCheck, "templates");
+  const [finding] = unknownClasses(report);
+  assert.equal(finding.severity, "error");
+  assert.equal(finding.class, "c-buton");
+  assert.equal(finding.suggestion, '<button class="c-button">Enviar</button>');
+});
+
+test("sin plantillas las clases c-* se comparan con los componentes del catálogo", () => {
+  const report = auditMarkup('<button class="c-buton c-buton--primary">Enviar</button>', { componentSlugs });
+  assert.equal(report.classCheck, "catalog");
+  const findings = unknownClasses(report);
+  assert.deepEqual(findings.map((finding) => [finding.class, finding.severity]), [["c-buton", "warning"], ["c-buton--primary", "warning"]]);
+  assert.equal(findings[1].suggestion, '<button class="c-buton c-button--primary">Enviar</button>');
+});
+
+test("sin plantillas se aceptan los elementos y modificadores de un componente del catálogo", () => {
+  const report = auditMarkup('<div class="c-accordion"><div class="c-accordion__item md:c-menu-horizontal--sm"></div></div>', { componentSlugs });
+  assert.deepEqual(unknownClasses(report), []);
+});
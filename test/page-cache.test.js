@@ -0,0 +1,82 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createPageCache } from "../page-cache.js";
+
+const URL_A = "https://desy.aragon.es/componente-boton-codigo.html.md";
+
+let dir;
+let cache;
+let requests;
+
+// Fake origin: answers with the given responses in turn and records the
+// conditional headers it receives
+const origin = (...responses) => async (headers) => {
+  requests.push(headers);
+  const response = responses.shift();
+  if (response instanceof Error) throw response;
+  return response;
+};
+const ok = (body, etag = '"v1"') => ({ statusCode: 200, headers: { etag }, body });
+const notModified = { statusCode: 304, headers: {}, body: "" };
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "desy-mcp-test-"));
+  cache = createPageCache(dir, { ttlMs: 60 * 1000 });
+  requests = [];
+});
+
+afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const counts = () => {
+  const { hits, misses, revalidated, stale } = cache.getStats();
+  return { hits, misses, revalidated, stale };
+};
+
+test("cuenta fallos y aciertos mientras la copia está fresca", async () => {
+  assert.equal(await cache.fetch(URL_A, origin(ok("# Botón"))), "# Botón");
+  assert.equal(await cache.fetch(URL_A, origin()), "# Botón");
+  assert.deepEqual(counts(), { hits: 1, misses: 1, revalidated: 0, stale: 0 });
+  assert.deepEqual(requests, [{}]);
+  assert.equal(cache.getStats().hitRate, 0.5);
+});
+
+test("revalidate pregunta al origen con cabeceras condicionales y cuenta el 304", async () => {
+  await cache.fetch(URL_A, origin(ok("# Botón")));
+  assert.equal(await cache.fetch(URL_A, origin(notModified), { revalidate: true }), "# Botón");
+  assert.deepEqual(requests[1], { "If-None-Match": '"v1"' });
+  assert.deepEqual(counts(), { hits: 0, misses: 1, revalidated: 1, stale: 0 });
+});
+
+test("una copia caducada se vuelve a descargar y la nueva versión es un fallo", async () => {
+  await cache.fetch(URL_A, origin(ok("# Botón")));
+  cache.expireAll();
+  assert.equal(await cache.fetch(URL_A, origin(ok("# Botón nuevo", '"v2"'))), "# Botón nuevo");
+  assert.deepEqual(counts(), { hits: 0, misses: 2, revalidated: 0, stale: 0 });
+});
+
+test("si el origen falla sirve la copia guardada salvo que serveStale lo impida", async () => {
+  await cache.fetch(URL_A, origin(ok("# Botón")));
+  assert.equal(await cache.fetch(URL_A, origin(new Error("ECONNRESET")), { revalidate: true }), "# Botón");
+  assert.deepEqual(counts(), { hits: 0, misses: 1, revalidated: 0, stale: 1 });
+
+  await assert.rejects(
+    cache.fetch(URL_A, origin(new Error("HTTP 404")), { revalidate: true, serveStale: () => false }),
+    /HTTP 404/
+  );
+  assert.equal(cache.getStats().stale, 1);
+});
+
+test("sin copia guardada el error del origen se propaga", async () => {
+  await assert.rejects(cache.fetch(URL_A, origin(new Error("ECONNRESET"))), /ECONNRESET/);
+  assert.deepEqual(counts(), { hits: 0, misses: 0, revalidated: 0, stale: 0 });
+});
+
+test("las entradas sobreviven a una cache nueva sobre el mismo directorio", async () => {
+  await cache.fetch(URL_A, origin(ok("# Botón")));
+  cache = createPageCache(dir, { ttlMs: 60 * 1000 });
+  assert.equal(await cache.fetch(URL_A, origin()), "# Botón");
+  assert.deepEqual(counts(), { hits: 1, misses: 0, revalidated: 0, stale: 0 });
+});
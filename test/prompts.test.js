@@ -0,0 +1,53 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { InMemoryTransport } from "@modelcontextprotocol/sdk/inMemory.js";
+import { writeSnapshot } from "../snapshot.js";
+
+let tmpDir;
+let client;
+
+// Button has an Angular code page; Modal only its documentation page, and
+// Details nothing at all
+before(async () => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "desy-mcp-test-"));
+  const source = "https://desy.aragon.es/llms.txt";
+  const pages = new Map([
+    [source, fs.readFileSync(new URL("./fixtures/llms.txt", import.meta.url), "utf8")],
+    ["https://desy.aragon.es/componente-boton-codigo-angular.html.md", '### Por defecto [#]\n\n```html\n<desy-button text="Enviar"></desy-button>\n```\n'],
+    ["https://desy.aragon.es/componente-modal-codigo.html.md", "# Modal\n\nVentana superpuesta al contenido de la página.\n"],
+  ]);
+  writeSnapshot(tmpDir, { version: "test", source, pages });
+
+  Object.assign(process.env, {
+    DESY_SNAPSHOT_DIR: path.join(tmpDir, "test"),
+    DESY_CACHE_DIR: path.join(tmpDir, "cache"),
+  });
+  const { createMcpServer } = await import("../mcp-server.js");
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  await createMcpServer().connect(serverTransport);
+  client = new Client({ name: "desy-mcp-test", version: "1.0.0" });
+  await client.connect(clientTransport);
+});
+
+after(async () => {
+  await client.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test("el prompt solo incluye como referencia los componentes con código", async () => {
+  const { messages } = await client.getPrompt({ name: "build_form_page", arguments: { tech: "angular", components: "button, modal, details" } });
+  const references = messages.map((message) => message.content.text).filter((text) => text.startsWith("Referencia del componente DESY"));
+
+  assert.equal(references.length, 1);
+  assert.match(references[0], /^Referencia del componente DESY Button \(HTML\):/);
+  assert.match(references[0], /<desy-button text="Enviar"><\/desy-button>/);
+});
+
+test("las herramientas siguen explicando por qué no hay código", async () => {
+  const modal = await client.callTool({ name: "get_component_code_angular", arguments: { component: "modal" } });
+  assert.match(modal.content[0].text, /Documentación disponible:[\s\S]*Ventana superpuesta/);
+});
@@ -0,0 +1,57 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { writeSnapshot } from "../snapshot.js";
+
+let tmpDir;
+let templatesDir;
+let renderComponent;
+
+// mcp-server.js reads its configuration when imported. The templates folder
+// starts empty and the catalog comes from a snapshot of the fixture llms.txt,
+// so nothing is downloaded
+before(async () => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "desy-mcp-test-"));
+  templatesDir = path.join(tmpDir, "desy-html");
+  const source = "https://desy.aragon.es/llms.txt";
+  const llmsTxt = fs.readFileSync(new URL("./fixtures/llms.txt", import.meta.url), "utf8");
+  writeSnapshot(path.join(tmpDir, "snapshots"), { version: "test", source, pages: new Map([[source, llmsTxt]]) });
+
+  Object.assign(process.env, {
+    DESY_TEMPLATES_DIR: templatesDir,
+    DESY_SNAPSHOT_DIR: path.join(tmpDir, "snapshots", "test"),
+    DESY_CACHE_DIR: path.join(tmpDir, "cache"),
+  });
+  ({ renderComponent } = await import("../mcp-server.js"));
+});
+
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+test("sin plantillas de desy-html explica cómo configurarlas", async () => {
+  const result = await renderComponent("button", { text: "Enviar" });
+  assert.match(result.error, /No se encontraron las plantillas de desy-html/);
+  assert.match(result.error, /DESY_TEMPLATES_DIR/);
+});
+
+test("renderiza la macro del componente con sus parámetros", async () => {
+  fs.cpSync(new URL("./fixtures/desy-html", import.meta.url), templatesDir, { recursive: true });
+
+  const result = await renderComponent("button", { text: "Enviar <ya>", classes: "c-button--primary" });
+  assert.equal(result.component, "button");
+  assert.equal(result.macro, "componentButton");
+  assert.equal(result.html, '<button type="button" class="c-button c-button--primary">\n  Enviar &lt;ya&gt;\n</button>');
+});
+
+test("encuentra la plantilla por el nombre en español del catálogo", async () => {
+  const result = await renderComponent("Botón", { text: "Enviar", disabled: true });
+  assert.equal(result.component, "button");
+  assert.match(result.html, /<button type="button" class="c-button" disabled>/);
+});
+
+test("un componente sin plantilla lista las disponibles", async () => {
+  const result = await renderComponent("modal", {});
+  assert.equal(result.error, "No hay plantilla Nunjucks para el componente 'modal'");
+  assert.deepEqual(result.availableTemplates, ["button"]);
+});
@@ -0,0 +1,73 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { InMemoryTransport } from "@modelcontextprotocol/sdk/inMemory.js";
+import { writeSnapshot } from "../snapshot.js";
+
+let tmpDir;
+let client;
+
+// Two stored versions; the server runs from the newest bundle, so the older
+// one is only reachable through `version`
+before(async () => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "desy-mcp-test-"));
+  const source = "https://desy.aragon.es/llms.txt";
+  const llmsTxt = fs.readFileSync(new URL("./fixtures/llms.txt", import.meta.url), "utf8");
+  const withoutLoader = llmsTxt.replace(/^- \[Button-loader.*\n/m, "");
+  writeSnapshot(tmpDir, { version: "14.0.0", source, pages: new Map([[source, withoutLoader]]) });
+  writeSnapshot(tmpDir, { version: "15.0.0", source, pages: new Map([[source, llmsTxt]]) });
+
+  Object.assign(process.env, {
+    DESY_SNAPSHOT_DIR: path.join(tmpDir, "15.0.0"),
+    DESY_CACHE_DIR: path.join(tmpDir, "cache"),
+    DESY_TEMPLATES_DIR: path.join(tmpDir, "desy-html"),
+  });
+  const { createMcpServer } = await import("../mcp-server.js");
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  await createMcpServer().connect(serverTransport);
+  client = new Client({ name: "desy-mcp-test", version: "1.0.0" });
+  await client.connect(clientTransport);
+});
+
+after(async () => {
+  await client.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+const categoryComponents = async (uri) => {
+  const { contents } = await client.readResource({ uri });
+  return JSON.parse(contents[0].text).components.map((component) => component.name);
+};
+
+test("los recursos desy:// se leen de una versión con ?version", async () => {
+  assert.deepEqual(await categoryComponents("desy://category/botones"), ["Button (HTML)", "Button-loader (HTML)"]);
+  assert.deepEqual(await categoryComponents("desy://category/botones?version=14.0.0"), ["Button (HTML)"]);
+  await assert.rejects(client.readResource({ uri: "desy://category/botones?version=13.0.0" }), /No existe el snapshot '13.0.0'/);
+
+  const { resourceTemplates } = await client.listResourceTemplates();
+  assert.ok(resourceTemplates.some((template) => template.uriTemplate === "desy://component/{name}/{format}{?version}"));
+});
+
+test("get_changes_since empieza en la fecha de la versión indicada", async () => {
+  const changes = await client.callTool({ name: "get_changes_since", arguments: { version: "14.0.0" } });
+  assert.equal(changes.isError, undefined);
+  assert.deepEqual(changes.structuredContent.entries, []);
+
+  const both = await client.callTool({ name: "get_changes_since", arguments: { since: "2026-01-01", version: "14.0.0" } });
+  assert.equal(both.isError, true);
+  const unknown = await client.callTool({ name: "get_changes_since", arguments: { version: "13.0.0" } });
+  assert.match(unknown.content[0].text, /No existe el snapshot '13.0.0'/);
+});
+
+test("render_component busca el componente en el catálogo de la versión", async () => {
+  fs.cpSync(new URL("./fixtures/desy-html", import.meta.url), path.join(tmpDir, "desy-html"), { recursive: true });
+
+  const result = await client.callTool({ name: "render_component", arguments: { component: "Botón", params: { text: "Enviar" }, version: "14.0.0" } });
+  assert.equal(result.structuredContent.component, "button");
+  const unknown = await client.callTool({ name: "render_component", arguments: { component: "button", version: "13.0.0" } });
+  assert.equal(unknown.isError, true);
+  assert.match(unknown.content[0].text, /No existe el snapshot '13.0.0'/);
+});
@@ -0,0 +1,101 @@
+/**
+ * Patrones de DESY
+ *
+ * Reconoce las páginas de patrones del índice llms.txt y extrae de cada una
+ * el problema que resuelve y los componentes que utiliza, a partir de los
+ * enlaces a páginas de componentes y del código de sus ejemplos.
+ */
+
+import { getUrlSlug, normalizeTerm } from "./component-resolver.js";
+
+// Sections that describe what the pattern is for
+const PROBLEM_HEADING = /problema|cuando usar|para que|objetivo|proposito|uso/;
+
+/**
+ * @param {string|null} category - Category of the link in llms.txt
+ * @param {string} url - Link URL
+ * @returns {boolean} Whether the link points to a pattern page
+ */
+function isPatternLink(category, url) {
+  return normalizeTerm(category || "").includes("patron") || /\/patron(es)?-/i.test(url);
+}
+
+function stripInlineMarkdown(text) {
+  return text
+    .replace(/\[#\]\([^)]*\)/g, "")
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, "$1")
+    .replace(/[*_`]/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// Prose paragraphs per section, without code blocks, lists or tables
+function sections(markdown) {
+  const result = [{ heading: null, paragraphs: [] }];
+  let paragraph = [];
+  let inCode = false;
+  const flush = () => {
+    const text = stripInlineMarkdown(paragraph.join(" "));
+    if (text) result[result.length - 1].paragraphs.push(text);
+    paragraph = [];
+  };
+
+  for (const line of markdown.split("\n")) {
+    if (line.trim().startsWith("```")) {
+      flush();
+      inCode = !inCode;
+    } else if (inCode) {
+      continue;
+    } else if (/^#{1,6}\s/.test(line)) {
+      flush();
+      result.push({ heading: stripInlineMarkdown(line.replace(/^#+\s*/, "")), level: line.match(/^#+/)[0].length, paragraphs: [] });
+    } else if (!line.trim() || /^\s*([-*+|>]|\d+\.)\s?/.test(line)) {
+      flush();
+    } else {
+      paragraph.push(line.trim());
+    }
+  }
+  flush();
+  return result;
+}
+
+/**
+ * Reads a pattern page
+ * @param {string} markdown - Page content
+ * @param {Object} options
+ * @param {Object[]} options.examples - Code examples of the page ({html, nunjucks})
+ * @param {{slug: string, urlSlug: string|null}[]} options.catalog - Known components,
+ *   with their template slug ("button") and the slug of their page URL ("boton")
+ * @returns {{title: string|null, problem: string|null, components: string[]}} Title,
+ *   problem the pattern solves and template slugs of the components it uses
+ */
+function parsePatternPage(markdown, { examples, catalog }) {
+  const parsed = sections(markdown);
+  const title = parsed.find((section) => section.level === 1)?.heading || null;
+
+  const problemSection = parsed.find((section) =>
+    section.heading && section.level > 1 && PROBLEM_HEADING.test(normalizeTerm(section.heading)) && section.paragraphs.length > 0);
+  const intro = parsed.find((section) => section.paragraphs.length > 0 && (section.level ?? 1) === 1);
+  const problem = (problemSection || intro)?.paragraphs[0] || null;
+
+  // Components in the order they first appear: linked pages, then the code
+  const bySlug = new Map(catalog.map((entry) => [entry.slug, entry.slug]));
+  const byUrlSlug = new Map(catalog.filter((entry) => entry.urlSlug).map((entry) => [entry.urlSlug, entry.slug]));
+  const found = new Set();
+  const add = (map, key) => map.has(key) && found.add(map.get(key));
+
+  for (const match of markdown.matchAll(/\]\(([^)]*componente-[^)]*)\)/g)) {
+    add(byUrlSlug, getUrlSlug(match[1]));
+  }
+  for (const example of examples) {
+    for (const match of (example.nunjucks || "").matchAll(/components\/([a-z0-9-]+)\/_macro\./g)) add(bySlug, match[1]);
+    for (const match of (example.html || "").matchAll(/<!--\s*([a-z0-9-]+)\s*-->|class="([^"]*)"/g)) {
+      if (match[1]) add(bySlug, match[1]);
+      else match[2].split(/\s+/).filter((name) => /^c-[a-z0-9-]+$/.test(name)).forEach((name) => add(bySlug, name.slice(2)));
+    }
+  }
+
+  return { title, problem, components: [...found] };
+}
+
+export { isPatternLink, parsePatternPage };